@@ -0,0 +1,259 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Admin Item Controller.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Controller;
+
+use Exception;
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use ExtendedBlockBundle\Service\BatchEditService;
+use ExtendedBlockBundle\Service\ItemImportService;
+use InvalidArgumentException;
+use Pimcore\Bundle\AdminBundle\Controller\AdminAbstractController;
+use Pimcore\Bundle\AdminBundle\Helper\GridHelperService;
+use Pimcore\Logger;
+use Pimcore\Model\DataObject\Concrete;
+use Symfony\Component\EventDispatcher\GenericEvent;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Admin endpoints for the ExtendedBlock object editor.
+ *
+ * The object editor of lazy loading fields only receives the first page of items
+ * (see ExtendedBlock::getDataForEditmode()) and loads the following pages here,
+ * directly from the object_eb_* table.
+ *
+ * The batch edit of the object grid gets the objects to change here and changes
+ * them one request per object, like Pimcore's own batch edit.
+ *
+ * Imported files are converted here for the preview of the object editor.
+ */
+class ItemController extends AdminAbstractController
+{
+    /**
+     * Largest page size accepted by listAction().
+     */
+    private const MAX_PAGE_SIZE = 500;
+
+    /**
+     * Returns a page of items of an ExtendedBlock field in editmode format.
+     *
+     * Query parameters:
+     * - id: object id
+     * - field: ExtendedBlock field name
+     * - start: position of the first item (default 0)
+     * - limit: number of items (default ExtendedBlock::EDITMODE_PAGE_SIZE)
+     *
+     * @param Request $request The request
+     *
+     * @return JsonResponse {success, total, start, items}
+     */
+    public function listAction(Request $request): JsonResponse
+    {
+        $object = Concrete::getById((int) $request->query->get('id'));
+        if (!$object instanceof Concrete) {
+            throw $this->createNotFoundException('Object not found');
+        }
+
+        if (!$object->isAllowed('view')) {
+            throw $this->createAccessDeniedHttpException();
+        }
+
+        $definition = $object->getClass()->getFieldDefinition((string) $request->query->get('field'));
+        if (!$definition instanceof ExtendedBlock) {
+            return $this->adminJson([
+                'success' => false,
+                'message' => 'Field is not an ExtendedBlock field',
+            ]);
+        }
+
+        $start = max(0, (int) $request->query->get('start', 0));
+        $limit = min(self::MAX_PAGE_SIZE, max(1, (int) $request->query->get('limit', ExtendedBlock::EDITMODE_PAGE_SIZE)));
+
+        $page = $definition->loadBlockPage($object, $start, $limit);
+
+        return $this->adminJson([
+            'success' => true,
+            'total' => $definition->countStoredItems($object),
+            'start' => $start,
+            'items' => $definition->getEditmodeItemData($page->getItems(), $object),
+        ]);
+    }
+
+    /**
+     * Returns the IDs of the objects a batch edit of all objects in the grid applies to.
+     *
+     * Takes the parameters of the grid listing (classId, folderId, filter, ...) and
+     * builds the listing like the grid, including the ExtendedBlock column filters
+     * added by the listeners of the grid listing event.
+     *
+     * @param Request                  $request           The request
+     * @param GridHelperService        $gridHelperService Pimcore's grid helper
+     * @param EventDispatcherInterface $eventDispatcher   The event dispatcher
+     *
+     * @return JsonResponse {success, jobs}
+     */
+    public function batchJobsAction(
+        Request $request,
+        GridHelperService $gridHelperService,
+        EventDispatcherInterface $eventDispatcher,
+    ): JsonResponse {
+        $allParams = array_merge($request->request->all(), $request->query->all());
+        $language = (string) ($allParams['language'] ?? $request->getLocale());
+
+        $list = $gridHelperService->prepareListingForGrid($allParams, $language, $this->getAdminUser());
+
+        $event = new GenericEvent($this, [
+            'list' => $list,
+            'context' => $allParams,
+        ]);
+        $eventDispatcher->dispatch($event, 'pimcore.admin.object.list.beforeListLoad');
+
+        return $this->adminJson([
+            'success' => true,
+            'jobs' => $event->getArgument('list')->loadIdList(),
+        ]);
+    }
+
+    /**
+     * Applies a batch edit operation to the ExtendedBlock field of one object.
+     *
+     * Request parameters:
+     * - id: object id
+     * - field: ExtendedBlock field name
+     * - operation: append, remove or set (see BatchEditService)
+     * - data: JSON encoded operation data
+     *
+     * Failures are returned as message, so the batch can continue with the next object.
+     *
+     * @param Request          $request          The request
+     * @param BatchEditService $batchEditService The batch edit service
+     *
+     * @return JsonResponse {success, changed} or {success, message}
+     */
+    public function batchAction(Request $request, BatchEditService $batchEditService): JsonResponse
+    {
+        $object = Concrete::getById((int) $request->request->get('id'));
+        if (!$object instanceof Concrete) {
+            throw $this->createNotFoundException('Object not found');
+        }
+
+        if (!$object->isAllowed('publish')) {
+            return $this->adminJson([
+                'success' => false,
+                'message' => sprintf('Permission denied for object %s', $object->getRealFullPath()),
+            ]);
+        }
+
+        $definition = $object->getClass()->getFieldDefinition((string) $request->request->get('field'));
+        if (!$definition instanceof ExtendedBlock) {
+            return $this->adminJson([
+                'success' => false,
+                'message' => 'Field is not an ExtendedBlock field',
+            ]);
+        }
+
+        $data = json_decode((string) $request->request->get('data', ''), true);
+
+        try {
+            $changed = $batchEditService->apply(
+                $object,
+                $definition,
+                (string) $request->request->get('operation'),
+                is_array($data) ? $data : [],
+                $this->getAdminUser()->getId()
+            );
+        } catch (Exception $e) {
+            Logger::warning(sprintf('ExtendedBlock: Batch edit of object %d failed: %s', $object->getId(), $e->getMessage()));
+
+            return $this->adminJson([
+                'success' => false,
+                'message' => sprintf('%s: %s', $object->getRealFullPath(), $e->getMessage()),
+            ]);
+        }
+
+        return $this->adminJson([
+            'success' => true,
+            'changed' => $changed,
+        ]);
+    }
+
+    /**
+     * Converts an uploaded CSV or JSON file to items of an ExtendedBlock field.
+     *
+     * The items are returned in editmode format for the import preview of the
+     * object editor; nothing is saved.
+     *
+     * Query parameters:
+     * - id: object id
+     * - field: ExtendedBlock field name
+     *
+     * The file is uploaded as "file". Its format is taken from the file extension,
+     * or from the content if the extension is neither csv nor json.
+     *
+     * @param Request           $request           The request
+     * @param ItemImportService $itemImportService The item import service
+     *
+     * @return JsonResponse {success, items, errors, mapped, ignored} or {success, message}
+     */
+    public function importAction(Request $request, ItemImportService $itemImportService): JsonResponse
+    {
+        $object = Concrete::getById((int) $request->query->get('id'));
+        if (!$object instanceof Concrete) {
+            throw $this->createNotFoundException('Object not found');
+        }
+
+        if (!$object->isAllowed('save')) {
+            throw $this->createAccessDeniedHttpException();
+        }
+
+        $definition = $object->getClass()->getFieldDefinition((string) $request->query->get('field'));
+        $file = $request->files->get('file');
+
+        if (!$definition instanceof ExtendedBlock) {
+            $result = [
+                'success' => false,
+                'message' => 'Field is not an ExtendedBlock field',
+            ];
+        } elseif (!$file instanceof UploadedFile || !$file->isValid()) {
+            $result = [
+                'success' => false,
+                'message' => 'No file uploaded',
+            ];
+        } else {
+            $content = (string) file_get_contents($file->getPathname());
+
+            try {
+                $result = ['success' => true] + $itemImportService->import(
+                    $definition,
+                    $content,
+                    $itemImportService->detectFormat($file->getClientOriginalName(), $content),
+                    $object
+                );
+            } catch (InvalidArgumentException $e) {
+                $result = [
+                    'success' => false,
+                    'message' => $e->getMessage(),
+                ];
+            }
+        }
+
+        $response = $this->adminJson($result);
+
+        // The upload form of the admin UI marks the submission as failed for application/json
+        $response->headers->set('Content-Type', 'text/html');
+
+        return $response;
+    }
+}
@@ -0,0 +1,176 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Grid Listing Event Listener.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\EventListener;
+
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use InvalidArgumentException;
+use Pimcore\Logger;
+use Pimcore\Model\DataObject\ClassDefinition;
+use Pimcore\Model\DataObject\Listing\Concrete as ConcreteListing;
+use Symfony\Component\EventDispatcher\GenericEvent;
+
+/**
+ * Listener for the listings of the object grid and the grid export.
+ *
+ * ExtendedBlock fields have no column in the object tables, so the grid cannot
+ * filter or sort by them on its own. This listener handles:
+ * - The column filter, added as subquery on the block table
+ * - Sorting by the column, ordered by the number of items
+ *
+ * @see https://pimcore.com/docs/platform/Events/events_list.html
+ */
+class GridListingListener
+{
+    /**
+     * Called before the object grid loads its listing.
+     *
+     * @param GenericEvent $event The event with the listing and the request parameters
+     */
+    public function onBeforeListLoad(GenericEvent $event): void
+    {
+        $this->applyToListing($event);
+    }
+
+    /**
+     * Called before the grid export loads the IDs of the objects to export.
+     *
+     * @param GenericEvent $event The event with the listing and the request parameters
+     */
+    public function onBeforeExport(GenericEvent $event): void
+    {
+        $this->applyToListing($event);
+    }
+
+    /**
+     * Applies the filters and the sorting of ExtendedBlock columns to the listing of the event.
+     *
+     * @param GenericEvent $event The event
+     */
+    protected function applyToListing(GenericEvent $event): void
+    {
+        if (!$event->hasArgument('list') || !$event->hasArgument('context')) {
+            return;
+        }
+
+        $list = $event->getArgument('list');
+        $context = $event->getArgument('context');
+
+        if (!$list instanceof ConcreteListing || !is_array($context)) {
+            return;
+        }
+
+        $fields = $this->findExtendedBlockFields($list->getClassId());
+        if (empty($fields)) {
+            return;
+        }
+
+        $this->applyFilters($list, $fields, $context);
+        $this->applySorting($list, $fields, $context);
+    }
+
+    /**
+     * Adds the conditions of the ExtendedBlock column filters.
+     *
+     * The filter value is a JSON string with the keys field, operator and value,
+     * because the grid combines array values with OR.
+     *
+     * @param ConcreteListing              $list    The listing
+     * @param array<string, ExtendedBlock> $fields  The ExtendedBlock fields by name
+     * @param array<string, mixed>         $context The request parameters
+     */
+    protected function applyFilters(ConcreteListing $list, array $fields, array $context): void
+    {
+        $filters = $this->decodeParam($context['filter'] ?? null);
+
+        foreach ($filters as $filter) {
+            if (!is_array($filter) || !isset($fields[$filter['property'] ?? ''])) {
+                continue;
+            }
+
+            $value = $this->decodeParam($filter['value'] ?? null);
+            if (empty($value)) {
+                continue;
+            }
+
+            try {
+                $list->addConditionParam(
+                    $fields[$filter['property']]->getItemFilterCondition($list->getClassId(), $value)
+                );
+            } catch (InvalidArgumentException $e) {
+                Logger::warning('ExtendedBlock: Ignoring grid filter: ' . $e->getMessage());
+            }
+        }
+    }
+
+    /**
+     * Orders the listing by the item count when the grid is sorted by an ExtendedBlock column.
+     *
+     * Replaces the order key set by the grid, which refers to a column that does not exist.
+     *
+     * @param ConcreteListing              $list    The listing
+     * @param array<string, ExtendedBlock> $fields  The ExtendedBlock fields by name
+     * @param array<string, mixed>         $context The request parameters
+     */
+    protected function applySorting(ConcreteListing $list, array $fields, array $context): void
+    {
+        $sorters = $this->decodeParam($context['sort'] ?? null);
+        $sorter = $sorters[0] ?? null;
+
+        if (!is_array($sorter) || !isset($fields[$sorter['property'] ?? ''])) {
+            return;
+        }
+
+        $direction = 'DESC' === strtoupper((string) ($sorter['direction'] ?? '')) ? 'DESC' : 'ASC';
+
+        $list->setOrderKey($fields[$sorter['property']]->getItemCountSql($list->getClassId()), false);
+        $list->setOrder($direction);
+    }
+
+    /**
+     * Decodes a request parameter that is sent as JSON string.
+     *
+     * @param mixed $param The parameter
+     *
+     * @return array<int|string, mixed> The decoded parameter, empty if it is not valid
+     */
+    protected function decodeParam(mixed $param): array
+    {
+        if (is_string($param)) {
+            $param = json_decode($param, true);
+        }
+
+        return is_array($param) ? $param : [];
+    }
+
+    /**
+     * Finds the ExtendedBlock fields of a class.
+     *
+     * ExtendedBlock can only be added at the root level of a class definition.
+     *
+     * @param string $classId The class ID
+     *
+     * @return array<string, ExtendedBlock> The fields by name
+     */
+    protected function findExtendedBlockFields(string $classId): array
+    {
+        $classDefinition = ClassDefinition::getById($classId);
+        if (!$classDefinition) {
+            return [];
+        }
+
+        return array_filter(
+            $classDefinition->getFieldDefinitions(),
+            static fn ($fieldDefinition): bool => $fieldDefinition instanceof ExtendedBlock
+        );
+    }
+}
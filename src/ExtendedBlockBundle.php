@@ -88,7 +88,12 @@ class ExtendedBlockBundle extends AbstractPimcoreBundle implements PimcoreBundle
         return [
             '/bundles/extendedblock/js/pimcore/startup.js',
             '/bundles/extendedblock/js/pimcore/object/tags/extendedBlock.js',
+            '/bundles/extendedblock/js/pimcore/object/helpers/extendedBlockGridFilter.js',
+            '/bundles/extendedblock/js/pimcore/object/helpers/extendedBlockBatchEdit.js',
+            '/bundles/extendedblock/js/pimcore/object/helpers/extendedBlockImportExport.js',
+            '/bundles/extendedblock/js/pimcore/object/helpers/extendedBlockHistory.js',
             '/bundles/extendedblock/js/pimcore/object/classes/data/extendedBlock.js',
+            '/bundles/extendedblock/js/pimcore/object/classes/layout/extendedBlockType.js',
         ];
     }
 
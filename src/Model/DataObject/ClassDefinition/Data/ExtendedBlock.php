@@ -18,6 +18,7 @@ use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockContainer;
 use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockItem;
 use ExtendedBlockBundle\Service\IdentifierValidator;
 use InvalidArgumentException;
+use Pimcore\Cache\RuntimeCache;
 use Pimcore\Db;
 use Pimcore\Logger;
 use Pimcore\Model\DataObject\ClassDefinition\Data;
@@ -33,14 +34,19 @@ use Pimcore\Model\DataObject\ClassDefinition\Data\ReverseObjectRelation;
 use Pimcore\Model\DataObject\ClassDefinition\Data\StructuredTable;
 use Pimcore\Model\DataObject\ClassDefinition\Data\Table;
 use Pimcore\Model\DataObject\ClassDefinition\Layout;
+use Pimcore\Model\DataObject\AbstractObject;
+use Pimcore\Model\DataObject\ClassDefinition\Service as ClassDefinitionService;
 use Pimcore\Model\DataObject\Concrete;
 use Pimcore\Model\Asset;
 use Pimcore\Model\DataObject\Data\Link;
 use Pimcore\Model\DataObject\Fieldcollection\Data\AbstractData as FieldcollectionAbstract;
 use Pimcore\Model\DataObject\Localizedfield;
+use Pimcore\Model\DataObject\Service as DataObjectService;
 use Pimcore\Model\DataObject\Objectbrick\Data\AbstractData as ObjectbrickAbstract;
 use Pimcore\Model\Element;
+use Pimcore\Tool;
 use RuntimeException;
+use Throwable;
 
 /**
  * Extended Block Data Type Definition.
@@ -74,10 +80,20 @@ use RuntimeException;
 class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterface, Data\LazyLoadingSupportInterface, Data\LayoutDefinitionEnrichmentInterface, Data\PreGetDataInterface, Data\VarExporterInterface
 {
     /**
-     * Maximum number of items to show in grid preview.
+     * Default number of items to show in grid preview.
      */
     private const GRID_MAX_PREVIEW_ITEMS = 5;
 
+    /**
+     * Maximum number of items the grid preview can be set to show.
+     */
+    private const GRID_MAX_PREVIEW_ROWS = 20;
+
+    /**
+     * Maximum number of items sent to the grid for the tooltip of the cell.
+     */
+    private const GRID_MAX_TOOLTIP_ITEMS = 20;
+
     /**
      * Maximum length for truncated string values in grid.
      */
@@ -88,6 +104,69 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      */
     private const GRID_TRUNCATE_LENGTH = 47;
 
+    /**
+     * Number of items sent to the object editor per page for lazy loading fields.
+     */
+    public const EDITMODE_PAGE_SIZE = 50;
+
+    /**
+     * Display mode with one collapsible panel per item.
+     */
+    public const DISPLAY_MODE_STACKED = 'stacked';
+
+    /**
+     * Display mode with an editable grid, one row per item.
+     */
+    public const DISPLAY_MODE_TABLE = 'table';
+
+    /**
+     * Inheritance mode: the object's own items replace the parent's items.
+     */
+    public const INHERITANCE_MODE_REPLACE = 'replace';
+
+    /**
+     * Inheritance mode: the object's own items follow the parent's items.
+     */
+    public const INHERITANCE_MODE_APPEND = 'append';
+
+    /**
+     * Inheritance mode: the object's own items override the parent's items by id,
+     * other own items follow the parent's items.
+     */
+    public const INHERITANCE_MODE_MERGE = 'merge';
+
+    /**
+     * Grid preview with a table of the first items.
+     */
+    public const GRID_PREVIEW_MODE_TABLE = 'table';
+
+    /**
+     * Grid preview with the item count only.
+     */
+    public const GRID_PREVIEW_MODE_COUNT = 'count';
+
+    /**
+     * Operators of the grid column filter.
+     * 'like' matches a part of the value, 'empty' and 'notempty' ignore the value.
+     */
+    public const GRID_FILTER_OPERATORS = ['=', '!=', 'like', '<', '>', 'empty', 'notempty'];
+
+    /**
+     * Visibility rule condition: the other sub-field has the rule's value.
+     */
+    public const VISIBILITY_CONDITION_EQUALS = 'equals';
+
+    /**
+     * Visibility rule condition: the other sub-field is not empty.
+     */
+    public const VISIBILITY_CONDITION_NOT_EMPTY = 'notempty';
+
+    /**
+     * Sub-field types that item presets can prefill.
+     * These are the types the class editor offers an input for.
+     */
+    public const ITEM_PRESET_FIELD_TYPES = ['input', 'email', 'textarea', 'numeric', 'checkbox', 'select'];
+
     /*
      * =========================================================================
      * FIELD SUPPORT MATRIX
@@ -112,7 +191,7 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * - Classificationstore             - Multi-table structure
      * - Block                           - Nested container
      * - ExtendedBlock                   - Self-nesting forbidden
-     * - LocalizedFields                 - Complex localization handling
+     * - LocalizedFields                 - Unless allowLocalizedFields is set (localized table)
      * - StructuredTable                 - Creates N×M columns, table-in-table UI
      * - Table                           - Serialized storage, table-in-table UI
      *
@@ -198,16 +277,92 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     public ?string $styleElement = null;
 
     /**
-     * Whether to allow localized fields inside this block.
+     * Title template of the item panels in the admin UI (e.g., "{title} – {caption}").
+     *
+     * Placeholders are {index}, {type} and sub-field names.
+     */
+    public ?string $itemTitleTemplate = null;
+
+    /**
+     * How items are edited in the admin UI: "stacked" item panels or an editable "table".
+     */
+    public string $displayMode = self::DISPLAY_MODE_STACKED;
+
+    /**
+     * How the items of a variant or child object combine with the parent's items:
+     * "replace", "append" or "merge" (by item id).
+     */
+    public string $inheritanceMode = self::INHERITANCE_MODE_REPLACE;
+
+    /**
+     * Whether to allow a LocalizedFields container inside this block.
+     * Its sub-fields are stored per item and language in the localized table.
      */
     public bool $allowLocalizedFields = false;
 
+    /**
+     * Sub-fields shown in the grid preview, empty for all displayable sub-fields.
+     *
+     * @var array<int, string>
+     */
+    public array $gridPreviewFields = [];
+
+    /**
+     * Number of items shown in the grid preview, at most GRID_MAX_PREVIEW_ROWS.
+     */
+    public int $gridPreviewRows = self::GRID_MAX_PREVIEW_ITEMS;
+
+    /**
+     * What the grid cell shows: a "table" of the first items or the item "count" only.
+     */
+    public string $gridPreviewMode = self::GRID_PREVIEW_MODE_TABLE;
+
+    /**
+     * Rules that show a sub-field only for certain values of another sub-field of the item.
+     *
+     * A sub-field with several rules is visible when all of them match. With
+     * clearHidden the sub-field is saved empty while it is hidden, by the object
+     * editor and by every other save (imports, API writes), see save().
+     * Structure:
+     * ```
+     * [
+     *     ['field' => 'video_url', 'dependsOn' => 'media_type', 'condition' => 'equals', 'value' => 'video', 'clearHidden' => true],
+     * ]
+     * ```
+     *
+     * @var array<int, array{field: string, dependsOn: string, condition: string, value: string, clearHidden: bool}>
+     */
+    public array $visibilityRules = [];
+
+    /**
+     * Prefilled items offered next to the empty item when an item is added in the object editor.
+     *
+     * The values are in editmode format and validated against the sub-fields of
+     * the preset's block type whenever the class is saved.
+     * Structure:
+     * ```
+     * [
+     *     ['name' => 'Standard warranty', 'type' => 'default', 'data' => ['title' => 'Warranty', 'months' => 24]],
+     * ]
+     * ```
+     *
+     * @var array<int, array{name: string, type: string, data: array<string, mixed>}>
+     */
+    public array $itemPresets = [];
+
     /**
      * Flag to indicate this block should not be added inside LocalizedFields.
      * Set when the block contains localized fields itself.
      */
     public bool $disallowAddingInLocalizedField = false;
 
+    /**
+     * Whether the object in the object editor was not saved since it was created.
+     * Set by enrichLayoutDefinition(); the editor pre-seeds empty blocks of new
+     * objects with minItems items.
+     */
+    public bool $newObject = false;
+
     /**
      * Child field definitions (following Pimcore Block pattern).
      *
@@ -411,11 +566,129 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     /**
      * Loads block data from the database for a given object.
      *
+     * With the inheritance modes "append" and "merge" the container also holds
+     * the parent's items (see mergeInheritedItems()), as long as inherited values
+     * are enabled.
+     *
      * @param Concrete $object The parent object
      *
      * @return ExtendedBlockContainer The loaded block container
      */
     public function loadBlockData(Concrete $object): ExtendedBlockContainer
+    {
+        $container = $this->loadBlockPage($object, 0, null);
+
+        if (self::INHERITANCE_MODE_REPLACE !== $this->inheritanceMode && AbstractObject::doGetInheritedValues($object)) {
+            $container->setItems($this->mergeInheritedItems($container->getItems(), $object));
+        }
+
+        return $container;
+    }
+
+    /**
+     * Returns the items an object inherits from its parent, marked as inherited.
+     *
+     * The parent's items are combined with its own parent's items first, so
+     * inheritance works across several levels.
+     *
+     * @param Concrete $object The object
+     *
+     * @return array<int, ExtendedBlockItem> The inherited items
+     */
+    public function getInheritedItems(Concrete $object): array
+    {
+        if (!$object->getClass()->getAllowInherit()) {
+            return [];
+        }
+
+        $parent = DataObjectService::hasInheritableParentObject($object);
+        if (!$parent instanceof Concrete) {
+            return [];
+        }
+
+        $items = [];
+        foreach ($this->mergeInheritedItems($this->loadBlockPage($parent, 0, null)->getItems(), $parent) as $parentItem) {
+            $item = clone $parentItem;
+            $item->setInherited(true);
+            $items[] = $item;
+        }
+
+        return $items;
+    }
+
+    /**
+     * Combines an object's own items with the items it inherits.
+     *
+     * - replace: only the own items
+     * - append: the inherited items, then the own items
+     * - merge: the inherited items, then the own items; an own item whose source id
+     *   is the id of an inherited item takes that item's place
+     *
+     * In both append and merge mode an own item with a source id hides the inherited
+     * item it overrides ("break inheritance" of a single item).
+     *
+     * @param array<int, ExtendedBlockItem> $ownItems The object's own items
+     * @param Concrete                      $object   The object
+     *
+     * @return array<int, ExtendedBlockItem> The combined items
+     */
+    public function mergeInheritedItems(array $ownItems, Concrete $object): array
+    {
+        if (self::INHERITANCE_MODE_REPLACE === $this->inheritanceMode) {
+            return $ownItems;
+        }
+
+        $inheritedItems = $this->getInheritedItems($object);
+        if ([] === $inheritedItems) {
+            return $ownItems;
+        }
+
+        $overrides = [];
+        foreach ($ownItems as $item) {
+            if (null !== $item->getSourceId()) {
+                $overrides[$item->getSourceId()] = $item;
+            }
+        }
+
+        $items = [];
+        $placed = [];
+        foreach ($inheritedItems as $inheritedItem) {
+            $override = $overrides[$inheritedItem->getId()] ?? null;
+
+            if (null === $override) {
+                $items[] = $inheritedItem;
+            } elseif (self::INHERITANCE_MODE_MERGE === $this->inheritanceMode) {
+                $items[] = $override;
+                $placed[spl_object_id($override)] = true;
+            }
+        }
+
+        foreach ($ownItems as $item) {
+            if (!isset($placed[spl_object_id($item)])) {
+                $items[] = $item;
+            }
+        }
+
+        foreach ($items as $index => $item) {
+            $item->setIndex($index);
+        }
+
+        return $items;
+    }
+
+    /**
+     * Loads a page of block items from the database for a given object.
+     *
+     * Used by the admin endpoint that pages through the items of lazy loading fields.
+     * The items keep their stored index.
+     *
+     * @param Concrete $object The parent object
+     * @param int      $offset Position of the first item to load
+     * @param int|null $limit  Maximum number of items to load, null for all
+     *
+     * @return ExtendedBlockContainer The container with the loaded items
+     */
+    public function loadBlockPage(Concrete $object, int $offset, ?int $limit): ExtendedBlockContainer
     {
         $container = new ExtendedBlockContainer(
             object: $object,
@@ -444,9 +717,12 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             // Use quoteIdentifier to safely escape the table name
             $quotedTable = $db->quoteIdentifier($tableName);
 
+            // LIMIT/OFFSET are cast to int, so they can be inlined safely
+            $limitClause = null !== $limit ? sprintf(' LIMIT %d OFFSET %d', max(0, $limit), max(0, $offset)) : '';
+
             // Load items from database
             $rows = $db->fetchAllAssociative(
-                "SELECT * FROM {$quotedTable} WHERE o_id = ? AND fieldname = ? ORDER BY `index` ASC",
+                "SELECT * FROM {$quotedTable} WHERE o_id = ? AND fieldname = ? ORDER BY `index` ASC" . $limitClause,
                 [$object->getId(), $this->getName()]
             );
 
@@ -456,6 +732,10 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                     $container->addItem($item);
                 }
             }
+
+            if ($this->allowLocalizedFields && $this->hasLocalizedFields()) {
+                $this->loadLocalizedData($container, $object);
+            }
         } catch (Exception $e) {
             Logger::error('ExtendedBlock: Error loading block data: ' . $e->getMessage());
         }
@@ -463,6 +743,95 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return $container;
     }
 
+    /**
+     * Counts the stored block items of an object without loading them.
+     *
+     * @param Concrete $object The parent object
+     *
+     * @return int The number of stored items
+     */
+    public function countStoredItems(Concrete $object): int
+    {
+        $tableName = $this->getTableName($object->getClassId());
+        $db = Db::get();
+
+        try {
+            $tableExists = $db->fetchOne(
+                'SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+                [$tableName]
+            );
+
+            if (!$tableExists) {
+                return 0;
+            }
+
+            $quotedTable = $db->quoteIdentifier($tableName);
+
+            return (int) $db->fetchOne(
+                "SELECT COUNT(*) FROM {$quotedTable} WHERE o_id = ? AND fieldname = ?",
+                [$object->getId(), $this->getName()]
+            );
+        } catch (Exception $e) {
+            Logger::error('ExtendedBlock: Error counting block items: ' . $e->getMessage());
+
+            return 0;
+        }
+    }
+
+    /**
+     * Returns the items of the first editmode page of a lazy loading field.
+     *
+     * The page holds the first EDITMODE_PAGE_SIZE own items; with the inheritance
+     * modes "append" and "merge" the inherited items are added to it. Inherited
+     * items overridden by an own item of a later page are left out, so they are
+     * not shown twice once that page is loaded.
+     *
+     * @param Concrete $object The parent object
+     *
+     * @return array<int, ExtendedBlockItem> The items of the page
+     */
+    protected function getFirstEditmodePage(Concrete $object): array
+    {
+        $items = $this->loadBlockPage($object, 0, self::EDITMODE_PAGE_SIZE)->getItems();
+
+        if (self::INHERITANCE_MODE_REPLACE === $this->inheritanceMode) {
+            return $items;
+        }
+
+        $overriddenIds = array_flip($this->getStoredSourceIds($object));
+
+        return array_values(array_filter(
+            $this->mergeInheritedItems($items, $object),
+            static fn (ExtendedBlockItem $item): bool => !$item->isInherited() || !isset($overriddenIds[$item->getId()]),
+        ));
+    }
+
+    /**
+     * Returns the ids of the inherited items that the object's own items override.
+     *
+     * @param Concrete $object The object
+     *
+     * @return array<int, int> The source ids of the stored items
+     */
+    protected function getStoredSourceIds(Concrete $object): array
+    {
+        $tableName = $this->getTableName($object->getClassId());
+        $db = Db::get();
+
+        try {
+            $quotedTable = $db->quoteIdentifier($tableName);
+
+            return array_map('intval', $db->fetchFirstColumn(
+                "SELECT source_id FROM {$quotedTable} WHERE o_id = ? AND fieldname = ? AND source_id IS NOT NULL",
+                [$object->getId(), $this->getName()]
+            ));
+        } catch (Exception $e) {
+            Logger::error('ExtendedBlock: Error loading overridden block items: ' . $e->getMessage());
+
+            return [];
+        }
+    }
+
     /**
      * Checks if this block definition contains localized fields.
      *
@@ -470,13 +839,30 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      */
     public function hasLocalizedFields(): bool
     {
-        foreach ($this->children as $field) {
-            if ($field instanceof Localizedfields) {
-                return true;
+        return [] !== $this->getLocalizedFieldDefinitions();
+    }
+
+    /**
+     * Returns the sub-fields inside the LocalizedFields containers of the block.
+     *
+     * Their values are stored per item and language in the localized table.
+     *
+     * @param string|null $type The block type, or null for the fields of all types
+     *
+     * @return array<string, Data>
+     */
+    public function getLocalizedFieldDefinitions(?string $type = null): array
+    {
+        $fieldDefinitions = null === $type ? $this->getFieldDefinitions() : $this->getFieldDefinitionsForType($type);
+
+        $definitions = [];
+        foreach ($fieldDefinitions as $fieldDef) {
+            if ($fieldDef instanceof Localizedfields) {
+                $definitions += $fieldDef->getFieldDefinitions();
             }
         }
 
-        return false;
+        return $definitions;
     }
 
     /**
@@ -488,6 +874,17 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * - Saving localized data to the localized table
      * - Removing deleted items
      *
+     * Items are matched to stored rows by their id: rows of kept items are
+     * updated in place, so item ids stay stable across saves. Items without
+     * an id (or with an id that does not belong to this object and field)
+     * are inserted as new rows.
+     *
+     * A lazy container that was never loaded has not been changed and is skipped.
+     * Hidden sub-fields whose visibility rule has clearHidden set are emptied first.
+     * A partial container (see ExtendedBlockContainer::getTailOffset()) only
+     * replaces the stored items before its tail offset; the stored items from
+     * the offset on are kept and moved behind the container's items.
+     *
      * @param Localizedfield|FieldcollectionAbstract|ObjectbrickAbstract|Concrete $object The parent object being saved
      * @param array<string, mixed>                                                $params Additional parameters
      */
@@ -503,6 +900,10 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             return;
         }
 
+        if ($container->isLazyLoad() && !$container->isLoaded()) {
+            return;
+        }
+
         $db = Db::get();
         $tableName = $this->getTableName($object->getClassId());
 
@@ -519,19 +920,46 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             // Use quoteIdentifier to safely escape the table name
             $quotedTable = $db->quoteIdentifier($tableName);
 
-            // Delete existing items for this object/field
-            $db->executeStatement(
-                "DELETE FROM {$quotedTable} WHERE o_id = ? AND fieldname = ?",
-                [$object->getId(), $this->getName()]
-            );
+            // Ids of the rows currently stored for this object/field
+            // (for a partial container only those of the replaced part)
+            $tailOffset = $container->getTailOffset();
+            $storedIds = array_flip(array_map('intval', $db->fetchFirstColumn(
+                "SELECT id FROM {$quotedTable} WHERE o_id = ? AND fieldname = ?" . (null !== $tailOffset ? ' AND `index` < ?' : ''),
+                null !== $tailOffset ? [$object->getId(), $this->getName(), $tailOffset] : [$object->getId(), $this->getName()]
+            )));
+
+            // Move the untouched tail behind the new items before the items get their indices
+            if (null !== $tailOffset) {
+                $db->executeStatement(
+                    "UPDATE {$quotedTable} SET `index` = `index` - ? + ? WHERE o_id = ? AND fieldname = ? AND `index` >= ?",
+                    [$tailOffset, count(array_filter($container->getItems(), static fn (ExtendedBlockItem $item): bool => !$item->isInherited())), $object->getId(), $this->getName(), $tailOffset]
+                );
+            }
 
-            // Insert new items
+            // Update kept items, insert new ones
             $index = 0;
+            $keptIds = [];
             foreach ($container->getItems() as $item) {
-                $this->saveBlockItem($item, $object, $index, $db, $tableName);
+                // Inherited items are stored with the parent object
+                if ($item->isInherited()) {
+                    continue;
+                }
+
+                $itemId = $item->getId();
+                $exists = null !== $itemId && isset($storedIds[$itemId]) && !isset($keptIds[$itemId]);
+
+                $this->clearHiddenFieldValues($item);
+                $this->saveBlockItem($item, $object, $index, $db, $tableName, $exists);
+                $keptIds[$item->getId()] = true;
                 ++$index;
             }
 
+            // Delete rows of items that were removed
+            $removedIds = array_keys(array_diff_key($storedIds, $keptIds));
+            if (!empty($removedIds)) {
+                $this->deleteBlockItemRows($removedIds, $object->getClassId(), $db);
+            }
+
             // Save localized data if present
             if ($this->allowLocalizedFields && $this->hasLocalizedFields()) {
                 $this->saveLocalizedData($container, $object);
@@ -588,7 +1016,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
 
         $data = $container->getObjectVar($this->getName());
         if ($this->getLazyLoading() && !$container->isLazyKeyLoaded($this->getName())) {
-            $data = $this->load($container);
+            // The lazy container reads its items on first access, so the object editor
+            // can page through them (see getDataForEditmode()) without loading all of them
+            $data = $this->getDataFromResource(null, $container);
 
             $setter = 'set' . ucfirst($this->getName());
             if (method_exists($container, $setter)) {
@@ -721,11 +1151,15 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * - No Block inside ExtendedBlock
      * - No Fieldcollections inside ExtendedBlock
      * - No Objectbricks inside ExtendedBlock
-     * - No LocalizedFields inside ExtendedBlock
+     * - LocalizedFields only if allowLocalizedFields is enabled
      * - No Classificationstore inside ExtendedBlock
      * - No AdvancedManyToManyRelation inside ExtendedBlock
      * - No AdvancedManyToManyObjectRelation inside ExtendedBlock
      * - No ReverseObjectRelation inside ExtendedBlock
+     * - Valid block type names and consistent fields across block types
+     *
+     * The field rules apply to the children, to the fields of every block type
+     * and to the fields inside LocalizedFields containers.
      *
      * @throws Exception If validation fails
      */
@@ -736,8 +1170,19 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             throw new Exception('ExtendedBlock with localized fields cannot be added inside a LocalizedFields container. This would create an infinite recursion. Please restructure your class definition.');
         }
 
-        // Validate children field definitions
-        foreach ($this->children as $field) {
+        // Validate block type names and field consistency between types
+        $this->validateBlockDefinitions();
+
+        // Validate that the visibility rules refer to existing sub-fields
+        $this->validateVisibilityRules();
+
+        // Validate children, block type and localized field definitions
+        $fieldDefinitions = array_merge(
+            array_values($this->getFieldDefinitions()),
+            array_values($this->getLocalizedFieldDefinitions())
+        );
+
+        foreach ($fieldDefinitions as $field) {
             // Check for nested ExtendedBlock
             if ($field instanceof self) {
                 throw new Exception('ExtendedBlock cannot contain another ExtendedBlock.');
@@ -758,9 +1203,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 throw new Exception('ExtendedBlock cannot contain Objectbricks. Objectbricks are complex container types that cannot be nested inside ExtendedBlock.');
             }
 
-            // Check for LocalizedFields inside ExtendedBlock
-            if ($field instanceof Localizedfields) {
-                throw new Exception('ExtendedBlock cannot contain LocalizedFields. Localized fields are not supported inside ExtendedBlock.');
+            // Check for LocalizedFields inside ExtendedBlock (stored in the localized table when enabled)
+            if ($field instanceof Localizedfields && !$this->allowLocalizedFields) {
+                throw new Exception('ExtendedBlock cannot contain LocalizedFields unless "Allow localized fields" is enabled in the field settings.');
             }
 
             // Check for Classificationstore inside ExtendedBlock
@@ -800,50 +1245,345 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 throw new Exception('ExtendedBlock cannot contain Table. See documentation for storage and UI complexity details.');
             }
         }
+
+        // Validate the item presets against the current sub-fields
+        $this->validateItemPresets();
     }
 
     /**
-     * Checks if this data type should be disallowed in LocalizedFields.
+     * Validates the block type definitions.
      *
-     * Returns true if this ExtendedBlock contains localized fields,
-     * preventing infinite recursion.
+     * Type names become values of the `type` column, so they must be valid identifiers.
+     * All block types share one item table, so a field name used by several types
+     * must have the same field type everywhere.
      *
-     * @return bool True if should be disallowed
+     * @throws Exception If a type name is invalid or a field is defined inconsistently
      */
-    public function isDisallowedInLocalizedFields(): bool
+    protected function validateBlockDefinitions(): void
     {
-        return $this->hasLocalizedFields();
+        $allFields = $this->getFieldDefinitions();
+
+        foreach (array_keys($this->blockDefinitions) as $type) {
+            IdentifierValidator::validateBlockTypeName((string) $type);
+
+            foreach ($this->getFieldDefinitionsForType((string) $type) as $fieldName => $fieldDef) {
+                if ($allFields[$fieldName]->getFieldtype() !== $fieldDef->getFieldtype()) {
+                    throw new Exception(sprintf('ExtendedBlock field "%s" is defined with different field types ("%s" and "%s") in several block types. Block types share one table, so a field name must have the same type in every block type.', $fieldName, $allFields[$fieldName]->getFieldtype(), $fieldDef->getFieldtype()));
+                }
+            }
+        }
     }
 
     /**
-     * {@inheritdoc}
+     * Validates the visibility rules.
      *
-     * Enriches the layout definition for the admin UI.
+     * Both sub-fields of a rule must exist outside the LocalizedFields container,
+     * as the rules are evaluated per item and not per language.
+     *
+     * @throws Exception If a rule refers to an unknown sub-field or has an unknown condition
      */
-    public function enrichLayoutDefinition(?Concrete $object, array $context = []): static
+    protected function validateVisibilityRules(): void
     {
-        return $this;
-    }
+        $fieldDefinitions = $this->getFieldDefinitions();
 
-    /**
-     * Returns the data for grid view.
+        foreach ($this->visibilityRules as $rule) {
+            foreach ([$rule['field'], $rule['dependsOn']] as $fieldName) {
+                if (!isset($fieldDefinitions[$fieldName]) || $fieldDefinitions[$fieldName] instanceof Localizedfields) {
+                    throw new Exception(sprintf('ExtendedBlock visibility rule refers to unknown sub-field "%s". Rules can only use sub-fields outside the LocalizedFields container.', $fieldName));
+                }
+            }
+
+            if ($rule['field'] === $rule['dependsOn']) {
+                throw new Exception(sprintf('ExtendedBlock visibility rule of sub-field "%s" cannot depend on the sub-field itself.', $rule['field']));
+            }
+
+            if (!in_array($rule['condition'], [self::VISIBILITY_CONDITION_EQUALS, self::VISIBILITY_CONDITION_NOT_EMPTY], true)) {
+                throw new Exception(sprintf('ExtendedBlock visibility rule of sub-field "%s" has unknown condition "%s".', $rule['field'], $rule['condition']));
+            }
+        }
+    }
+
+    /**
+     * Validates the item presets.
+     *
+     * Preset names must be unique, the block type must exist, and every value must
+     * belong to a sub-field of that type that presets can prefill. The values are
+     * converted and checked like values from the object editor, without the
+     * mandatory check, as presets may leave sub-fields empty.
+     *
+     * @throws Exception If a preset does not match the current sub-fields
+     */
+    protected function validateItemPresets(): void
+    {
+        $names = [];
+
+        foreach ($this->itemPresets as $preset) {
+            if (isset($names[$preset['name']])) {
+                throw new Exception(sprintf('ExtendedBlock item preset "%s" is defined more than once.', $preset['name']));
+            }
+            $names[$preset['name']] = true;
+
+            if ('default' !== $preset['type'] && !isset($this->blockDefinitions[$preset['type']])) {
+                throw new Exception(sprintf('ExtendedBlock item preset "%s" uses unknown block type "%s".', $preset['name'], $preset['type']));
+            }
+
+            $fieldDefinitions = $this->getFieldDefinitionsForType($preset['type']);
+
+            foreach ($preset['data'] as $fieldName => $value) {
+                $fieldDef = $fieldDefinitions[$fieldName] ?? null;
+
+                if (!$fieldDef instanceof Data || !in_array($fieldDef->getFieldtype(), self::ITEM_PRESET_FIELD_TYPES, true)) {
+                    throw new Exception(sprintf('ExtendedBlock item preset "%s" has a value for "%s", which is not a sub-field of block type "%s" that presets can prefill (%s).', $preset['name'], $fieldName, $preset['type'], implode(', ', self::ITEM_PRESET_FIELD_TYPES)));
+                }
+
+                try {
+                    $fieldDef->checkValidity($fieldDef->getDataFromEditmode($value), true);
+                } catch (Throwable $e) {
+                    throw new Exception(sprintf('ExtendedBlock item preset "%s" has an invalid value for sub-field "%s": %s', $preset['name'], $fieldName, $e->getMessage()), 0, $e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Checks if the block has no items.
+     *
+     * Pimcore falls back to the parent's value for empty fields, which is the
+     * "replace" inheritance mode. In the other modes the parent's items are part
+     * of the value itself, so the block is only empty if there are none to inherit.
+     *
+     * @param mixed $data The block data
+     *
+     * @return bool True if empty
+     */
+    public function isEmpty(mixed $data): bool
+    {
+        if (!$data instanceof ExtendedBlockContainer) {
+            return true;
+        }
+
+        if (count($data->getItems()) > 0) {
+            return false;
+        }
+
+        $object = $data->getObject();
+
+        return self::INHERITANCE_MODE_REPLACE === $this->inheritanceMode
+            || !$object instanceof Concrete
+            || [] === $this->getInheritedItems($object);
+    }
+
+    /**
+     * Validates the data before the object is saved.
+     *
+     * Enforces minItems for imports and API writes, matching the check of the
+     * object editor. Like the mandatory check it is skipped when
+     * $omitMandatoryCheck is set (e.g. saving unpublished versions).
+     *
+     * The items are validated with the rules of their sub-fields, see getItemValidationErrors().
+     * A partial container is validated together with the stored items it keeps, as
+     * the object editor only validates the pages it has loaded.
+     *
+     * @param mixed                $data               The block data
+     * @param bool                 $omitMandatoryCheck Whether to skip mandatory checks
+     * @param array<string, mixed> $params             Additional parameters
+     *
+     * @throws Element\ValidationException If fewer than minItems items are present or an item is not valid
+     */
+    public function checkValidity(mixed $data, bool $omitMandatoryCheck = false, array $params = []): void
+    {
+        parent::checkValidity($data, $omitMandatoryCheck, $params);
+
+        // An unloaded lazy container has not been changed, so there is nothing new to validate
+        if ($data instanceof ExtendedBlockContainer && $data->isLazyLoad() && !$data->isLoaded()) {
+            return;
+        }
+
+        if ($data instanceof ExtendedBlockContainer) {
+            $data = $this->addStoredTail($data);
+            $errors = $this->getItemValidationErrors($data, $omitMandatoryCheck);
+            if ([] !== $errors) {
+                throw new Element\ValidationException(sprintf('ExtendedBlock field [ %s ] has invalid items: %s', $this->getName(), implode('; ', $errors)));
+            }
+        }
+
+        if ($omitMandatoryCheck || $this->minItems < 1) {
+            return;
+        }
+
+        $count = $data instanceof ExtendedBlockContainer ? count($data) : 0;
+
+        if ($count < $this->minItems) {
+            throw new Element\ValidationException(sprintf('ExtendedBlock field [ %s ] requires at least %d item(s), %d given.', $this->getName(), $this->minItems, $count));
+        }
+    }
+
+    /**
+     * Returns the items of a partial container followed by the stored items it keeps.
+     *
+     * Other containers are returned as they are.
+     *
+     * @param ExtendedBlockContainer $container The block data
+     *
+     * @return ExtendedBlockContainer The container with all items of the field
+     */
+    protected function addStoredTail(ExtendedBlockContainer $container): ExtendedBlockContainer
+    {
+        $object = $container->getObject();
+        if (null === $container->getTailOffset() || null === $object) {
+            return $container;
+        }
+
+        $tail = $this->loadBlockPage($object, $container->getTailOffset(), null)->getItems();
+
+        return (new ExtendedBlockContainer(object: $object, fieldname: $this->getName(), definition: $this, lazyLoad: false))
+            ->setItems(array_merge($container->getItems(), $tail));
+    }
+
+    /**
+     * Validates the sub-field values of each item with the rules of the sub-fields.
+     *
+     * Runs the checkValidity() of every sub-field, so the rules of the object
+     * editor apply: mandatory, the regular expression of input fields and the
+     * range of numeric fields. Localized sub-fields are checked in every valid
+     * language. Inherited items are validated with their own object, and
+     * sub-fields hidden by a visibility rule are not validated.
+     *
+     * Items are numbered from 1 in the order of the editor, inherited items included.
+     *
+     * @param ExtendedBlockContainer $container          The block data
+     * @param bool                   $omitMandatoryCheck Whether to skip mandatory checks
+     *
+     * @return array<int, string> The failures, as "item N: field X: message"
+     */
+    public function getItemValidationErrors(ExtendedBlockContainer $container, bool $omitMandatoryCheck = false): array
+    {
+        $errors = [];
+
+        foreach (array_values($container->getItems()) as $position => $item) {
+            if ($item->isInherited()) {
+                continue;
+            }
+
+            foreach ($this->getFieldDefinitionsForType($item->getType()) as $fieldName => $fieldDef) {
+                if (!$fieldDef instanceof Localizedfields && $this->isFieldVisible($item, (string) $fieldName)) {
+                    $error = $this->getFieldValidationError($fieldDef, $item->getFieldValue((string) $fieldName), $omitMandatoryCheck);
+                    if (null !== $error) {
+                        $errors[] = sprintf('item %d: field %s: %s', $position + 1, $fieldName, $error);
+                    }
+                }
+            }
+
+            $localizedFieldDefinitions = $this->allowLocalizedFields ? $this->getLocalizedFieldDefinitions($item->getType()) : [];
+            foreach ($localizedFieldDefinitions ? Tool::getValidLanguages() : [] as $language) {
+                foreach ($localizedFieldDefinitions as $fieldName => $fieldDef) {
+                    $error = $this->getFieldValidationError($fieldDef, $item->getLocalizedValue($language, $fieldName), $omitMandatoryCheck);
+                    if (null !== $error) {
+                        $errors[] = sprintf('item %d: field %s (%s): %s', $position + 1, $fieldName, $language, $error);
+                    }
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Checks if a sub-field of an item is visible according to the visibility rules.
+     *
+     * @param ExtendedBlockItem $item      The item
+     * @param string            $fieldName The sub-field name
+     *
+     * @return bool True if no rule of the sub-field hides it
+     */
+    public function isFieldVisible(ExtendedBlockItem $item, string $fieldName): bool
+    {
+        foreach ($this->visibilityRules as $rule) {
+            if ($rule['field'] === $fieldName && !$this->matchesVisibilityRule($rule, $item->getFieldValue($rule['dependsOn']))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Empties the hidden sub-fields of an item whose visibility rule has clearHidden set.
+     *
+     * The rules are evaluated on the values before clearing, as in the object editor.
+     *
+     * @param ExtendedBlockItem $item The item, changed in place
+     */
+    public function clearHiddenFieldValues(ExtendedBlockItem $item): void
+    {
+        $typeFields = $this->getFieldDefinitionsForType($item->getType());
+        $hiddenFields = [];
+
+        foreach ($this->visibilityRules as $rule) {
+            if ($rule['clearHidden'] && isset($typeFields[$rule['field']]) && !$this->isFieldVisible($item, $rule['field'])) {
+                $hiddenFields[] = $rule['field'];
+            }
+        }
+
+        foreach ($hiddenFields as $fieldName) {
+            $item->setFieldValue($fieldName, null);
+        }
+    }
+
+    /**
+     * Checks if this data type should be disallowed in LocalizedFields.
+     *
+     * Returns true if this ExtendedBlock contains localized fields,
+     * preventing infinite recursion.
+     *
+     * @return bool True if should be disallowed
+     */
+    public function isDisallowedInLocalizedFields(): bool
+    {
+        return $this->hasLocalizedFields();
+    }
+
+    /**
+     * {@inheritdoc}
+     *
+     * Enriches the layout definition for the admin UI.
+     *
+     * Marks objects that were not saved since they were created: creating an
+     * object saves its first version, every later save adds one.
+     */
+    public function enrichLayoutDefinition(?Concrete $object, array $context = []): static
+    {
+        $this->newObject = null !== $object && $object->getVersionCount() <= 1;
+
+        return $this;
+    }
+
+    /**
+     * Returns the data for grid view.
      *
      * Returns a structured array with data for table rendering in ExtJS grid.
      * Format follows structuredTable pattern for proper table UI rendering:
      * ```
      * [
      *     'count' => int,              // Total number of items
+     *     'mode' => string,            // gridPreviewMode: "table" or "count"
+     *     'rows' => int,               // Number of items shown in the cell
      *     'fields' => [                // Column definitions (child fields)
-     *         ['key' => string, 'label' => string],
+     *         ['key' => string, 'label' => string, 'type' => string, 'preview' => bool],
      *         ...
      *     ],
-     *     'items' => [                 // Row data (max GRID_MAX_PREVIEW_ITEMS)
+     *     'items' => [                 // Row data for the cell and its tooltip
      *         ['fieldKey' => value, ...],  // Values keyed by field name
      *         ...
      *     ]
      * ]
      * ```
      *
+     * The tooltip shows all displayable fields of up to GRID_MAX_TOOLTIP_ITEMS items,
+     * the cell only the fields marked as preview. Image values are sent as
+     * ['id' => int, 'path' => string] for the thumbnail. In "count" mode the cell
+     * shows the count only, so neither fields nor items are sent.
+     *
      * @param mixed                $data   The block data
      * @param Concrete|null        $object The parent object
      * @param array<string, mixed> $params Additional parameters
@@ -854,6 +1594,8 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     {
         $result = [
             'count' => 0,
+            'mode' => $this->gridPreviewMode,
+            'rows' => $this->gridPreviewRows,
             'fields' => [],
             'items' => [],
         ];
@@ -865,18 +1607,24 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         $items = $data->getItems();
         $result['count'] = count($items);
 
+        if (self::GRID_PREVIEW_MODE_COUNT === $this->gridPreviewMode) {
+            return $result;
+        }
+
         // Get field definitions for column headers (key + label)
         $fieldDefinitions = $this->getGridDisplayableFieldDefinitions();
         $result['fields'] = $fieldDefinitions;
 
         // Generate row data for limited items to keep grid lightweight
-        $maxItems = min(self::GRID_MAX_PREVIEW_ITEMS, count($items));
+        $maxItems = min(max(self::GRID_MAX_TOOLTIP_ITEMS, $this->gridPreviewRows), count($items));
         for ($i = 0; $i < $maxItems; ++$i) {
             $item = $items[$i];
             $rowData = [];
             foreach ($fieldDefinitions as $fieldDef) {
                 $value = $item->getFieldValue($fieldDef['key']);
-                $rowData[$fieldDef['key']] = $this->formatValueForGridPreview($value);
+                $rowData[$fieldDef['key']] = $value instanceof Asset\Image
+                    ? ['id' => $value->getId(), 'path' => $value->getRealFullPath()]
+                    : $this->formatValueForGridPreview($value);
             }
             $result['items'][] = $rowData;
         }
@@ -914,7 +1662,7 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         $lines = [];
         foreach ($items as $index => $item) {
             $itemValues = [];
-            foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+            foreach ($this->getFieldDefinitionsForType($item->getType()) as $fieldName => $fieldDef) {
                 if (!$fieldDef instanceof Localizedfields) {
                     $value = $item->getFieldValue($fieldName);
                     $itemValues[$fieldName] = $this->formatValueForCsvExport($value);
@@ -934,6 +1682,170 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return implode("\n", $lines);
     }
 
+    /**
+     * {@inheritdoc}
+     *
+     * The grid passes the column filter here without the class of the listing,
+     * so the block table is unknown at this point. GridListingListener adds the
+     * condition from getItemFilterCondition() to the listing instead.
+     */
+    public function getFilterConditionExt(mixed $value, string $operator, array $params = []): string
+    {
+        return '1 = 1';
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function isFilterable(): bool
+    {
+        return true;
+    }
+
+    /**
+     * Returns the sub-fields that can be used in the grid column filter.
+     *
+     * Only sub-fields stored in a single column of the block table can be compared.
+     *
+     * @return array<string, Data>
+     */
+    public function getFilterableFieldDefinitions(): array
+    {
+        return array_filter(
+            $this->getFieldDefinitions(),
+            static fn (Data $fieldDef): bool => !$fieldDef instanceof Localizedfields
+                && method_exists($fieldDef, 'getColumnType')
+                && is_string($fieldDef->getColumnType())
+                && '' !== $fieldDef->getColumnType()
+        );
+    }
+
+    /**
+     * Builds the listing condition of the grid column filter.
+     *
+     * Matches the objects that have at least one item whose sub-field compares
+     * to the value with the operator, e.g. all products with a spec row of
+     * material = steel:
+     * ```
+     * oo_id IN (SELECT eb.o_id FROM object_eb_product_specs eb
+     *           WHERE eb.fieldname = 'specs' AND eb.`material` = 'steel')
+     * ```
+     *
+     * @param string               $classId The class ID of the listing
+     * @param array<string, mixed> $filter  The filter with the keys field, operator and value
+     *
+     * @throws InvalidArgumentException If the sub-field or the operator cannot be used
+     *
+     * @return string The SQL condition
+     */
+    public function getItemFilterCondition(string $classId, array $filter): string
+    {
+        $fieldName = (string) ($filter['field'] ?? '');
+        $operator = (string) ($filter['operator'] ?? '=');
+
+        if (!isset($this->getFilterableFieldDefinitions()[$fieldName])) {
+            throw new InvalidArgumentException(sprintf('Sub-field "%s" of ExtendedBlock "%s" cannot be filtered', $fieldName, $this->getName()));
+        }
+
+        if (!in_array($operator, self::GRID_FILTER_OPERATORS, true)) {
+            throw new InvalidArgumentException(sprintf('Unknown filter operator "%s"', $operator));
+        }
+
+        IdentifierValidator::validateColumnName($fieldName);
+
+        $db = Db::get();
+        $column = 'eb.' . $db->quoteIdentifier($fieldName);
+        $value = is_scalar($filter['value'] ?? null) ? (string) $filter['value'] : '';
+
+        // COALESCE() compares as string, so 0 in a numeric column is not empty
+        $comparison = match ($operator) {
+            'like' => $column . ' LIKE ' . $db->quote('%' . addcslashes($value, '%_\\') . '%'),
+            'empty' => 'COALESCE(' . $column . ", '') = ''",
+            'notempty' => 'COALESCE(' . $column . ", '') <> ''",
+            default => $column . ' ' . $operator . ' ' . $db->quote($value),
+        };
+
+        return sprintf(
+            'oo_id IN (SELECT eb.o_id FROM %s eb WHERE eb.fieldname = %s AND %s)',
+            $db->quoteIdentifier($this->getTableName($classId)),
+            $db->quote($this->getName()),
+            $comparison
+        );
+    }
+
+    /**
+     * Checks if an item matches a sub-field condition of the grid column filter.
+     *
+     * The PHP counterpart of getItemFilterCondition(), used by the batch edit to
+     * remove matching items: values are compared as numbers when both sides are
+     * numeric, as strings otherwise; 'like' ignores the case.
+     *
+     * @param ExtendedBlockItem    $item   The item
+     * @param array<string, mixed> $filter The filter with the keys field, operator and value
+     *
+     * @throws InvalidArgumentException If the sub-field or the operator cannot be used
+     *
+     * @return bool True if the item matches
+     */
+    public function matchesItemFilter(ExtendedBlockItem $item, array $filter): bool
+    {
+        $fieldName = (string) ($filter['field'] ?? '');
+        $operator = (string) ($filter['operator'] ?? '=');
+
+        if (!isset($this->getFilterableFieldDefinitions()[$fieldName])) {
+            throw new InvalidArgumentException(sprintf('Sub-field "%s" of ExtendedBlock "%s" cannot be filtered', $fieldName, $this->getName()));
+        }
+
+        if (!in_array($operator, self::GRID_FILTER_OPERATORS, true)) {
+            throw new InvalidArgumentException(sprintf('Unknown filter operator "%s"', $operator));
+        }
+
+        // Compare with the stored column value, as the SQL filter does
+        $itemValue = $item->getFieldValue($fieldName);
+        $itemValue = match (true) {
+            null === $itemValue => '',
+            is_bool($itemValue) => $itemValue ? '1' : '0',
+            $itemValue instanceof DateTimeInterface => (string) $itemValue->getTimestamp(),
+            is_scalar($itemValue) => (string) $itemValue,
+            default => '',
+        };
+        $value = is_scalar($filter['value'] ?? null) ? (string) $filter['value'] : '';
+
+        $comparison = is_numeric($itemValue) && is_numeric($value)
+            ? (float) $itemValue <=> (float) $value
+            : strcmp($itemValue, $value);
+
+        return match ($operator) {
+            '=' => 0 === $comparison,
+            '!=' => 0 !== $comparison,
+            '<' => $comparison < 0,
+            '>' => $comparison > 0,
+            'like' => false !== mb_stripos($itemValue, $value),
+            'empty' => '' === $itemValue,
+            'notempty' => '' !== $itemValue,
+        };
+    }
+
+    /**
+     * Returns the SQL expression for the item count of the listed object.
+     *
+     * Used as order key when the grid is sorted by the column.
+     *
+     * @param string $classId The class ID of the listing
+     *
+     * @return string The SQL subquery
+     */
+    public function getItemCountSql(string $classId): string
+    {
+        $db = Db::get();
+
+        return sprintf(
+            '(SELECT COUNT(*) FROM %s eb WHERE eb.o_id = oo_id AND eb.fieldname = %s)',
+            $db->quoteIdentifier($this->getTableName($classId)),
+            $db->quote($this->getName())
+        );
+    }
+
     /**
      * Returns the data for editmode in admin.
      *
@@ -941,7 +1853,7 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * @param Concrete|null        $object The parent object
      * @param array<string, mixed> $params Additional parameters
      *
-     * @return array<int, array<string, mixed>>|null The editmode data
+     * @return array<int|string, mixed>|null The editmode data (the item list, or the first page with paging info)
      */
     public function getDataForEditmode(mixed $data, ?Concrete $object = null, array $params = []): ?array
     {
@@ -949,8 +1861,45 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             return null;
         }
 
+        // Lazy loading fields with many items only send the first page of their own items,
+        // the object editor loads the following pages from the admin endpoint
+        if ($object && $data->isLazyLoad() && !$data->isLoaded()) {
+            $total = $this->countStoredItems($object);
+
+            if ($total > self::EDITMODE_PAGE_SIZE) {
+                return [
+                    'paged' => true,
+                    'total' => $total,
+                    'pageSize' => self::EDITMODE_PAGE_SIZE,
+                    'items' => $this->getEditmodeItemData($this->getFirstEditmodePage($object), $object),
+                ];
+            }
+        }
+
+        // The editor always gets the inherited items, whether inherited values are enabled or not
+        if ($object && self::INHERITANCE_MODE_REPLACE !== $this->inheritanceMode) {
+            $ownItems = array_filter($data->getItems(), static fn (ExtendedBlockItem $item): bool => !$item->isInherited());
+
+            return $this->getEditmodeItemData($this->mergeInheritedItems(array_values($ownItems), $object), $object);
+        }
+
+        return $this->getEditmodeItemData($data->getItems(), $object);
+    }
+
+    /**
+     * Converts items to the editmode format, without paging.
+     *
+     * Used for the object editor, the pages of the admin endpoint and the var export.
+     *
+     * @param array<int, ExtendedBlockItem> $items  The items
+     * @param Concrete|null                 $object The parent object
+     *
+     * @return array<int, array<string, mixed>> The items as {id, type, index, data, localizedData, ...}
+     */
+    public function getEditmodeItemData(array $items, ?Concrete $object = null): array
+    {
         $result = [];
-        foreach ($data->getItems() as $item) {
+        foreach ($items as $item) {
             $itemData = [
                 'id' => $item->getId(),
                 'type' => $item->getType(),
@@ -959,8 +1908,16 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 'localizedData' => [],
             ];
 
-            // Get field data from children definitions
-            foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+            if ($item->isInherited()) {
+                $itemData['inherited'] = true;
+            }
+
+            if (null !== $item->getSourceId()) {
+                $itemData['sourceId'] = $item->getSourceId();
+            }
+
+            // Get field data from the definitions of the item's block type
+            foreach ($this->getFieldDefinitionsForType($item->getType()) as $fieldName => $fieldDef) {
                 if (!$fieldDef instanceof Localizedfields) {
                     $value = $item->getFieldValue($fieldName);
                     // Use method_exists to safely call getDataForEditmode
@@ -972,6 +1929,17 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 }
             }
 
+            // Localized values, keyed by language and field name
+            $localizedFieldDefinitions = $this->allowLocalizedFields ? $this->getLocalizedFieldDefinitions($item->getType()) : [];
+            foreach ($localizedFieldDefinitions ? Tool::getValidLanguages() : [] as $language) {
+                foreach ($localizedFieldDefinitions as $fieldName => $fieldDef) {
+                    $value = $item->getLocalizedValue($language, $fieldName);
+                    $itemData['localizedData'][$language][$fieldName] = method_exists($fieldDef, 'getDataForEditmode')
+                        ? $fieldDef->getDataForEditmode($value, $object)
+                        : $value;
+                }
+            }
+
             $result[] = $itemData;
         }
 
@@ -981,6 +1949,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     /**
      * Returns the data from editmode submission.
      *
+     * A paged editor submits {partial: true, offset, items}: the items replace the
+     * stored items before the offset, the stored items from the offset on are kept.
+     *
      * @param mixed                $data   The submitted data
      * @param Concrete|null        $object The parent object
      * @param array<string, mixed> $params Additional parameters
@@ -1000,7 +1971,17 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             return $container;
         }
 
+        if (!empty($data['partial'])) {
+            $container->setTailOffset(max(0, (int) ($data['offset'] ?? 0)));
+            $data = is_array($data['items'] ?? null) ? $data['items'] : [];
+        }
+
         foreach ($data as $index => $itemData) {
+            // Inherited items are read-only in the editor and stored with the parent object
+            if (!empty($itemData['inherited'])) {
+                continue;
+            }
+
             $type = $itemData['type'] ?? 'default';
 
             $item = new ExtendedBlockItem(
@@ -1014,8 +1995,12 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 $item->setId((int) $itemData['id']);
             }
 
-            // Process field data from children definitions
-            foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+            if (isset($itemData['sourceId'])) {
+                $item->setSourceId((int) $itemData['sourceId']);
+            }
+
+            // Process field data from the definitions of the item's block type
+            foreach ($this->getFieldDefinitionsForType($type) as $fieldName => $fieldDef) {
                 if (!$fieldDef instanceof Localizedfields) {
                     if (isset($itemData['data'][$fieldName])) {
                         // Use method_exists to safely call getDataFromEditmode
@@ -1029,15 +2014,82 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 }
             }
 
+            // Process localized values of the valid languages
+            $localizedFieldDefinitions = $this->allowLocalizedFields ? $this->getLocalizedFieldDefinitions($type) : [];
+            if ($localizedFieldDefinitions && is_array($itemData['localizedData'] ?? null)) {
+                $localizedData = [];
+                foreach (Tool::getValidLanguages() as $language) {
+                    if (!is_array($itemData['localizedData'][$language] ?? null)) {
+                        continue;
+                    }
+
+                    foreach ($localizedFieldDefinitions as $fieldName => $fieldDef) {
+                        if (isset($itemData['localizedData'][$language][$fieldName])) {
+                            $value = $itemData['localizedData'][$language][$fieldName];
+                            $localizedData[$language][$fieldName] = method_exists($fieldDef, 'getDataFromEditmode')
+                                ? $fieldDef->getDataFromEditmode($value, $object)
+                                : $value;
+                        }
+                    }
+                }
+
+                $item->setLocalizedData($localizedData);
+            }
+
             $container->addItem($item);
         }
 
+        // Keep the inherited items in the value, as loadBlockData() does
+        if ($object && self::INHERITANCE_MODE_REPLACE !== $this->inheritanceMode && AbstractObject::doGetInheritedValues($object)) {
+            $container->setItems($this->mergeInheritedItems($container->getItems(), $object));
+        }
+
         return $container;
     }
 
+    /**
+     * Returns the preview of a version in the version view and version comparison.
+     *
+     * The comparison renders both versions of a field one after the other in the
+     * same request, so the second preview is rendered as a diff against the first.
+     * Which of the two is the older version is taken from the objects, as the
+     * versions may be compared in either order.
+     *
+     * @param mixed                $data   The block data
+     * @param Concrete|null        $object The object of the version
+     * @param array<string, mixed> $params Additional parameters
+     *
+     * @return string The HTML preview string
+     */
+    public function getVersionPreview(mixed $data, ?Concrete $object = null, array $params = []): string
+    {
+        // Workaround: Pimcore passes only one version to this method, so the first preview
+        // hands its data to the second one through the runtime cache of the request.
+        if (null !== $object && !isset($params['compareWith'])) {
+            $cacheKey = sprintf('extended_block_version_preview_%d_%s', $object->getId(), $this->getName());
+            $previous = RuntimeCache::isRegistered($cacheKey) ? RuntimeCache::get($cacheKey) : null;
+            $version = [(int) $object->getModificationDate(), (int) $object->getVersionCount()];
+
+            if (is_array($previous) && $previous['object'] !== spl_object_id($object)) {
+                $params['compareWith'] = $previous['data'];
+                $params['compareWithNewer'] = ($previous['version'] <=> $version) > 0;
+                RuntimeCache::set($cacheKey, null);
+            } else {
+                RuntimeCache::set($cacheKey, ['object' => spl_object_id($object), 'data' => $data, 'version' => $version]);
+            }
+        }
+
+        return (string) $this->getDataForVersionPreview($data, $object, $params);
+    }
+
     /**
      * Returns data for version preview.
      *
+     * Renders the items as a table with one row per item. With a container in
+     * $params['compareWith'] (the other version), items are matched by id and
+     * marked as added, removed or moved, and changed sub-field values are highlighted.
+     * The other version is the older one, unless $params['compareWithNewer'] is set.
+     *
      * @param mixed                $data   The block data
      * @param Concrete|null        $object The parent object
      * @param array<string, mixed> $params Additional parameters
@@ -1046,13 +2098,25 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      */
     public function getDataForVersionPreview(mixed $data, ?Concrete $object = null, array $params = []): ?string
     {
-        if ($data instanceof ExtendedBlockContainer) {
-            $count = count($data->getItems());
+        $items = $data instanceof ExtendedBlockContainer ? $data->getItems() : [];
+        $compareWith = $params['compareWith'] ?? null;
+
+        if ($compareWith instanceof ExtendedBlockContainer) {
+            $rows = empty($params['compareWithNewer'])
+                ? $this->getVersionDiffRows($compareWith->getItems(), $items)
+                : $this->getVersionDiffRows($items, $compareWith->getItems(), true);
+        } else {
+            $rows = array_map(
+                static fn (ExtendedBlockItem $item): array => ['item' => $item, 'status' => null, 'changed' => [], 'own' => true],
+                $items,
+            );
+        }
 
-            return sprintf('<span>%d extended block item%s</span>', $count, 1 !== $count ? 's' : '');
+        if ([] === $rows) {
+            return '<span>No items</span>';
         }
 
-        return '<span>No items</span>';
+        return $this->renderVersionPreviewTable($rows, $compareWith instanceof ExtendedBlockContainer);
     }
 
     /**
@@ -1150,7 +2214,8 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             return null;
         }
 
-        return $this->getDataForEditmode($value, $object, $params);
+        // All items, as the export must not be paged like the object editor
+        return $this->getEditmodeItemData($value->getItems(), $object);
     }
 
     /**
@@ -1189,8 +2254,6 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
 
     /**
      * @return array<string, array<string, mixed>>
-     *
-     * @deprecated Use getChildren() instead. Block definitions are no longer used.
      */
     public function getBlockDefinitions(): array
     {
@@ -1198,13 +2261,30 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     }
 
     /**
-     * @param array<string, array<string, mixed>> $blockDefinitions
+     * Sets the block type definitions.
+     *
+     * Field definitions submitted by the class editor arrive as plain arrays
+     * and are converted to Data/Layout instances here.
      *
-     * @deprecated Use setChildren() instead. Block definitions are no longer used.
+     * @param array<string, array<string, mixed>> $blockDefinitions
      */
     public function setBlockDefinitions(array $blockDefinitions): static
     {
+        foreach ($blockDefinitions as $type => $definition) {
+            $fields = [];
+            foreach ($definition['fields'] ?? [] as $field) {
+                if (is_array($field)) {
+                    $field = ClassDefinitionService::generateLayoutTreeFromArray($field, true);
+                }
+                if ($field instanceof Data || $field instanceof Layout) {
+                    $fields[] = $field;
+                }
+            }
+            $blockDefinitions[$type]['fields'] = $fields;
+        }
+
         $this->blockDefinitions = $blockDefinitions;
+        $this->fieldDefinitionsCache = null;
 
         return $this;
     }
@@ -1221,6 +2301,118 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return $this;
     }
 
+    /**
+     * @return array<int, string>
+     */
+    public function getGridPreviewFields(): array
+    {
+        return $this->gridPreviewFields;
+    }
+
+    /**
+     * @param array<int, string>|null $gridPreviewFields
+     */
+    public function setGridPreviewFields(?array $gridPreviewFields): static
+    {
+        $this->gridPreviewFields = array_values(array_filter($gridPreviewFields ?? [], 'is_string'));
+
+        return $this;
+    }
+
+    public function getGridPreviewRows(): int
+    {
+        return $this->gridPreviewRows;
+    }
+
+    public function setGridPreviewRows(?int $gridPreviewRows): static
+    {
+        $this->gridPreviewRows = null !== $gridPreviewRows
+            ? min(max(1, $gridPreviewRows), self::GRID_MAX_PREVIEW_ROWS)
+            : self::GRID_MAX_PREVIEW_ITEMS;
+
+        return $this;
+    }
+
+    public function getGridPreviewMode(): string
+    {
+        return $this->gridPreviewMode;
+    }
+
+    public function setGridPreviewMode(?string $gridPreviewMode): static
+    {
+        $this->gridPreviewMode = $gridPreviewMode === self::GRID_PREVIEW_MODE_COUNT ? self::GRID_PREVIEW_MODE_COUNT : self::GRID_PREVIEW_MODE_TABLE;
+
+        return $this;
+    }
+
+    /**
+     * @return array<int, array{field: string, dependsOn: string, condition: string, value: string, clearHidden: bool}>
+     */
+    public function getVisibilityRules(): array
+    {
+        return $this->visibilityRules;
+    }
+
+    /**
+     * Rules without sub-field or without the sub-field they depend on are dropped.
+     *
+     * @param array<int, array<string, mixed>>|null $visibilityRules
+     */
+    public function setVisibilityRules(?array $visibilityRules): static
+    {
+        $this->visibilityRules = [];
+
+        foreach ($visibilityRules ?? [] as $rule) {
+            if (!is_array($rule) || empty($rule['field']) || empty($rule['dependsOn'])) {
+                continue;
+            }
+
+            $this->visibilityRules[] = [
+                'field' => (string) $rule['field'],
+                'dependsOn' => (string) $rule['dependsOn'],
+                'condition' => (string) ($rule['condition'] ?? self::VISIBILITY_CONDITION_EQUALS),
+                'value' => (string) ($rule['value'] ?? ''),
+                'clearHidden' => (bool) ($rule['clearHidden'] ?? false),
+            ];
+        }
+
+        return $this;
+    }
+
+    /**
+     * @return array<int, array{name: string, type: string, data: array<string, mixed>}>
+     */
+    public function getItemPresets(): array
+    {
+        return $this->itemPresets;
+    }
+
+    /**
+     * Presets without name are dropped, as are empty values.
+     *
+     * @param array<int, array<string, mixed>>|null $itemPresets
+     */
+    public function setItemPresets(?array $itemPresets): static
+    {
+        $this->itemPresets = [];
+
+        foreach ($itemPresets ?? [] as $preset) {
+            if (!is_array($preset) || !isset($preset['name']) || '' === trim((string) $preset['name'])) {
+                continue;
+            }
+
+            $data = is_array($preset['data'] ?? null) ? $preset['data'] : [];
+
+            $this->itemPresets[] = [
+                'name' => trim((string) $preset['name']),
+                'type' => (string) ($preset['type'] ?? '') ?: 'default',
+                'data' => array_filter($data, static fn (mixed $value): bool => null !== $value && '' !== $value),
+            ];
+        }
+
+        return $this;
+    }
+
     public function getMaxItems(): ?int
     {
         return $this->maxItems;
@@ -1329,6 +2521,44 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return $this;
     }
 
+    public function getItemTitleTemplate(): ?string
+    {
+        return $this->itemTitleTemplate;
+    }
+
+    public function setItemTitleTemplate(?string $itemTitleTemplate): static
+    {
+        $this->itemTitleTemplate = $itemTitleTemplate;
+
+        return $this;
+    }
+
+    public function getDisplayMode(): string
+    {
+        return $this->displayMode;
+    }
+
+    public function setDisplayMode(?string $displayMode): static
+    {
+        $this->displayMode = $displayMode === self::DISPLAY_MODE_TABLE ? self::DISPLAY_MODE_TABLE : self::DISPLAY_MODE_STACKED;
+
+        return $this;
+    }
+
+    public function getInheritanceMode(): string
+    {
+        return $this->inheritanceMode;
+    }
+
+    public function setInheritanceMode(?string $inheritanceMode): static
+    {
+        $this->inheritanceMode = in_array($inheritanceMode, [self::INHERITANCE_MODE_APPEND, self::INHERITANCE_MODE_MERGE], true)
+            ? $inheritanceMode
+            : self::INHERITANCE_MODE_REPLACE;
+
+        return $this;
+    }
+
     public function getTablePrefix(): string
     {
         return $this->tablePrefix;
@@ -1382,7 +2612,11 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     }
 
     /**
-     * Returns field definitions from children.
+     * Returns field definitions from children and all block types.
+     *
+     * The result is the union of the default children fields and the fields
+     * of every block type, so it describes every column of the item table.
+     * When two types define a field with the same name, the first one wins.
      *
      * @return array<string, Data>
      */
@@ -1392,11 +2626,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             return $this->fieldDefinitionsCache;
         }
 
-        $definitions = [];
-        foreach ($this->children as $child) {
-            if ($child instanceof Data) {
-                $definitions[$child->getName()] = $child;
-            }
+        $definitions = $this->collectFieldDefinitions($this->children);
+        foreach (array_keys($this->blockDefinitions) as $type) {
+            $definitions += $this->getFieldDefinitionsForType((string) $type);
         }
 
         $this->fieldDefinitionsCache = $definitions;
@@ -1404,6 +2636,35 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return $definitions;
     }
 
+    /**
+     * Returns the field definitions used by items of the given block type.
+     *
+     * Types declared in blockDefinitions use their own fields; any other type
+     * (including 'default') falls back to the children fields.
+     *
+     * @param string $type The block type identifier
+     *
+     * @return array<string, Data>
+     */
+    public function getFieldDefinitionsForType(string $type): array
+    {
+        if (!isset($this->blockDefinitions[$type])) {
+            return $this->collectFieldDefinitions($this->children);
+        }
+
+        $fields = $this->blockDefinitions[$type]['fields'] ?? [];
+
+        return $this->collectFieldDefinitions(is_array($fields) ? $fields : []);
+    }
+
+    /**
+     * Checks if this block defines named block types.
+     */
+    public function hasBlockDefinitions(): bool
+    {
+        return count($this->blockDefinitions) > 0;
+    }
+
     /**
      * Returns a specific field definition by name.
      */
@@ -1437,9 +2698,34 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return [
             'fieldDefinitionsCache',
             'blockedVarsForExport',
+            'newObject',
         ];
     }
 
+    /**
+     * Collects data field definitions from a list of children.
+     *
+     * Walks into layout containers (panel, fieldset, ...) so that fields
+     * grouped by layout elements are found as well.
+     *
+     * @param array<mixed> $children Data and Layout definitions
+     *
+     * @return array<string, Data>
+     */
+    protected function collectFieldDefinitions(array $children): array
+    {
+        $definitions = [];
+        foreach ($children as $child) {
+            if ($child instanceof Data) {
+                $definitions[$child->getName()] = $child;
+            } elseif ($child instanceof Layout) {
+                $definitions += $this->collectFieldDefinitions($child->getChildren());
+            }
+        }
+
+        return $definitions;
+    }
+
     /**
      * Creates a block item from a database row.
      *
@@ -1462,8 +2748,32 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
 
         $item->setId((int) $row['id']);
 
-        // Map row data to item fields based on children field definitions
-        foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+        if (isset($row['source_id'])) {
+            $item->setSourceId((int) $row['source_id']);
+        }
+
+        // Map row data to item fields based on the field definitions of the item's block type
+        foreach ($this->getValuesFromRow($this->getFieldDefinitionsForType($type), $row, $object) as $fieldName => $value) {
+            $item->setFieldValue($fieldName, $value);
+        }
+
+        return $item;
+    }
+
+    /**
+     * Converts the columns of a stored row into field values.
+     *
+     * @param array<string, Data>  $fieldDefinitions The field definitions to read
+     * @param array<string, mixed> $row              The database row
+     * @param Concrete             $object           The parent object
+     *
+     * @return array<string, mixed> The field values of the columns present in the row
+     */
+    protected function getValuesFromRow(array $fieldDefinitions, array $row, Concrete $object): array
+    {
+        $values = [];
+
+        foreach ($fieldDefinitions as $fieldName => $fieldDef) {
             // Handle relation fields that use QueryResourcePersistenceAwareInterface
             // These fields store data as multiple columns (e.g., fieldname__id, fieldname__type)
             if ($fieldDef instanceof QueryResourcePersistenceAwareInterface && method_exists($fieldDef, 'getQueryColumnType')) {
@@ -1488,7 +2798,7 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                             $queryData[$fieldName . '__type'],
                             (int) $queryData[$fieldName . '__id']
                         );
-                        $item->setFieldValue($fieldName, $element);
+                        $values[$fieldName] = $element;
                     }
                     continue;
                 }
@@ -1501,11 +2811,11 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 } else {
                     $value = $row[$fieldName];
                 }
-                $item->setFieldValue($fieldName, $value);
+                $values[$fieldName] = $value;
             }
         }
 
-        return $item;
+        return $values;
     }
 
     /**
@@ -1549,19 +2859,23 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             );
 
             // Group by item ID and language
-            $localizedData = [];
+            $localizedRowsByItem = [];
             foreach ($localizedRows as $row) {
-                $itemId = (int) $row['ooo_id'];
-                $language = $row['language'];
-                $localizedData[$itemId][$language] = $row;
+                $localizedRowsByItem[(int) $row['ooo_id']][$row['language']] = $row;
             }
 
-            // Apply localized data to items
+            // Apply localized data to items, using the localized fields of each item's block type
             foreach ($container->getItems() as $item) {
-                $itemId = $item->getId();
-                if (isset($localizedData[$itemId])) {
-                    $item->setLocalizedData($localizedData[$itemId]);
+                $localizedData = [];
+                foreach ($localizedRowsByItem[$item->getId()] ?? [] as $language => $row) {
+                    $localizedData[$language] = $this->getValuesFromRow(
+                        $this->getLocalizedFieldDefinitions($item->getType()),
+                        $row,
+                        $object
+                    );
                 }
+
+                $item->setLocalizedData($localizedData);
             }
         } catch (Exception $e) {
             Logger::error('ExtendedBlock: Error loading localized data: ' . $e->getMessage());
@@ -1571,11 +2885,16 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
     /**
      * Saves a single block item to the database.
      *
+     * Existing rows are updated by id so the item keeps its id; otherwise a new
+     * row is inserted and the generated id is set on the item. Only the columns of
+     * the item's block type hold values, all other field columns are NULL.
+     *
      * @param ExtendedBlockItem         $item      The item to save
      * @param Concrete                  $object    The parent object
      * @param int                       $index     The item index/position
      * @param \Doctrine\DBAL\Connection $db        The database connection
      * @param string                    $tableName The target table name (already validated)
+     * @param bool                      $exists    Whether the item's row is already stored
      */
     protected function saveBlockItem(
         ExtendedBlockItem $item,
@@ -1583,8 +2902,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         int $index,
         \Doctrine\DBAL\Connection $db,
         string $tableName,
+        bool $exists = false,
     ): void {
-        // Build data array for the insert.
+        // Build data array for the insert/update.
         // Note: We use raw SQL with quoteIdentifier() for column names because 'index' is a MySQL
         // reserved keyword. DBAL's insert() method does NOT automatically quote reserved keywords.
         $data = [
@@ -1592,15 +2912,79 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             'fieldname' => $this->getName(),
             'index' => $index,
             'type' => $item->getType(),
+            'source_id' => $item->getSourceId(),
         ];
 
-        // Add field values based on children field definitions
-        foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+        // Add field values based on the field definitions of the item's block type.
+        $typeFieldDefinitions = $this->getFieldDefinitionsForType($item->getType());
+        $data += $this->getResourceDataForValues($typeFieldDefinitions, $item->getAllFieldValues(), $object);
+
+        // Columns of other types' fields stay at their NULL default on insert. A stored row
+        // may hold values of another type (e.g. before a type change), so they are cleared.
+        if ($exists) {
+            $otherFieldDefinitions = array_diff_key($this->getFieldDefinitions(), $typeFieldDefinitions);
+            $data += array_fill_keys(array_keys($this->getResourceDataForValues($otherFieldDefinitions, [], $object)), null);
+        }
+
+        // Build SQL manually with quoted identifiers to handle MySQL reserved keywords like 'index'.
+        // DBAL's insert() method does NOT automatically quote reserved keywords in column names.
+        $quotedTable = $db->quoteIdentifier($tableName);
+        $quotedColumns = [];
+        $placeholders = [];
+        $values = [];
+
+        foreach ($data as $column => $value) {
+            $quotedColumns[] = $db->quoteIdentifier($column);
+            $placeholders[] = '?';
+            $values[] = $value;
+        }
+
+        if ($exists) {
+            $assignments = array_map(static fn (string $column): string => $column . ' = ?', $quotedColumns);
+            $values[] = $item->getId();
+
+            $sql = sprintf(
+                'UPDATE %s SET %s WHERE %s = ?',
+                $quotedTable,
+                implode(', ', $assignments),
+                $db->quoteIdentifier('id')
+            );
+
+            $db->executeStatement($sql, $values);
+
+            return;
+        }
+
+        $sql = sprintf(
+            'INSERT INTO %s (%s) VALUES (%s)',
+            $quotedTable,
+            implode(', ', $quotedColumns),
+            implode(', ', $placeholders)
+        );
+
+        $db->executeStatement($sql, $values);
+        $item->setId((int) $db->lastInsertId());
+    }
+
+    /**
+     * Converts field values into the columns of a stored row.
+     *
+     * @param array<string, Data>  $fieldDefinitions The field definitions to write
+     * @param array<string, mixed> $values           The field values by field name
+     * @param Concrete             $object           The parent object
+     *
+     * @return array<string, mixed> The column values
+     */
+    protected function getResourceDataForValues(array $fieldDefinitions, array $values, Concrete $object): array
+    {
+        $data = [];
+
+        foreach ($fieldDefinitions as $fieldName => $fieldDef) {
             if ($fieldDef instanceof Localizedfields) {
                 continue;
             }
 
-            $value = $item->getFieldValue($fieldName);
+            $value = $values[$fieldName] ?? null;
 
             // Handle relation fields that use QueryResourcePersistenceAwareInterface
             // These fields store data as multiple columns (e.g., fieldname__id, fieldname__type)
@@ -1623,28 +3007,39 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             }
         }
 
-        // Build SQL manually with quoted identifiers to handle MySQL reserved keywords like 'index'.
-        // DBAL's insert() method does NOT automatically quote reserved keywords in column names.
-        $quotedTable = $db->quoteIdentifier($tableName);
-        $quotedColumns = [];
-        $placeholders = [];
-        $values = [];
+        return $data;
+    }
 
-        foreach ($data as $column => $value) {
-            $quotedColumns[] = $db->quoteIdentifier($column);
-            $placeholders[] = '?';
-            $values[] = $value;
-        }
+    /**
+     * Deletes block item rows and their localized rows by item id.
+     *
+     * @param array<int>                $itemIds The ids of the rows to delete
+     * @param string                    $classId The class ID
+     * @param \Doctrine\DBAL\Connection $db      The database connection
+     */
+    protected function deleteBlockItemRows(array $itemIds, string $classId, \Doctrine\DBAL\Connection $db): void
+    {
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
 
-        $sql = sprintf(
-            'INSERT INTO %s (%s) VALUES (%s)',
-            $quotedTable,
-            implode(', ', $quotedColumns),
-            implode(', ', $placeholders)
+        $localizedTableName = $this->getLocalizedTableName($classId);
+        $localizedTableExists = $db->fetchOne(
+            'SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+            [$localizedTableName]
         );
 
-        $db->executeStatement($sql, $values);
-        $item->setId((int) $db->lastInsertId());
+        if ($localizedTableExists) {
+            $quotedLocalizedTable = $db->quoteIdentifier($localizedTableName);
+            $db->executeStatement(
+                "DELETE FROM {$quotedLocalizedTable} WHERE ooo_id IN ({$placeholders})",
+                $itemIds
+            );
+        }
+
+        $quotedTable = $db->quoteIdentifier($this->getTableName($classId));
+        $db->executeStatement(
+            "DELETE FROM {$quotedTable} WHERE id IN ({$placeholders})",
+            $itemIds
+        );
     }
 
     /**
@@ -1667,8 +3062,11 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         // Use quoteIdentifier to safely escape the table name
         $quotedTable = $db->quoteIdentifier($localizedTableName);
 
+        // Inherited items belong to the parent object, whose localized rows must not be touched
+        $items = array_filter($container->getItems(), static fn (ExtendedBlockItem $item): bool => !$item->isInherited());
+
         // Delete existing localized data
-        $itemIds = array_map(static fn ($item) => $item->getId(), $container->getItems());
+        $itemIds = array_map(static fn ($item) => $item->getId(), $items);
         if (!empty($itemIds)) {
             $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
             $db->executeStatement(
@@ -1678,10 +3076,10 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         }
 
         // Get available languages from Pimcore configuration
-        $languages = \Pimcore\Tool::getValidLanguages();
+        $languages = Tool::getValidLanguages();
 
         // Insert localized data for each item and language
-        foreach ($container->getItems() as $item) {
+        foreach ($items as $item) {
             $localizedData = $item->getLocalizedData();
             if (empty($localizedData)) {
                 continue;
@@ -1692,16 +3090,16 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                     continue;
                 }
 
-                // Build data array for the insert.
+                // Build data array for the insert, with the localized fields of the item's block type
                 $data = [
                     'ooo_id' => $item->getId(),
                     'language' => $language,
                 ];
-
-                // LocalizedFields are no longer supported in ExtendedBlock.
-                // This code path is maintained for backward compatibility with
-                // existing installations that may have localized data.
-                Logger::debug('ExtendedBlock: saveLocalizedData called - this is deprecated functionality');
+                $data += $this->getResourceDataForValues(
+                    $this->getLocalizedFieldDefinitions($item->getType()),
+                    $localizedData[$language],
+                    $object
+                );
 
                 // Build SQL manually with quoted identifiers for consistency.
                 $quotedColumns = [];
@@ -1763,9 +3161,10 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             '`fieldname` VARCHAR(70) NOT NULL',
             '`index` INT(11) UNSIGNED NOT NULL DEFAULT 0',
             '`type` VARCHAR(100) NOT NULL DEFAULT "default"',
+            '`source_id` INT(11) UNSIGNED NULL DEFAULT NULL',
         ];
 
-        // Add columns for each field in children definitions
+        // Add columns for the union of the children and all block type fields
         foreach ($this->getFieldDefinitions() as $fieldDef) {
             if ($fieldDef instanceof Localizedfields) {
                 continue;
@@ -1833,8 +3232,15 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             $existingColumns[$row['COLUMN_NAME']] = true;
         }
 
-        // Check if all required field columns exist
         $quotedTable = $db->quoteIdentifier($tableName);
+
+        // Tables created before the inheritance modes lack the source_id column
+        if (!isset($existingColumns['source_id'])) {
+            $db->executeStatement("ALTER TABLE {$quotedTable} ADD COLUMN `source_id` INT(11) UNSIGNED NULL DEFAULT NULL AFTER `type`");
+            Logger::info("ExtendedBlock: Added missing column source_id to {$tableName}");
+        }
+
+        // Check if all required field columns exist
         foreach ($this->getFieldDefinitions() as $fieldDef) {
             if ($fieldDef instanceof Localizedfields) {
                 continue;
@@ -1893,7 +3299,8 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * Ensures the localized block table exists.
      *
      * Creates the localized table if it doesn't exist, with columns
-     * for localized field definitions.
+     * for localized field definitions. Columns of localized fields added
+     * later are added to an existing table.
      *
      * @param string $classId The class ID
      */
@@ -1903,6 +3310,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         $tableName = $this->getLocalizedTableName($classId);
         $db = Db::get();
 
+        // Use quoteIdentifier to safely escape the table name
+        $quotedTable = $db->quoteIdentifier($tableName);
+
         // Check if table already exists (parameterized query)
         $tableExists = $db->fetchOne(
             'SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
@@ -1910,12 +3320,22 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         );
 
         if ($tableExists) {
+            $existingColumns = array_flip($db->fetchFirstColumn(
+                'SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ?',
+                [$tableName]
+            ));
+
+            foreach ($this->getLocalizedColumnTypes() as $columnName => $columnType) {
+                if (!isset($existingColumns[$columnName])) {
+                    $quotedColumn = $db->quoteIdentifier($columnName);
+                    $db->executeStatement("ALTER TABLE {$quotedTable} ADD COLUMN {$quotedColumn} {$columnType}");
+                    Logger::info("ExtendedBlock: Added missing column {$columnName} to {$tableName}");
+                }
+            }
+
             return;
         }
 
-        // Use quoteIdentifier to safely escape the table name
-        $quotedTable = $db->quoteIdentifier($tableName);
-
         // Build CREATE TABLE statement
         $columns = [
             '`id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT',
@@ -1923,8 +3343,10 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
             '`language` VARCHAR(10) NOT NULL',
         ];
 
-        // Note: LocalizedFields not allowed in ExtendedBlock, so this table
-        // will have only base columns. Kept for backward compatibility.
+        foreach ($this->getLocalizedColumnTypes() as $columnName => $columnType) {
+            $quotedColumn = $db->quoteIdentifier($columnName);
+            $columns[] = "{$quotedColumn} {$columnType}";
+        }
 
         $columns[] = 'PRIMARY KEY (`id`)';
         $columns[] = 'INDEX `ooo_id` (`ooo_id`)';
@@ -1936,6 +3358,94 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         $db->executeStatement($sql);
     }
 
+    /**
+     * Returns the column types of the localized fields of all block types, keyed by column name.
+     *
+     * @throws InvalidArgumentException If any column name is invalid
+     *
+     * @return array<string, string>
+     */
+    public function getLocalizedColumnTypes(): array
+    {
+        $columns = [];
+
+        foreach ($this->getLocalizedFieldDefinitions() as $fieldName => $fieldDef) {
+            // Handle relation fields that use QueryResourcePersistenceAwareInterface
+            if ($fieldDef instanceof QueryResourcePersistenceAwareInterface && method_exists($fieldDef, 'getQueryColumnType')) {
+                $queryColumnTypes = $fieldDef->getQueryColumnType();
+                if (is_array($queryColumnTypes)) {
+                    foreach ($queryColumnTypes as $colSuffix => $colType) {
+                        $colName = $fieldName . '__' . $colSuffix;
+                        IdentifierValidator::validateColumnName($colName);
+                        $columns[$colName] = $colType;
+                    }
+                    continue;
+                }
+            }
+
+            // Handle simple fields with getColumnType
+            if (method_exists($fieldDef, 'getColumnType')) {
+                $columnType = $fieldDef->getColumnType();
+                if ($columnType) {
+                    IdentifierValidator::validateColumnName($fieldName);
+                    $columns[$fieldName] = $columnType;
+                }
+            }
+        }
+
+        return $columns;
+    }
+
+    /**
+     * Checks the value of the sub-field a visibility rule depends on.
+     *
+     * Values are compared as text: booleans as "1" and "0", lists (e.g. multiselect)
+     * match if one of their entries equals the rule's value. This is the same
+     * comparison as in the object editor.
+     *
+     * @param array{field: string, dependsOn: string, condition: string, value: string, clearHidden: bool} $rule  The rule
+     * @param mixed                                                                                        $value The value of the sub-field the rule depends on
+     *
+     * @return bool True if the sub-field of the rule is visible
+     */
+    private function matchesVisibilityRule(array $rule, mixed $value): bool
+    {
+        $values = [];
+        foreach (is_array($value) ? $value : [$value] as $entry) {
+            if (is_bool($entry)) {
+                $values[] = $entry ? '1' : '0';
+            } elseif (null === $entry || is_scalar($entry)) {
+                $values[] = (string) $entry;
+            }
+        }
+
+        if (self::VISIBILITY_CONDITION_NOT_EMPTY === $rule['condition']) {
+            return [] !== array_filter($values, static fn (string $entry): bool => '' !== $entry && '0' !== $entry);
+        }
+
+        return in_array($rule['value'], $values, true);
+    }
+
+    /**
+     * Runs the validation of a sub-field on one value.
+     *
+     * @param Data  $fieldDef           The sub-field definition
+     * @param mixed $value              The value
+     * @param bool  $omitMandatoryCheck Whether to skip mandatory checks
+     *
+     * @return string|null The validation message, null if the value is valid
+     */
+    private function getFieldValidationError(Data $fieldDef, mixed $value, bool $omitMandatoryCheck): ?string
+    {
+        try {
+            $fieldDef->checkValidity($value, $omitMandatoryCheck);
+        } catch (Element\ValidationException $e) {
+            return $e->getMessage();
+        }
+
+        return null;
+    }
+
     /**
      * Gets field definitions suitable for grid display.
      *
@@ -1945,7 +3455,9 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
      * Note: If a field's title is not defined, the field name is used as the
      * label fallback. For best results, ensure all child fields have titles set.
      *
-     * @return array<int, array{key: string, label: string}> Array of field definitions
+     * A field is marked as preview when gridPreviewFields is empty or contains it.
+     *
+     * @return array<int, array{key: string, label: string, type: string, preview: bool}> Array of field definitions
      */
     private function getGridDisplayableFieldDefinitions(): array
     {
@@ -1983,6 +3495,8 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
                 $fields[] = [
                     'key' => $fieldName,
                     'label' => $fieldDef->getTitle() ?: $fieldName,
+                    'type' => $fieldDef->getFieldtype(),
+                    'preview' => [] === $this->gridPreviewFields || in_array($fieldName, $this->gridPreviewFields, true),
                 ];
             }
         }
@@ -2067,6 +3581,249 @@ class ExtendedBlock extends Data implements Data\CustomResourcePersistingInterfa
         return strip_tags($stringValue);
     }
 
+    /**
+     * Matches the items of two versions by id for the version comparison.
+     *
+     * Items only in the new version are "added", items only in the old version
+     * "removed". Kept items are "moved" when they are not part of the longest run
+     * of items that kept their relative order, so inserting or removing an item
+     * does not mark all following items as moved.
+     *
+     * The rows list the items of the shown version in their order, followed by the
+     * items that exist only in the other version.
+     *
+     * @param array<int, ExtendedBlockItem> $oldItems     The items of the older version
+     * @param array<int, ExtendedBlockItem> $newItems     The items of the newer version
+     * @param bool                          $showOldItems Whether the older version is shown
+     *
+     * @return array<int, array{item: ExtendedBlockItem, status: ?string, changed: array<int, string>, own: bool}>
+     */
+    private function getVersionDiffRows(array $oldItems, array $newItems, bool $showOldItems = false): array
+    {
+        $oldById = [];
+        foreach ($oldItems as $oldItem) {
+            if (null !== $oldItem->getId()) {
+                $oldById[$oldItem->getId()] = $oldItem;
+            }
+        }
+
+        $newById = [];
+        $newIds = [];
+        foreach ($newItems as $newItem) {
+            if (null !== $newItem->getId()) {
+                $newById[$newItem->getId()] = $newItem;
+                if (isset($oldById[$newItem->getId()])) {
+                    $newIds[] = $newItem->getId();
+                }
+            }
+        }
+
+        $keptIds = array_flip($newIds);
+        $oldIds = array_values(array_filter(
+            array_keys($oldById),
+            static fn (int $id): bool => isset($keptIds[$id]),
+        ));
+        $movedIds = array_flip($this->getMovedItemIds($oldIds, $newIds));
+
+        [$ownItems, $otherItems] = $showOldItems ? [$oldItems, $newItems] : [$newItems, $oldItems];
+        [$ownStatus, $otherStatus] = $showOldItems ? ['removed', 'added'] : ['added', 'removed'];
+
+        $rows = [];
+        foreach ($ownItems as $item) {
+            $id = $item->getId();
+
+            if (null === $id || !isset($keptIds[$id])) {
+                $rows[] = ['item' => $item, 'status' => $ownStatus, 'changed' => [], 'own' => true];
+                continue;
+            }
+
+            $rows[] = [
+                'item' => $item,
+                'status' => isset($movedIds[$id]) ? 'moved' : null,
+                'changed' => $this->getChangedFieldNames($oldById[$id], $newById[$id]),
+                'own' => true,
+            ];
+        }
+
+        foreach ($otherItems as $item) {
+            if (null === $item->getId() || !isset($keptIds[$item->getId()])) {
+                $rows[] = ['item' => $item, 'status' => $otherStatus, 'changed' => [], 'own' => false];
+            }
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Returns the ids of kept items whose position changed relative to the other kept items.
+     *
+     * @param array<int, int> $oldIds Ids of the kept items in old order
+     * @param array<int, int> $newIds Ids of the kept items in new order
+     *
+     * @return array<int, int> The ids of the moved items
+     */
+    private function getMovedItemIds(array $oldIds, array $newIds): array
+    {
+        $oldPositions = array_flip($oldIds);
+
+        // Longest increasing subsequence of old positions in new order (patience sorting)
+        $tails = [];
+        $tailIndices = [];
+        $predecessors = [];
+        foreach ($newIds as $i => $id) {
+            $position = $oldPositions[$id];
+            $low = 0;
+            $high = count($tails);
+            while ($low < $high) {
+                $middle = intdiv($low + $high, 2);
+                if ($tails[$middle] < $position) {
+                    $low = $middle + 1;
+                } else {
+                    $high = $middle;
+                }
+            }
+
+            $tails[$low] = $position;
+            $tailIndices[$low] = $i;
+            $predecessors[$i] = $low > 0 ? $tailIndices[$low - 1] : -1;
+        }
+
+        $unmoved = [];
+        for ($i = [] === $tails ? -1 : $tailIndices[count($tails) - 1]; $i >= 0; $i = $predecessors[$i]) {
+            $unmoved[$newIds[$i]] = true;
+        }
+
+        return array_values(array_filter($newIds, static fn (int $id): bool => !isset($unmoved[$id])));
+    }
+
+    /**
+     * Returns the sub-fields whose displayed value differs between two versions of an item.
+     * A changed block type is reported as "type".
+     *
+     * @return array<int, string> The changed field names
+     */
+    private function getChangedFieldNames(ExtendedBlockItem $oldItem, ExtendedBlockItem $newItem): array
+    {
+        $changed = $oldItem->getType() !== $newItem->getType() ? ['type'] : [];
+
+        foreach ($this->getVersionPreviewFieldLabels() as $fieldName => $label) {
+            $oldValue = $this->formatValueForVersionPreview($oldItem->getFieldValue($fieldName));
+            $newValue = $this->formatValueForVersionPreview($newItem->getFieldValue($fieldName));
+
+            if ($oldValue !== $newValue) {
+                $changed[] = $fieldName;
+            }
+        }
+
+        return $changed;
+    }
+
+    /**
+     * Renders the rows of the version preview as an HTML table.
+     *
+     * @param array<int, array{item: ExtendedBlockItem, status: ?string, changed: array<int, string>, own: bool}> $rows
+     * @param bool                                                                                                $isDiff Whether to add the status column
+     *
+     * @return string The HTML table
+     */
+    private function renderVersionPreviewTable(array $rows, bool $isDiff): string
+    {
+        $rowStyles = [
+            'added' => 'background-color: #e6ffed;',
+            'removed' => 'background-color: #ffeef0; text-decoration: line-through;',
+            'moved' => 'background-color: #f1f8ff;',
+        ];
+        $changedStyle = 'background-color: #fff5b1;';
+        $cellStyle = 'border: 1px solid #ddd; padding: 2px 5px; vertical-align: top;';
+        $showType = $this->hasBlockDefinitions();
+        $fieldLabels = $this->getVersionPreviewFieldLabels();
+
+        $html = '<table class="extended-block-version-preview" style="border-collapse: collapse;"><tr>';
+        $html .= sprintf('<th style="%s">#</th>', $cellStyle);
+        if ($showType) {
+            $html .= sprintf('<th style="%s">Type</th>', $cellStyle);
+        }
+        foreach ($fieldLabels as $label) {
+            $html .= sprintf('<th style="%s">%s</th>', $cellStyle, htmlspecialchars($label));
+        }
+        if ($isDiff) {
+            $html .= sprintf('<th style="%s"></th>', $cellStyle);
+        }
+        $html .= '</tr>';
+
+        foreach ($rows as $number => $row) {
+            $item = $row['item'];
+            $typeFields = $this->getFieldDefinitionsForType($item->getType());
+
+            $html .= sprintf('<tr style="%s">', null !== $row['status'] ? $rowStyles[$row['status']] : '');
+            $html .= sprintf('<td style="%s">%s</td>', $cellStyle, $row['own'] ? $number + 1 : '');
+
+            if ($showType) {
+                $html .= sprintf(
+                    '<td style="%s">%s</td>',
+                    $cellStyle . (in_array('type', $row['changed'], true) ? $changedStyle : ''),
+                    htmlspecialchars($item->getType()),
+                );
+            }
+
+            foreach (array_keys($fieldLabels) as $fieldName) {
+                $value = isset($typeFields[$fieldName])
+                    ? $this->formatValueForVersionPreview($item->getFieldValue($fieldName))
+                    : '';
+
+                $html .= sprintf(
+                    '<td style="%s">%s</td>',
+                    $cellStyle . (in_array($fieldName, $row['changed'], true) ? $changedStyle : ''),
+                    htmlspecialchars($value),
+                );
+            }
+
+            if ($isDiff) {
+                $html .= sprintf('<td style="%s">%s</td>', $cellStyle, $row['status'] ?? '');
+            }
+
+            $html .= '</tr>';
+        }
+
+        return $html . '</table>';
+    }
+
+    /**
+     * Returns the labels of the sub-fields shown in the version preview, keyed by field name.
+     *
+     * @return array<string, string>
+     */
+    private function getVersionPreviewFieldLabels(): array
+    {
+        $labels = [];
+
+        foreach ($this->getFieldDefinitions() as $fieldName => $fieldDef) {
+            if (!$fieldDef instanceof Localizedfields) {
+                $labels[$fieldName] = $fieldDef->getTitle() ?: $fieldName;
+            }
+        }
+
+        return $labels;
+    }
+
+    /**
+     * Formats a value for the version preview.
+     *
+     * Unlike the grid preview, values are not truncated, so that every change is visible.
+     *
+     * @param mixed $value The value to format
+     *
+     * @return string The formatted string
+     */
+    private function formatValueForVersionPreview(mixed $value): string
+    {
+        if (is_bool($value)) {
+            return $value ? 'Yes' : 'No';
+        }
+
+        return $this->formatValueForCsvExport($value);
+    }
+
     /**
      * Formats a Link value for grid preview display.
      *
@@ -85,6 +85,15 @@ class ExtendedBlockContainer implements Iterator, Countable, ArrayAccess
      */
     protected int $position = 0;
 
+    /**
+     * Stored index up to which the items of this container replace the stored items.
+     *
+     * Set for partial containers submitted by the paged object editor: stored items
+     * from this index on were not loaded and are kept when saving. Null means the
+     * container holds the complete list.
+     */
+    protected ?int $tailOffset = null;
+
     /**
      * Creates a new ExtendedBlockContainer.
      *
@@ -396,6 +405,18 @@ class ExtendedBlockContainer implements Iterator, Countable, ArrayAccess
         return $this->loaded;
     }
 
+    public function getTailOffset(): ?int
+    {
+        return $this->tailOffset;
+    }
+
+    public function setTailOffset(?int $tailOffset): static
+    {
+        $this->tailOffset = $tailOffset;
+
+        return $this;
+    }
+
     /**
      * Converts the container to an array representation.
      *
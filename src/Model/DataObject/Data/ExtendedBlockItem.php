@@ -98,6 +98,20 @@ final class ExtendedBlockItem
      */
     private bool $modified = false;
 
+    /**
+     * Id of the parent object's item this item overrides.
+     *
+     * Used by the inheritance modes "append" and "merge" of the ExtendedBlock definition.
+     */
+    private ?int $sourceId = null;
+
+    /**
+     * Whether the item is inherited from the parent object.
+     *
+     * Inherited items are read-only copies of the parent's items and are not saved.
+     */
+    private bool $inherited = false;
+
     /**
      * Creates a new ExtendedBlockItem.
      *
@@ -205,6 +219,12 @@ final class ExtendedBlockItem
             $item->setLocalizedData($data['localizedData']);
         }
 
+        if (isset($data['sourceId'])) {
+            $item->setSourceId((int) $data['sourceId']);
+        }
+
+        $item->setInherited(!empty($data['inherited']));
+
         $item->setModified(false);
 
         return $item;
@@ -385,6 +405,8 @@ final class ExtendedBlockItem
             'index' => $this->index,
             'fieldValues' => $this->fieldValues,
             'localizedData' => $this->localizedData,
+            'sourceId' => $this->sourceId,
+            'inherited' => $this->inherited,
         ];
     }
 
@@ -462,4 +484,28 @@ final class ExtendedBlockItem
 
         return $this;
     }
+
+    public function getSourceId(): ?int
+    {
+        return $this->sourceId;
+    }
+
+    public function setSourceId(?int $sourceId): static
+    {
+        $this->sourceId = $sourceId;
+
+        return $this;
+    }
+
+    public function isInherited(): bool
+    {
+        return $this->inherited;
+    }
+
+    public function setInherited(bool $inherited): static
+    {
+        $this->inherited = $inherited;
+
+        return $this;
+    }
 }
@@ -19,12 +19,17 @@ pimcore.registerNS('pimcore.object.classes.data.extendedBlock');
  *
  * This class provides the configuration interface for:
  * - Setting min/max item limits
- * - Setting display options (collapsible, lazy loading)
+ * - Setting display options (collapsible, lazy loading, item title template)
+ * - Setting the grid preview (sub-fields, number of items, count only)
+ * - Showing sub-fields only for certain values of other sub-fields
+ * - Defining item presets offered when adding items
+ * - Previewing two sample items in the object editor from the unsaved definition
  * - Adding sub-fields via tree view (like core Block)
  *
  * Follows Pimcore's data.js pattern: uses $super() to call parent's getLayout(),
  * adds specific settings to this.specificPanel, and relies on parent's getData()
- * which uses applyData() to sync form values.
+ * which uses applyData() to sync form values. The visibility rules are edited in
+ * a grid and added to the data by applyData(), as are the item presets.
  *
  * @extends pimcore.object.classes.data.data
  */
@@ -66,7 +71,6 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
      * @type {Array}
      */
     disallowedDataTypes: [
-        'localizedfields',
         'block',
         'fieldcollections',
         'objectbricks',
@@ -74,6 +78,12 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
         'classificationstore'
     ],
 
+    /**
+     * Sub-field types that item presets can prefill (ITEM_PRESET_FIELD_TYPES on the server).
+     * @type {Array}
+     */
+    itemPresetFieldTypes: ['input', 'email', 'textarea', 'numeric', 'checkbox', 'select'],
+
     /**
      * Initializes the data type definition.
      * Follows Pimcore pattern by calling initData and setting availableSettingsFields.
@@ -168,6 +178,18 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
                     fieldLabel: t('disallow_reorder'),
                     name: 'disallowReorder',
                     checked: this.datax.disallowReorder
+                },
+                {
+                    xtype: 'checkbox',
+                    fieldLabel: t('extended_block_allow_localized_fields'),
+                    name: 'allowLocalizedFields',
+                    checked: this.datax.allowLocalizedFields
+                },
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_allow_localized_fields_help'),
+                    cls: 'pimcore_extra_label_bottom'
                 }
             ]);
         }
@@ -182,6 +204,123 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
             width: 740
         });
 
+        // Stacked item panels or an editable table in the object editor
+        this.specificPanel.add({
+            xtype: 'combo',
+            fieldLabel: t('extended_block_display_mode'),
+            name: 'displayMode',
+            value: this.datax.displayMode || 'stacked',
+            store: [
+                ['stacked', t('extended_block_display_mode_stacked')],
+                ['table', t('extended_block_display_mode_table')]
+            ],
+            editable: false,
+            triggerAction: 'all',
+            width: 540
+        });
+
+        // How items of the parent object are combined with the object's own items
+        this.specificPanel.add([
+            {
+                xtype: 'combo',
+                fieldLabel: t('extended_block_inheritance_mode'),
+                name: 'inheritanceMode',
+                value: this.datax.inheritanceMode || 'replace',
+                store: [
+                    ['replace', t('extended_block_inheritance_mode_replace')],
+                    ['append', t('extended_block_inheritance_mode_append')],
+                    ['merge', t('extended_block_inheritance_mode_merge')]
+                ],
+                editable: false,
+                triggerAction: 'all',
+                width: 540
+            },
+            {
+                xtype: 'displayfield',
+                hideLabel: true,
+                value: t('extended_block_inheritance_mode_help'),
+                cls: 'pimcore_extra_label_bottom'
+            }
+        ]);
+
+        // Title template of the item panels in the object editor
+        this.specificPanel.add([
+            {
+                xtype: 'textfield',
+                fieldLabel: t('extended_block_item_title_template'),
+                name: 'itemTitleTemplate',
+                value: this.datax.itemTitleTemplate,
+                width: 740
+            },
+            {
+                xtype: 'displayfield',
+                hideLabel: true,
+                value: t('extended_block_item_title_template_help'),
+                cls: 'pimcore_extra_label_bottom'
+            }
+        ]);
+
+        // Content of the field's cell in the object grid
+        this.specificPanel.add([
+            {
+                xtype: 'combo',
+                fieldLabel: t('extended_block_grid_preview_mode'),
+                name: 'gridPreviewMode',
+                value: this.datax.gridPreviewMode || 'table',
+                store: [
+                    ['table', t('extended_block_grid_preview_mode_table')],
+                    ['count', t('extended_block_grid_preview_mode_count')]
+                ],
+                editable: false,
+                triggerAction: 'all',
+                width: 540
+            },
+            {
+                xtype: 'numberfield',
+                fieldLabel: t('extended_block_grid_preview_rows'),
+                name: 'gridPreviewRows',
+                value: this.datax.gridPreviewRows || 5,
+                minValue: 1,
+                maxValue: 20
+            },
+            {
+                xtype: 'tagfield',
+                fieldLabel: t('extended_block_grid_preview_fields'),
+                name: 'gridPreviewFields',
+                value: this.datax.gridPreviewFields || [],
+                store: this.getSubFieldStoreData(this.datax.gridPreviewFields || []),
+                queryMode: 'local',
+                filterPickList: true,
+                width: 740
+            },
+            {
+                xtype: 'displayfield',
+                hideLabel: true,
+                value: t('extended_block_grid_preview_help'),
+                cls: 'pimcore_extra_label_bottom'
+            }
+        ]);
+
+        // Sub-fields shown only for certain values of other sub-fields
+        if (!this.isInCustomLayoutEditor()) {
+            this.specificPanel.add([
+                this.getVisibilityRuleGrid(),
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_visibility_rules_help'),
+                    cls: 'pimcore_extra_label_bottom'
+                },
+                this.getItemPresetGrid(),
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_item_presets_help'),
+                    cls: 'pimcore_extra_label_bottom'
+                }
+            ]);
+        }
+
         this.specificPanel.updateLayout();
 
         // Add collapsible settings to standard settings form (following Pimcore block.js pattern)
@@ -202,9 +341,127 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
 
         this.standardSettingsForm.updateLayout();
 
+        this.initPreviewTab();
+
         return this.layout;
     },
 
+    /**
+     * Moves the settings of the node into a tab and adds the preview tab next to it.
+     * The settings forms stay the same components, so applyData() reads them as before.
+     */
+    initPreviewTab: function() {
+        var settings = this.layout.removeAll(false);
+
+        this.previewPanel = new Ext.Panel({
+            title: t('preview'),
+            iconCls: 'pimcore_icon_preview',
+            border: false,
+            bodyStyle: 'padding: 10px 0;',
+            listeners: {
+                activate: this.renderPreview.bind(this)
+            }
+        });
+
+        this.layout.add({
+            xtype: 'tabpanel',
+            border: false,
+            plain: true,
+            items: [
+                {
+                    xtype: 'panel',
+                    title: t('settings'),
+                    iconCls: 'pimcore_icon_settings',
+                    border: false,
+                    items: settings
+                },
+                this.previewPanel
+            ]
+        });
+    },
+
+    /**
+     * Renders two sample items with the object editor of the field.
+     * Built from the current settings and sub-field tree, so the class does not
+     * have to be saved first; called whenever the preview tab is shown.
+     */
+    renderPreview: function() {
+        this.previewPanel.removeAll();
+
+        // The settings of this node are only stored when another node is selected
+        this.applyData();
+
+        var fieldConfig = this.getPreviewDefinition(this.treeNode);
+        pimcore.plugin.extendedBlock.prototype.extractBlockDefinitions(fieldConfig);
+
+        try {
+            var tag = new pimcore.object.tags.extendedBlock(this.getPreviewItems(fieldConfig), fieldConfig);
+            this.previewPanel.add([
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_preview_help'),
+                    cls: 'pimcore_extra_label_bottom'
+                },
+                tag.getLayoutEdit()
+            ]);
+        } catch (e) {
+            // The panel shows the message, the stack trace is only logged in dev mode
+            if (pimcore.settings && pimcore.settings.devmode) {
+                console.error(e);
+            }
+
+            this.previewPanel.add({
+                xtype: 'displayfield',
+                hideLabel: true,
+                value: t('extended_block_preview_failed') + ': ' + Ext.util.Format.htmlEncode(e.message || String(e))
+            });
+        }
+    },
+
+    /**
+     * Serializes a tree node with its children like the class editor does on save.
+     *
+     * @param {Object} node - The tree node
+     * @returns {Object} The definition with its children
+     */
+    getPreviewDefinition: function(node) {
+        var definition = Ext.clone(node.data.editor.getData());
+
+        definition.children = [];
+        node.eachChild(function(child) {
+            if (child.data.editor) {
+                definition.children.push(this.getPreviewDefinition(child));
+            }
+        }, this);
+
+        return definition;
+    },
+
+    /**
+     * Returns the two empty sample items of the preview.
+     * With block types, the items use the first two types.
+     *
+     * @param {Object} fieldConfig - The field definition with children and blockDefinitions
+     * @returns {Array} The items {id, type, data, localizedData}
+     */
+    getPreviewItems: function(fieldConfig) {
+        var types = Object.keys(fieldConfig.blockDefinitions || {});
+
+        if (fieldConfig.children.length > 0 || types.length < 1) {
+            types.unshift('default');
+        }
+
+        return [0, 1].map(function(i) {
+            return {
+                id: null,
+                type: types[Math.min(i, types.length - 1)],
+                data: {},
+                localizedData: {}
+            };
+        });
+    },
+
     /**
      * Copies specific data from source (used for copy/paste functionality).
      * Follows Pimcore block.js pattern.
@@ -221,12 +478,540 @@ pimcore.object.classes.data.extendedBlock = Class.create(pimcore.object.classes.
                 maxItems: source.datax.maxItems,
                 disallowAddRemove: source.datax.disallowAddRemove,
                 disallowReorder: source.datax.disallowReorder,
+                allowLocalizedFields: source.datax.allowLocalizedFields,
                 collapsible: source.datax.collapsible,
                 collapsed: source.datax.collapsed,
                 lazyLoading: source.datax.lazyLoading,
-                styleElement: source.datax.styleElement
+                styleElement: source.datax.styleElement,
+                itemTitleTemplate: source.datax.itemTitleTemplate,
+                displayMode: source.datax.displayMode,
+                inheritanceMode: source.datax.inheritanceMode,
+                gridPreviewMode: source.datax.gridPreviewMode,
+                gridPreviewRows: source.datax.gridPreviewRows,
+                gridPreviewFields: source.datax.gridPreviewFields,
+                visibilityRules: source.datax.visibilityRules,
+                itemPresets: source.datax.itemPresets
+            });
+        }
+    },
+
+    /**
+     * Adds the visibility rules and the item presets from their grids to the data.
+     *
+     * @param {Function} $super - The parent applyData()
+     */
+    applyData: function($super) {
+        $super();
+
+        if (!this.visibilityRuleStore) {
+            return;
+        }
+
+        var rules = [];
+        var presets = [];
+
+        this.visibilityRuleStore.each(function(record) {
+            if (record.get('field') && record.get('dependsOn')) {
+                rules.push({
+                    field: record.get('field'),
+                    dependsOn: record.get('dependsOn'),
+                    condition: record.get('condition'),
+                    value: record.get('condition') === 'notempty' ? '' : String(record.get('value') || ''),
+                    clearHidden: !!record.get('clearHidden')
+                });
+            }
+        });
+
+        this.datax.visibilityRules = rules;
+
+        this.itemPresetStore.each(function(record) {
+            if (Ext.String.trim(record.get('name') || '') !== '') {
+                presets.push({
+                    name: Ext.String.trim(record.get('name')),
+                    type: record.get('type') || 'default',
+                    data: record.get('values') || {}
+                });
+            }
+        });
+
+        this.datax.itemPresets = presets;
+    },
+
+    /**
+     * Creates the grid of the visibility rules. Each rule shows a sub-field only
+     * when another sub-field of the item has a value, or a certain value.
+     *
+     * @returns {Ext.grid.Panel} The grid
+     */
+    getVisibilityRuleGrid: function() {
+        var rules = this.datax.visibilityRules || [];
+        var configured = [];
+
+        for (var i = 0; i < rules.length; i++) {
+            configured.push(rules[i].field, rules[i].dependsOn);
+        }
+
+        var subFields = this.getSubFieldStoreData(configured);
+        var conditions = [
+            ['equals', t('extended_block_visibility_condition_equals')],
+            ['notempty', t('extended_block_visibility_condition_notempty')]
+        ];
+
+        var getLabel = function(store, value) {
+            for (var s = 0; s < store.length; s++) {
+                if (store[s][0] === value) {
+                    return Ext.util.Format.htmlEncode(store[s][1]);
+                }
+            }
+
+            return Ext.util.Format.htmlEncode(value);
+        };
+
+        var getCombo = function(store) {
+            return {
+                xtype: 'combo',
+                store: store,
+                queryMode: 'local',
+                triggerAction: 'all',
+                editable: false,
+                forceSelection: true
+            };
+        };
+
+        this.visibilityRuleStore = Ext.create('Ext.data.Store', {
+            fields: ['field', 'dependsOn', 'condition', 'value', 'clearHidden'],
+            data: rules
+        });
+
+        return Ext.create('Ext.grid.Panel', {
+            title: t('extended_block_visibility_rules'),
+            store: this.visibilityRuleStore,
+            width: 740,
+            minHeight: 120,
+            columnLines: true,
+            stripeRows: true,
+            style: 'margin: 10px 0 0 0;',
+            selModel: 'cellmodel',
+            plugins: [
+                Ext.create('Ext.grid.plugin.CellEditing', {
+                    clicksToEdit: 1,
+                    listeners: {
+                        beforeedit: function(editor, context) {
+                            return context.field !== 'value' || context.record.get('condition') !== 'notempty';
+                        }
+                    }
+                })
+            ],
+            tbar: [
+                {
+                    text: t('add'),
+                    iconCls: 'pimcore_icon_add',
+                    handler: function() {
+                        this.visibilityRuleStore.add({
+                            field: '',
+                            dependsOn: '',
+                            condition: 'equals',
+                            value: '',
+                            clearHidden: false
+                        });
+                    }.bind(this)
+                }
+            ],
+            columns: [
+                {
+                    text: t('extended_block_visibility_field'),
+                    dataIndex: 'field',
+                    flex: 1,
+                    editor: getCombo(subFields),
+                    renderer: getLabel.bind(this, subFields)
+                },
+                {
+                    text: t('extended_block_visibility_depends_on'),
+                    dataIndex: 'dependsOn',
+                    flex: 1,
+                    editor: getCombo(subFields),
+                    renderer: getLabel.bind(this, subFields)
+                },
+                {
+                    text: t('extended_block_visibility_condition'),
+                    dataIndex: 'condition',
+                    width: 130,
+                    editor: getCombo(conditions),
+                    renderer: getLabel.bind(this, conditions)
+                },
+                {
+                    text: t('value'),
+                    dataIndex: 'value',
+                    width: 120,
+                    editor: {
+                        xtype: 'textfield'
+                    },
+                    renderer: function(value, metaData, record) {
+                        return record.get('condition') === 'notempty' ? '' : Ext.util.Format.htmlEncode(value);
+                    }
+                },
+                {
+                    xtype: 'checkcolumn',
+                    text: t('extended_block_visibility_clear_hidden'),
+                    dataIndex: 'clearHidden',
+                    width: 110
+                },
+                {
+                    xtype: 'actioncolumn',
+                    width: 30,
+                    menuDisabled: true,
+                    items: [
+                        {
+                            iconCls: 'pimcore_icon_delete',
+                            tooltip: t('delete'),
+                            handler: function(grid, rowIndex) {
+                                grid.getStore().removeAt(rowIndex);
+                            }
+                        }
+                    ]
+                }
+            ]
+        });
+    },
+
+    /**
+     * Creates the grid of the item presets. Each preset has a name, a block type
+     * and values for the sub-fields of that type, edited in a form window.
+     *
+     * @returns {Ext.grid.Panel} The grid
+     */
+    getItemPresetGrid: function() {
+        var types = this.getBlockTypeStoreData();
+
+        this.itemPresetStore = Ext.create('Ext.data.Store', {
+            fields: ['name', 'type', 'values'],
+            data: (this.datax.itemPresets || []).map(function(preset) {
+                return {
+                    name: preset.name,
+                    type: preset.type || 'default',
+                    values: Ext.clone(preset.data || {})
+                };
+            })
+        });
+
+        return Ext.create('Ext.grid.Panel', {
+            title: t('extended_block_item_presets'),
+            store: this.itemPresetStore,
+            width: 740,
+            minHeight: 120,
+            columnLines: true,
+            stripeRows: true,
+            style: 'margin: 10px 0 0 0;',
+            selModel: 'cellmodel',
+            plugins: [
+                Ext.create('Ext.grid.plugin.CellEditing', {
+                    clicksToEdit: 1,
+                    listeners: {
+                        // The values belong to the sub-fields of the previous type
+                        edit: function(editor, context) {
+                            if (context.field === 'type' && context.value !== context.originalValue) {
+                                context.record.set('values', {});
+                            }
+                        }
+                    }
+                })
+            ],
+            tbar: [
+                {
+                    text: t('add'),
+                    iconCls: 'pimcore_icon_add',
+                    handler: function() {
+                        this.itemPresetStore.add({name: '', type: types[0][0], values: {}});
+                    }.bind(this)
+                }
+            ],
+            columns: [
+                {
+                    text: t('name'),
+                    dataIndex: 'name',
+                    width: 200,
+                    editor: {
+                        xtype: 'textfield'
+                    },
+                    renderer: Ext.util.Format.htmlEncode
+                },
+                {
+                    text: t('type'),
+                    dataIndex: 'type',
+                    width: 130,
+                    hidden: types.length < 2,
+                    editor: {
+                        xtype: 'combo',
+                        store: types,
+                        queryMode: 'local',
+                        triggerAction: 'all',
+                        editable: false,
+                        forceSelection: true
+                    },
+                    renderer: Ext.util.Format.htmlEncode
+                },
+                {
+                    text: t('extended_block_item_preset_values'),
+                    dataIndex: 'values',
+                    flex: 1,
+                    renderer: function(values) {
+                        return Ext.util.Format.htmlEncode(Object.keys(values || {}).map(function(name) {
+                            return name + ': ' + values[name];
+                        }).join(', '));
+                    }
+                },
+                {
+                    xtype: 'actioncolumn',
+                    width: 60,
+                    menuDisabled: true,
+                    items: [
+                        {
+                            iconCls: 'pimcore_icon_edit',
+                            tooltip: t('extended_block_item_preset_edit_values'),
+                            handler: function(grid, rowIndex) {
+                                this.openItemPresetValues(grid.getStore().getAt(rowIndex));
+                            }.bind(this)
+                        },
+                        {
+                            iconCls: 'pimcore_icon_delete',
+                            tooltip: t('delete'),
+                            handler: function(grid, rowIndex) {
+                                grid.getStore().removeAt(rowIndex);
+                            }
+                        }
+                    ]
+                }
+            ]
+        });
+    },
+
+    /**
+     * Opens the form for the sub-field values of an item preset.
+     * Empty inputs leave the sub-field empty, or at its default value, in new items.
+     *
+     * @param {Ext.data.Model} record - The preset record
+     */
+    openItemPresetValues: function(record) {
+        var fields = this.getItemPresetFields(record.get('type'));
+        var values = record.get('values') || {};
+
+        var form = Ext.create('Ext.form.Panel', {
+            border: false,
+            bodyStyle: 'padding: 10px;',
+            defaults: {
+                labelWidth: 200,
+                width: 560
+            },
+            items: fields.length > 0 ? fields.map(function(field) {
+                return this.getItemPresetEditor(field, values[field.name]);
+            }, this) : [
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_item_preset_no_fields')
+                }
+            ]
+        });
+
+        var formWindow = new Ext.Window({
+            title: t('extended_block_item_preset_edit_values') + ': ' + Ext.util.Format.htmlEncode(record.get('name')),
+            modal: true,
+            width: 620,
+            maxHeight: 600,
+            scrollable: true,
+            items: [form],
+            buttons: [
+                {
+                    text: t('cancel'),
+                    iconCls: 'pimcore_icon_cancel',
+                    handler: function() {
+                        formWindow.close();
+                    }
+                },
+                {
+                    text: t('apply'),
+                    iconCls: 'pimcore_icon_apply',
+                    handler: function() {
+                        var formValues = form.getForm().getFieldValues();
+                        var data = {};
+
+                        for (var name in formValues) {
+                            if (formValues.hasOwnProperty(name) && formValues[name] !== null && formValues[name] !== '') {
+                                data[name] = formValues[name];
+                            }
+                        }
+
+                        record.set('values', data);
+                        formWindow.close();
+                    }
+                }
+            ]
+        });
+
+        formWindow.show();
+    },
+
+    /**
+     * Creates the input for the preset value of a sub-field.
+     *
+     * @param {Object} field - The sub-field {name, title, fieldtype, datax}
+     * @param {*} value - The preset value
+     * @returns {Object} The field configuration
+     */
+    getItemPresetEditor: function(field, value) {
+        var config = {
+            fieldLabel: Ext.util.Format.htmlEncode(field.title),
+            name: field.name,
+            value: value
+        };
+
+        switch (field.fieldtype) {
+            case 'numeric':
+                return Ext.apply(config, {
+                    xtype: 'numberfield',
+                    allowDecimals: !field.datax.integer,
+                    decimalPrecision: Ext.isNumber(field.datax.decimalPrecision) ? field.datax.decimalPrecision : 20
+                });
+            case 'checkbox':
+                return Ext.apply(config, {
+                    xtype: 'checkbox',
+                    checked: !!value
+                });
+            case 'select':
+                return Ext.apply(config, {
+                    xtype: 'combo',
+                    store: [['', '']].concat((field.datax.options || []).map(function(option) {
+                        return [option.value, option.key];
+                    })),
+                    queryMode: 'local',
+                    triggerAction: 'all',
+                    editable: false,
+                    forceSelection: true
+                });
+            case 'textarea':
+                return Ext.apply(config, {
+                    xtype: 'textarea'
+                });
+            default:
+                return Ext.apply(config, {
+                    xtype: 'textfield'
+                });
+        }
+    },
+
+    /**
+     * Returns the block types below the field's tree node as [type, label] pairs.
+     * The "default" type is listed when the field has sub-fields outside block type nodes.
+     *
+     * @returns {Array} The block type store data
+     */
+    getBlockTypeStoreData: function() {
+        var types = [];
+        var hasDefault = false;
+
+        if (this.treeNode) {
+            this.treeNode.eachChild(function(child) {
+                var editor = child.data.editor;
+
+                if (editor && editor.type === 'extendedBlockType') {
+                    types.push([editor.datax.name, editor.datax.title || editor.datax.name]);
+                } else {
+                    hasDefault = true;
+                }
+            });
+        }
+
+        if (hasDefault || types.length < 1) {
+            types.unshift(['default', 'default']);
+        }
+
+        return types;
+    },
+
+    /**
+     * Returns the sub-fields of a block type that item presets can prefill.
+     *
+     * @param {string} type - The block type, "default" for the sub-fields outside block type nodes
+     * @returns {Array} The sub-fields {name, title, fieldtype, datax}
+     */
+    getItemPresetFields: function(type) {
+        var fields = [];
+
+        // Sub-fields outside block type nodes belong to the "default" type
+        var collect = function(node, inType) {
+            node.eachChild(function(child) {
+                var editor = child.data.editor;
+
+                if (!editor || editor.type === 'localizedfields') {
+                    return;
+                }
+
+                if (editor.type === 'extendedBlockType') {
+                    if (editor.datax.name === type) {
+                        collect(child, true);
+                    }
+                } else if (!(editor instanceof pimcore.object.classes.data.data)) {
+                    collect(child, inType);
+                } else if (inType && editor.datax.name && this.itemPresetFieldTypes.indexOf(editor.type) !== -1) {
+                    fields.push({
+                        name: editor.datax.name,
+                        title: editor.datax.title || editor.datax.name,
+                        fieldtype: editor.type,
+                        datax: editor.datax
+                    });
+                }
+            }, this);
+        }.bind(this);
+
+        if (this.treeNode) {
+            collect(this.treeNode, type === 'default');
+        }
+
+        return fields;
+    },
+
+    /**
+     * Returns the sub-fields below the field's tree node (including those of the
+     * block types) as [name, label] pairs for the settings that refer to sub-fields.
+     * Configured sub-fields missing in the tree are kept in the list.
+     *
+     * @param {Array} configured - The sub-field names used by the setting
+     * @returns {Array} The sub-field store data
+     */
+    getSubFieldStoreData: function(configured) {
+        var data = [];
+        var names = {};
+
+        var collect = function(node) {
+            node.eachChild(function(child) {
+                var editor = child.data.editor;
+
+                if (!editor || editor.type === 'localizedfields') {
+                    return;
+                }
+
+                if (editor instanceof pimcore.object.classes.data.data) {
+                    if (editor.datax.name && !names[editor.datax.name]) {
+                        names[editor.datax.name] = true;
+                        data.push([editor.datax.name, editor.datax.title || editor.datax.name]);
+                    }
+                } else {
+                    collect(child);
+                }
             });
+        };
+
+        if (this.treeNode) {
+            collect(this.treeNode);
         }
+
+        for (var i = 0; i < configured.length; i++) {
+            if (!names[configured[i]]) {
+                data.push([configured[i], configured[i]]);
+            }
+        }
+
+        return data;
     },
 
     /**
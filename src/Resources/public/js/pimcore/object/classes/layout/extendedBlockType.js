@@ -0,0 +1,113 @@
+/**
+ * Extended Block Bundle - Block Type Layout Definition
+ *
+ * Defines the "block type" node used below an Extended Block field in the
+ * Pimcore class editor. Each node describes one named block type with its
+ * own label, icon and subtree of child fields.
+ *
+ * Block type nodes are not stored as layout elements: when the class is saved,
+ * startup.js moves them from the field's children into its blockDefinitions.
+ *
+ * @package    ExtendedBlockBundle
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+pimcore.registerNS('pimcore.object.classes.layout.extendedBlockType');
+
+/**
+ * Block type node for the class definition editor.
+ *
+ * The node name is the type identifier stored in the `type` column,
+ * the title is the label shown in the object editor's type menu.
+ *
+ * @extends pimcore.object.classes.layout.layout
+ */
+pimcore.object.classes.layout.extendedBlockType = Class.create(pimcore.object.classes.layout.layout, {
+
+    /**
+     * Layout type identifier
+     * @type {string}
+     */
+    type: 'extendedBlockType',
+
+    /**
+     * Pattern for valid block type names (same rule as IdentifierValidator on the server).
+     * @type {RegExp}
+     */
+    typeNamePattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+
+    /**
+     * Initializes the block type node.
+     *
+     * @param {Object} treeNode - The tree node in class editor
+     * @param {Object} initData - Initial configuration data
+     */
+    initialize: function(treeNode, initData) {
+        this.type = 'extendedBlockType';
+        this.initData(initData);
+        this.treeNode = treeNode;
+    },
+
+    /**
+     * Returns the type name for display.
+     *
+     * @returns {string} The type name
+     */
+    getTypeName: function() {
+        return t('extended_block_type');
+    },
+
+    /**
+     * Returns the icon class for this layout type.
+     *
+     * @returns {string} The icon class
+     */
+    getIconClass: function() {
+        return 'pimcore_icon_extendedBlockType';
+    },
+
+    /**
+     * Returns the configuration panel layout.
+     * Adds the icon setting to the standard layout settings (name, title).
+     *
+     * @param {Function} $super - Parent class method
+     * @returns {Ext.Panel} The layout panel
+     */
+    getLayout: function($super) {
+        $super();
+
+        this.layout.add({
+            xtype: 'form',
+            bodyStyle: 'padding: 10px;',
+            style: 'margin: 10px 0 10px 0',
+            items: [
+                {
+                    xtype: 'textfield',
+                    fieldLabel: t('icon'),
+                    name: 'icon',
+                    value: this.datax.icon,
+                    width: 540
+                },
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_type_help'),
+                    cls: 'pimcore_extra_label_bottom'
+                }
+            ]
+        });
+
+        return this.layout;
+    },
+
+    /**
+     * Checks that the node name is a valid block type identifier.
+     *
+     * @returns {boolean} True if valid
+     */
+    isValid: function() {
+        return this.typeNamePattern.test(this.datax.name || '');
+    }
+});
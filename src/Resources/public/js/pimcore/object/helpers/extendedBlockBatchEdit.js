@@ -0,0 +1,482 @@
+/**
+ * Extended Block Bundle - Grid Batch Edit
+ *
+ * Batch edit of an Extended Block field for the objects of the object grid,
+ * opened from the header menu of the field's column.
+ *
+ * @package    ExtendedBlockBundle
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+pimcore.registerNS('pimcore.object.helpers.extendedBlockBatchEdit');
+
+/**
+ * Batch edit window and job runner.
+ *
+ * Operations:
+ * - append: adds the item built in the window's item form
+ * - remove: removes the items matching a sub-field condition
+ * - set: sets a sub-field value on all items
+ *
+ * The operation applies to the selected objects or to all objects of the grid
+ * listing (with its filters). Each object is changed and saved in a request of
+ * its own, so validation runs and a version is created per object.
+ */
+pimcore.object.helpers.extendedBlockBatchEdit = Class.create({
+
+    /**
+     * Initializes the batch edit and opens its window.
+     *
+     * @param {Ext.grid.Panel} grid - The object grid
+     * @param {Object} field - The grid field configuration {key, label, layout}
+     * @param {boolean} onlySelected - Whether to change the selected objects only
+     */
+    initialize: function(grid, field, onlySelected) {
+        this.grid = grid;
+        this.field = field;
+        this.onlySelected = onlySelected;
+
+        this.openWindow();
+    },
+
+    /**
+     * Opens the window with the operation choice and the panel of each operation.
+     */
+    openWindow: function() {
+        this.operationPanels = {
+            append: this.getAppendPanel(),
+            remove: this.getRemovePanel(),
+            set: this.getSetPanel()
+        };
+
+        this.operationCombo = Ext.create('Ext.form.field.ComboBox', {
+            fieldLabel: t('extended_block_batch_operation'),
+            store: [
+                ['append', t('extended_block_batch_append')],
+                ['remove', t('extended_block_batch_remove')],
+                ['set', t('extended_block_batch_set')]
+            ],
+            value: 'append',
+            editable: false,
+            triggerAction: 'all',
+            width: 540,
+            listeners: {
+                change: function(combo, operation) {
+                    for (var name in this.operationPanels) {
+                        if (this.operationPanels.hasOwnProperty(name)) {
+                            this.operationPanels[name].setVisible(name === operation);
+                        }
+                    }
+                }.bind(this)
+            }
+        });
+
+        this.window = new Ext.Window({
+            title: t(this.onlySelected ? 'extended_block_batch_edit_selected' : 'extended_block_batch_edit') +
+                ': ' + t(this.field.label),
+            width: 760,
+            maxHeight: 640,
+            autoScroll: true,
+            modal: true,
+            bodyStyle: 'padding: 10px; background: #fff;',
+            items: [
+                this.operationCombo,
+                this.operationPanels.append,
+                this.operationPanels.remove,
+                this.operationPanels.set
+            ],
+            buttons: [
+                {
+                    text: t('cancel'),
+                    iconCls: 'pimcore_icon_cancel',
+                    handler: function() {
+                        this.window.close();
+                    }.bind(this)
+                },
+                {
+                    text: t('apply'),
+                    iconCls: 'pimcore_icon_apply',
+                    handler: this.start.bind(this)
+                }
+            ]
+        });
+
+        this.window.show();
+    },
+
+    /**
+     * Creates the panel of the append operation: an Extended Block editor with one item.
+     *
+     * @returns {Ext.Panel} The panel
+     */
+    getAppendPanel: function() {
+        this.itemEditor = new pimcore.object.tags.extendedBlock([], Ext.apply({}, {
+            minItems: 1,
+            maxItems: 1,
+            lazyLoading: false,
+            collapsible: false,
+            collapsed: false,
+            noteditable: false,
+            disallowAddRemove: false,
+            displayMode: 'stacked',
+            inheritanceMode: 'replace'
+        }, this.field.layout));
+
+        return Ext.create('Ext.panel.Panel', {
+            border: false,
+            style: 'margin-top: 10px;',
+            items: [this.itemEditor.getLayoutEdit()]
+        });
+    },
+
+    /**
+     * Creates the panel of the remove operation: the sub-field condition.
+     * Offers the sub-fields of the grid column filter.
+     *
+     * @returns {Ext.Panel} The panel
+     */
+    getRemovePanel: function() {
+        var filter = pimcore.object.tags.extendedBlock.prototype.getGridColumnFilter(this.field);
+        var valuelessOperators = pimcore.object.helpers.extendedBlockGridFilter.prototype.VALUELESS_OPERATORS;
+
+        this.conditionFieldCombo = Ext.create('Ext.form.field.ComboBox', {
+            fieldLabel: t('extended_block_filter_field'),
+            store: filter ? filter.subFields : [],
+            queryMode: 'local',
+            triggerAction: 'all',
+            editable: false,
+            width: 540
+        });
+
+        this.conditionValueField = Ext.create('Ext.form.field.Text', {
+            fieldLabel: t('extended_block_filter_value'),
+            width: 540
+        });
+
+        this.conditionOperatorCombo = Ext.create('Ext.form.field.ComboBox', {
+            fieldLabel: t('extended_block_filter_operator'),
+            store: pimcore.object.tags.extendedBlock.prototype.getGridFilterOperatorStore(),
+            queryMode: 'local',
+            triggerAction: 'all',
+            editable: false,
+            value: '=',
+            width: 540,
+            listeners: {
+                change: function(combo, operator) {
+                    this.conditionValueField.setDisabled(valuelessOperators.indexOf(operator) !== -1);
+                }.bind(this)
+            }
+        });
+
+        return Ext.create('Ext.panel.Panel', {
+            border: false,
+            hidden: true,
+            style: 'margin-top: 10px;',
+            items: [
+                this.conditionFieldCombo,
+                this.conditionOperatorCombo,
+                this.conditionValueField,
+                {
+                    xtype: 'displayfield',
+                    hideLabel: true,
+                    value: t('extended_block_batch_remove_help'),
+                    cls: 'pimcore_extra_label_bottom'
+                }
+            ]
+        });
+    },
+
+    /**
+     * Creates the panel of the set operation: a sub-field and the editor of its value.
+     *
+     * @returns {Ext.Panel} The panel
+     */
+    getSetPanel: function() {
+        var definitions = this.getSubFieldDefinitions();
+        var store = [];
+
+        for (var i = 0; i < definitions.length; i++) {
+            store.push([definitions[i].name, t(definitions[i].title || definitions[i].name)]);
+        }
+
+        this.valueEditorContainer = Ext.create('Ext.container.Container', {
+            style: 'margin-top: 10px;'
+        });
+
+        this.setFieldCombo = Ext.create('Ext.form.field.ComboBox', {
+            fieldLabel: t('extended_block_filter_field'),
+            store: store,
+            queryMode: 'local',
+            triggerAction: 'all',
+            editable: false,
+            width: 540,
+            listeners: {
+                change: function(combo, name) {
+                    this.initValueEditor(definitions, name);
+                }.bind(this)
+            }
+        });
+
+        return Ext.create('Ext.panel.Panel', {
+            border: false,
+            hidden: true,
+            style: 'margin-top: 10px;',
+            items: [this.setFieldCombo, this.valueEditorContainer]
+        });
+    },
+
+    /**
+     * Shows the editor of the selected sub-field for the set operation.
+     *
+     * @param {Array} definitions - The sub-field definitions
+     * @param {string} name - The selected sub-field name
+     */
+    initValueEditor: function(definitions, name) {
+        this.valueEditor = null;
+        this.valueEditorContainer.removeAll();
+
+        for (var i = 0; i < definitions.length; i++) {
+            if (definitions[i].name === name && pimcore.object.tags[definitions[i].fieldtype]) {
+                this.valueEditor = new pimcore.object.tags[definitions[i].fieldtype](null, definitions[i]);
+                this.valueEditorContainer.add(this.valueEditor.getLayoutEdit());
+                break;
+            }
+        }
+    },
+
+    /**
+     * Returns the data sub-field definitions of all block types, each name once.
+     * Localized sub-fields are not offered.
+     *
+     * @returns {Array} The sub-field definitions
+     */
+    getSubFieldDefinitions: function() {
+        var layout = this.field.layout || {};
+        var blockDefinitions = layout.blockDefinitions || {};
+        var definitions = [];
+        var names = {};
+
+        var collect = function(children) {
+            for (var i = 0; i < (children || []).length; i++) {
+                if (children[i].fieldtype === 'localizedfields') {
+                    continue;
+                }
+
+                if (children[i].datatype !== 'data') {
+                    collect(children[i].children);
+                } else if (!names[children[i].name]) {
+                    names[children[i].name] = true;
+                    definitions.push(children[i]);
+                }
+            }
+        };
+
+        collect(layout.children);
+        for (var typeName in blockDefinitions) {
+            if (blockDefinitions.hasOwnProperty(typeName)) {
+                collect(blockDefinitions[typeName].fields);
+            }
+        }
+
+        return definitions;
+    },
+
+    /**
+     * Returns the data of the chosen operation as sent to the server.
+     *
+     * @param {string} operation - The operation
+     * @returns {Object|null} The operation data, null if the form is incomplete
+     */
+    getOperationData: function(operation) {
+        if (operation === 'append') {
+            var items = this.itemEditor.getValue();
+
+            return items.length > 0 ? {item: items[0]} : null;
+        }
+
+        if (operation === 'remove') {
+            if (!this.conditionFieldCombo.getValue()) {
+                return null;
+            }
+
+            return {
+                condition: {
+                    field: this.conditionFieldCombo.getValue(),
+                    operator: this.conditionOperatorCombo.getValue(),
+                    value: this.conditionValueField.getValue()
+                }
+            };
+        }
+
+        if (!this.valueEditor) {
+            return null;
+        }
+
+        return {
+            field: this.setFieldCombo.getValue(),
+            value: this.valueEditor.getValue()
+        };
+    },
+
+    /**
+     * Collects the objects to change and starts the batch.
+     */
+    start: function() {
+        var operation = this.operationCombo.getValue();
+        var data = this.getOperationData(operation);
+
+        if (!data) {
+            Ext.MessageBox.alert(t('error'), t('extended_block_batch_incomplete'));
+            return;
+        }
+
+        this.window.close();
+
+        if (this.onlySelected) {
+            var jobs = [];
+            var selection = this.grid.getSelectionModel().getSelection();
+
+            for (var i = 0; i < selection.length; i++) {
+                jobs.push(selection[i].get('id'));
+            }
+
+            this.process(jobs, operation, data);
+            return;
+        }
+
+        Ext.Ajax.request({
+            url: Routing.generate('extended_block_batch_jobs'),
+            method: 'POST',
+            params: this.getListingParams(),
+            success: function(response) {
+                var rdata = Ext.decode(response.responseText);
+                if (rdata.success && rdata.jobs) {
+                    this.process(rdata.jobs, operation, data);
+                }
+            }.bind(this)
+        });
+    },
+
+    /**
+     * Returns the parameters of the grid listing, including its column filters.
+     *
+     * @returns {Object} The listing parameters
+     */
+    getListingParams: function() {
+        var store = this.grid.getStore();
+        var proxy = store.getProxy();
+        var params = Ext.apply({}, proxy.getExtraParams());
+        var filters = store.getFilters().getRange();
+
+        if (filters.length > 0) {
+            params[proxy.getFilterParam()] = proxy.encodeFilters(filters);
+        }
+
+        return params;
+    },
+
+    /**
+     * Runs the batch, one object after the other, with a progress bar.
+     *
+     * @param {Array} jobs - The object IDs
+     * @param {string} operation - The operation
+     * @param {Object} data - The operation data
+     */
+    process: function(jobs, operation, data) {
+        if (jobs.length === 0) {
+            Ext.MessageBox.alert(t('extended_block_batch_edit'), t('extended_block_batch_no_objects'));
+            return;
+        }
+
+        this.jobs = jobs.slice();
+        this.total = jobs.length;
+        this.result = {changed: 0, unchanged: 0, errors: []};
+
+        this.progressBar = Ext.create('Ext.ProgressBar', {
+            text: t('initializing')
+        });
+
+        this.progressWindow = new Ext.Window({
+            title: t('extended_block_batch_edit'),
+            layout: 'fit',
+            width: 500,
+            bodyStyle: 'padding: 10px;',
+            closable: false,
+            plain: true,
+            modal: true,
+            items: [this.progressBar]
+        });
+        this.progressWindow.show();
+
+        this.processNext(operation, Ext.encode(data));
+    },
+
+    /**
+     * Sends the next object of the batch.
+     *
+     * @param {string} operation - The operation
+     * @param {string} data - The JSON encoded operation data
+     */
+    processNext: function(operation, data) {
+        if (this.jobs.length === 0) {
+            this.finish();
+            return;
+        }
+
+        var id = this.jobs.shift();
+        var next = function() {
+            var done = this.total - this.jobs.length;
+            this.progressBar.updateProgress(done / this.total, done + ' / ' + this.total);
+            this.processNext(operation, data);
+        }.bind(this);
+
+        Ext.Ajax.request({
+            url: Routing.generate('extended_block_batch'),
+            method: 'POST',
+            params: {
+                id: id,
+                field: this.field.key,
+                operation: operation,
+                data: data
+            },
+            success: function(response) {
+                var rdata = Ext.decode(response.responseText);
+
+                if (!rdata.success) {
+                    this.result.errors.push(rdata.message);
+                } else if (rdata.changed) {
+                    this.result.changed++;
+                } else {
+                    this.result.unchanged++;
+                }
+
+                next();
+            }.bind(this),
+            failure: function(response) {
+                this.result.errors.push(id + ': ' + response.statusText);
+                next();
+            }.bind(this)
+        });
+    },
+
+    /**
+     * Closes the progress window, reports the result and reloads the grid.
+     */
+    finish: function() {
+        var message = t('extended_block_batch_result')
+            .replace('{changed}', this.result.changed)
+            .replace('{unchanged}', this.result.unchanged)
+            .replace('{failed}', this.result.errors.length);
+
+        if (this.result.errors.length > 0) {
+            message += '<br><br>' + Ext.util.Format.htmlEncode(this.result.errors.join('\n')).replace(/\n/g, '<br>');
+        }
+
+        this.progressWindow.close();
+        Ext.MessageBox.alert(t('extended_block_batch_edit'), message);
+
+        this.grid.getStore().reload();
+    }
+});
@@ -0,0 +1,173 @@
+/**
+ * Extended Block Bundle - Grid Column Filter
+ *
+ * Defines the filter of Extended Block columns in the object grid.
+ * The user picks a sub-field, an operator and a value; the server matches
+ * the objects with at least one item that fulfils the condition.
+ *
+ * @package    ExtendedBlockBundle
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+/**
+ * Grid filter for Extended Block columns, created by
+ * pimcore.object.tags.extendedBlock.getGridColumnFilter().
+ *
+ * The filter value is a JSON string with the keys field, operator and value.
+ * It is sent as string because the grid combines array values with OR.
+ * GridListingListener turns it into a subquery on the block table.
+ *
+ * @extends Ext.grid.filters.filter.SingleFilter
+ */
+Ext.define('pimcore.object.helpers.extendedBlockGridFilter', {
+    extend: 'Ext.grid.filters.filter.SingleFilter',
+    alias: 'grid.filter.extendedBlock',
+
+    /**
+     * Filter type sent to the server
+     * @type {string}
+     */
+    type: 'extendedBlock',
+
+    /**
+     * Sub-fields offered in the menu, as [name, label] pairs
+     * @type {Array}
+     */
+    subFields: [],
+
+    /**
+     * Operators that do not compare with a value.
+     * @constant {Array}
+     */
+    VALUELESS_OPERATORS: ['empty', 'notempty'],
+
+    /**
+     * Menu configuration, as in Ext.grid.filters.filter.String
+     * @type {Object}
+     */
+    menuDefaults: {
+        bodyPadding: 3,
+        showSeparator: false
+    },
+
+    /**
+     * Creates the menu with the sub-field, operator and value fields.
+     */
+    createMenu: function() {
+        var fieldWidth = 240;
+
+        this.callParent();
+
+        this.fieldCombo = this.menu.add({
+            xtype: 'combo',
+            fieldLabel: t('extended_block_filter_field'),
+            width: fieldWidth,
+            store: this.subFields,
+            queryMode: 'local',
+            triggerAction: 'all',
+            editable: false,
+            forceSelection: true,
+            value: this.subFields.length === 1 ? this.subFields[0][0] : null
+        });
+
+        this.operatorCombo = this.menu.add({
+            xtype: 'combo',
+            fieldLabel: t('extended_block_filter_operator'),
+            width: fieldWidth,
+            store: pimcore.object.tags.extendedBlock.prototype.getGridFilterOperatorStore(),
+            queryMode: 'local',
+            triggerAction: 'all',
+            editable: false,
+            value: '=',
+            listeners: {
+                change: function(combo, operator) {
+                    this.valueField.setDisabled(this.VALUELESS_OPERATORS.indexOf(operator) !== -1);
+                }.bind(this)
+            }
+        });
+
+        this.valueField = this.menu.add({
+            xtype: 'textfield',
+            fieldLabel: t('extended_block_filter_value'),
+            width: fieldWidth,
+            listeners: {
+                specialkey: function(field, e) {
+                    if (e.getKey() === e.ENTER) {
+                        this.applyMenuValue();
+                    }
+                }.bind(this)
+            }
+        });
+
+        this.menu.add({
+            xtype: 'button',
+            text: t('apply'),
+            iconCls: 'pimcore_icon_apply',
+            handler: this.applyMenuValue.bind(this)
+        });
+    },
+
+    /**
+     * Fills the menu fields from the current filter value when the menu is shown.
+     */
+    activateMenu: function() {
+        var value = this.decodeValue(this.filter.getValue());
+
+        if (value) {
+            this.fieldCombo.setValue(value.field);
+            this.operatorCombo.setValue(value.operator);
+            this.valueField.setValue(value.value);
+        }
+    },
+
+    /**
+     * Builds the filter value from the menu fields and applies it.
+     */
+    applyMenuValue: function() {
+        var field = this.fieldCombo.getValue();
+        var operator = this.operatorCombo.getValue();
+
+        if (!field || !operator) {
+            return;
+        }
+
+        this.setValue(Ext.encode({
+            field: field,
+            operator: operator,
+            value: this.VALUELESS_OPERATORS.indexOf(operator) !== -1 ? '' : this.valueField.getValue()
+        }));
+        this.menu.hide();
+    },
+
+    /**
+     * Sets the filter value and updates the store filter.
+     *
+     * @param {string|null} value - The JSON encoded filter value
+     */
+    setValue: function(value) {
+        this.filter.setValue(value);
+
+        if (value && this.active) {
+            this.value = value;
+            this.updateStoreFilter();
+        } else {
+            this.setActive(!!value);
+        }
+    },
+
+    /**
+     * Decodes a filter value.
+     *
+     * @param {string|null} value - The JSON encoded filter value
+     * @returns {Object|null} The filter with the keys field, operator and value
+     */
+    decodeValue: function(value) {
+        if (!value) {
+            return null;
+        }
+
+        return Ext.decode(value, true);
+    }
+});
@@ -0,0 +1,152 @@
+/**
+ * Extended Block Bundle - Undo/Redo History
+ *
+ * Undo and redo of the item operations of an Extended Block field in the
+ * object editor: add, delete, move, duplicate, paste, import and the bulk
+ * actions on selected items.
+ *
+ * @package    ExtendedBlockBundle
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+pimcore.registerNS('pimcore.object.helpers.extendedBlockHistory');
+
+/**
+ * Undo/redo stack of one Extended Block editor.
+ *
+ * Before each item operation the editor records the loaded items with their
+ * ids, types and sub-field values. Undo puts the items back in that state and
+ * moves the current state to the redo stack, so deleted items are restored
+ * with their values and are saved in place of their stored rows again.
+ *
+ * Sub-field edits are not recorded separately: the input fields keep their
+ * own undo, and an undo of an operation restores the values the items had
+ * before it.
+ */
+pimcore.object.helpers.extendedBlockHistory = Class.create({
+
+    /**
+     * Maximum number of operations that can be undone.
+     * @constant {number}
+     */
+    LIMIT: 50,
+
+    /**
+     * Initializes the helper.
+     *
+     * @param {pimcore.object.tags.extendedBlock} tag - The Extended Block editor
+     */
+    initialize: function(tag) {
+        this.tag = tag;
+        this.undoStack = [];
+        this.redoStack = [];
+    },
+
+    /**
+     * Records the current items before an operation changes them.
+     * A new operation cannot be redone after, so the redo stack is cleared.
+     */
+    record: function() {
+        this.undoStack.push(this.tag.getHistoryState());
+
+        if (this.undoStack.length > this.LIMIT) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.tag.updateHistoryButtons();
+    },
+
+    /**
+     * Restores the items as they were before the last operation.
+     */
+    undo: function() {
+        if (this.canUndo()) {
+            this.redoStack.push(this.tag.getHistoryState());
+            this.tag.restoreHistoryState(this.undoStack.pop());
+            this.tag.updateHistoryButtons();
+        }
+    },
+
+    /**
+     * Repeats the last undone operation.
+     */
+    redo: function() {
+        if (this.canRedo()) {
+            this.undoStack.push(this.tag.getHistoryState());
+            this.tag.restoreHistoryState(this.redoStack.pop());
+            this.tag.updateHistoryButtons();
+        }
+    },
+
+    /**
+     * @returns {boolean} True if an operation can be undone
+     */
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+
+    /**
+     * @returns {boolean} True if an undone operation can be redone
+     */
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Adds items loaded by paging to the end of every recorded state.
+     * A restored state would otherwise drop them, and the save would delete them.
+     *
+     * @param {Array} items - The loaded items {id, type, data, localizedData, ...}
+     */
+    appendItems: function(items) {
+        this.undoStack.concat(this.redoStack).forEach(function(state) {
+            for (var i = 0; i < items.length; i++) {
+                state.push(Ext.clone(items[i]));
+            }
+        });
+    },
+
+    /**
+     * Handles Ctrl+Z (undo) and Ctrl+Shift+Z (redo) while the focus is inside the field.
+     * Text inputs keep the browser's own undo of typing.
+     *
+     * @param {Ext.event.Event} e - The keydown event
+     */
+    onKeyDown: function(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.getKey() !== e.Z || this.isTextInput(e.target)) {
+            return;
+        }
+
+        e.stopEvent();
+
+        if (e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    },
+
+    /**
+     * Checks if an element has its own undo of typed text.
+     *
+     * @param {HTMLElement} target - The focused element
+     * @returns {boolean} True for editable text inputs, text areas and rich text editors
+     */
+    isTextInput: function(target) {
+        var tagName = (target.tagName || '').toLowerCase();
+
+        if (target.isContentEditable) {
+            return true;
+        }
+
+        if (tagName === 'textarea') {
+            return !target.readOnly;
+        }
+
+        return tagName === 'input' && !target.readOnly &&
+            ['checkbox', 'radio', 'button', 'submit'].indexOf(target.type) === -1;
+    }
+});
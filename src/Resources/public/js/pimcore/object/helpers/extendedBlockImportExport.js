@@ -0,0 +1,405 @@
+/**
+ * Extended Block Bundle - Item Import and Export
+ *
+ * Export of the items of an Extended Block field as CSV or JSON file, and
+ * import of CSV and JSON files with a preview, opened from the panel header
+ * of the field in the object editor.
+ *
+ * @package    ExtendedBlockBundle
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+pimcore.registerNS('pimcore.object.helpers.extendedBlockImportExport');
+
+/**
+ * Import and export of the items of one Extended Block editor.
+ *
+ * The export contains the current items of the editor, including unsaved
+ * changes; the JSON export can be imported again as it is.
+ *
+ * The import uploads the file to the admin endpoint, which maps the columns to
+ * sub-fields and converts the values like a save of the editor would. The
+ * preview shows the converted items and the rows that failed; the items are
+ * then appended or replace the own items of the field.
+ */
+pimcore.object.helpers.extendedBlockImportExport = Class.create({
+
+    /**
+     * Initializes the helper.
+     *
+     * @param {pimcore.object.tags.extendedBlock} tag - The Extended Block editor
+     */
+    initialize: function(tag) {
+        this.tag = tag;
+    },
+
+    /**
+     * Downloads the items of the editor. All pages are loaded first.
+     *
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportItems: function(format) {
+        this.tag.loadAllPages(function() {
+            var items = this.getExportItems();
+            var content = format === 'csv'
+                ? this.buildCsv(items)
+                : JSON.stringify(items, null, 2);
+
+            this.download(
+                content,
+                this.tag.object.id + '_' + this.tag.getName() + '.' + format,
+                format === 'csv' ? 'text/csv' : 'application/json'
+            );
+        }.bind(this));
+    },
+
+    /**
+     * Returns the own items of the editor without ids, as new items for an import.
+     *
+     * @returns {Array} The items {type, data, localizedData}
+     */
+    getExportItems: function() {
+        var value = this.tag.getValue();
+        var items = Ext.isArray(value) ? value : value.items;
+
+        return items.map(function(item) {
+            return {
+                type: item.type,
+                data: item.data,
+                localizedData: item.localizedData || {}
+            };
+        });
+    },
+
+    /**
+     * Builds the CSV file of items: a header row with the sub-field names, then one row per item.
+     *
+     * The type column is only added with several block types. Localized sub-fields
+     * get a column per language ("name:de") for the languages the items have values for.
+     *
+     * @param {Array} items - The items {type, data, localizedData}
+     * @returns {string} The CSV content, with byte order mark for spreadsheet programs
+     */
+    buildCsv: function(items) {
+        var columns = [];
+        var hasTypeColumn = this.tag.hasMultipleBlockTypes();
+        var definitions = this.tag.getAllDataFieldDefinitions();
+        var localizedColumns = this.getLocalizedColumns(items);
+        var d;
+
+        if (hasTypeColumn) {
+            columns.push('type');
+        }
+
+        for (d = 0; d < definitions.length; d++) {
+            columns.push(definitions[d].name);
+        }
+
+        columns = columns.concat(localizedColumns.map(function(column) {
+            return column.field + ':' + column.language;
+        }));
+
+        var lines = [columns.map(this.formatCsvValue, this).join(',')];
+
+        for (var i = 0; i < items.length; i++) {
+            var row = [];
+
+            if (hasTypeColumn) {
+                row.push(items[i].type);
+            }
+
+            for (d = 0; d < definitions.length; d++) {
+                row.push(this.tag.isTypeField(items[i].type, definitions[d].name) ? items[i].data[definitions[d].name] : null);
+            }
+
+            for (d = 0; d < localizedColumns.length; d++) {
+                var languageValues = items[i].localizedData[localizedColumns[d].language] || {};
+                row.push(languageValues[localizedColumns[d].field]);
+            }
+
+            lines.push(row.map(this.formatCsvValue, this).join(','));
+        }
+
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Returns the localized sub-field and language pairs the items have values for.
+     *
+     * @param {Array} items - The items {type, data, localizedData}
+     * @returns {Array} The columns {field, language}
+     */
+    getLocalizedColumns: function(items) {
+        var languages = {};
+        var fields = {};
+        var columns = [];
+
+        for (var i = 0; i < items.length; i++) {
+            var definitions = this.tag.getLocalizedFieldDefinitions(items[i].type);
+            for (var d = 0; d < definitions.length; d++) {
+                fields[definitions[d].name] = true;
+            }
+
+            for (var language in items[i].localizedData) {
+                if (items[i].localizedData.hasOwnProperty(language)) {
+                    languages[language] = true;
+                }
+            }
+        }
+
+        Object.keys(fields).forEach(function(field) {
+            Object.keys(languages).forEach(function(language) {
+                columns.push({field: field, language: language});
+            });
+        });
+
+        return columns;
+    },
+
+    /**
+     * Converts a value to a CSV cell.
+     * Lists and objects (e.g. relations) are written as JSON, which the import reads back.
+     *
+     * @param {*} value - The value
+     * @returns {string} The quoted cell
+     */
+    formatCsvValue: function(value) {
+        if (value === null || typeof value === 'undefined') {
+            return '';
+        }
+
+        if (Ext.isDate(value)) {
+            value = Ext.Date.format(value, 'Y-m-d H:i:s');
+        } else if (typeof value === 'boolean') {
+            value = value ? '1' : '0';
+        } else if (typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+
+        value = String(value);
+
+        if (/[",;\r\n]/.test(value)) {
+            value = '"' + value.replace(/"/g, '""') + '"';
+        }
+
+        return value;
+    },
+
+    /**
+     * Lets the browser download a file built in the editor.
+     *
+     * @param {string} content - The file content
+     * @param {string} filename - The file name
+     * @param {string} mimeType - The MIME type
+     */
+    download: function(content, filename, mimeType) {
+        var url = URL.createObjectURL(new Blob([content], {type: mimeType + ';charset=utf-8'}));
+        var link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Opens the upload dialog of the import.
+     */
+    openImport: function() {
+        pimcore.helpers.uploadDialog(
+            Routing.generate('extended_block_import', {id: this.tag.object.id, field: this.tag.getName()}),
+            'file',
+            function(res) {
+                this.showPreview(Ext.decode(res.response.responseText));
+            }.bind(this),
+            function(res) {
+                var result = res && res.response ? Ext.decode(res.response.responseText, true) : null;
+                Ext.MessageBox.alert(t('error'), result && result.message
+                    ? Ext.util.Format.htmlEncode(result.message)
+                    : t('extended_block_import_failed'));
+            }
+        );
+    },
+
+    /**
+     * Shows the converted items and the failed rows of an import.
+     *
+     * @param {Object} result - The import result {items, errors, mapped, ignored}
+     */
+    showPreview: function(result) {
+        var items = result.items || [];
+        var errors = result.errors || [];
+        var info = [];
+
+        info.push(t('extended_block_import_summary')
+            .replace('{items}', items.length)
+            .replace('{errors}', errors.length));
+
+        if (result.ignored && result.ignored.length > 0) {
+            info.push(t('extended_block_import_ignored_columns') + ': ' +
+                Ext.util.Format.htmlEncode(result.ignored.join(', ')));
+        }
+
+        var panels = [
+            {
+                xtype: 'component',
+                html: info.join('<br>'),
+                margin: '0 0 10 0'
+            },
+            this.getPreviewGrid(items, result.mapped || {})
+        ];
+
+        if (errors.length > 0) {
+            panels.push({
+                xtype: 'panel',
+                title: t('extended_block_import_failed_rows'),
+                margin: '10 0 0 0',
+                maxHeight: 150,
+                scrollable: true,
+                bodyStyle: 'padding: 5px;',
+                html: errors.map(function(error) {
+                    return Ext.util.Format.htmlEncode(
+                        t('extended_block_import_row').replace('%s', error.row) + ': ' + error.message
+                    );
+                }).join('<br>')
+            });
+        }
+
+        var apply = function(replace) {
+            this.tag.importItems(items, replace, function() {
+                this.previewWindow.close();
+            }.bind(this));
+        };
+
+        this.previewWindow = new Ext.Window({
+            title: t('extended_block_import_items') + ': ' + t(this.tag.fieldConfig.title || this.tag.getName()),
+            width: 900,
+            maxHeight: 640,
+            scrollable: true,
+            modal: true,
+            bodyStyle: 'padding: 10px; background: #fff;',
+            items: panels,
+            buttons: [
+                {
+                    text: t('cancel'),
+                    iconCls: 'pimcore_icon_cancel',
+                    handler: function() {
+                        this.previewWindow.close();
+                    }.bind(this)
+                },
+                {
+                    text: t('extended_block_import_replace'),
+                    iconCls: 'pimcore_icon_import',
+                    disabled: items.length < 1,
+                    handler: apply.bind(this, true)
+                },
+                {
+                    text: t('extended_block_import_append'),
+                    iconCls: 'pimcore_icon_add',
+                    disabled: items.length < 1,
+                    handler: apply.bind(this, false)
+                }
+            ]
+        });
+
+        this.previewWindow.show();
+    },
+
+    /**
+     * Creates the grid of the converted items, with a column per mapped sub-field.
+     *
+     * @param {Array} items - The converted items {type, data, localizedData}
+     * @param {Object} mapped - The sub-field ("name" or "name:language") by file column
+     * @returns {Ext.grid.Panel} The grid
+     */
+    getPreviewGrid: function(items, mapped) {
+        var targets = [];
+        var fields = ['type'];
+        var columns = [];
+        var column;
+
+        for (column in mapped) {
+            if (mapped.hasOwnProperty(column) && targets.indexOf(mapped[column]) === -1) {
+                targets.push(mapped[column]);
+            }
+        }
+
+        if (this.tag.hasMultipleBlockTypes()) {
+            columns.push({
+                text: t('type'),
+                dataIndex: 'type',
+                width: 120,
+                renderer: function(value) {
+                    return Ext.util.Format.htmlEncode(this.tag.getBlockTypeName(value));
+                }.bind(this)
+            });
+        }
+
+        for (var c = 0; c < targets.length; c++) {
+            fields.push('field' + c);
+            columns.push({
+                text: Ext.util.Format.htmlEncode(this.getTargetLabel(targets[c])),
+                dataIndex: 'field' + c,
+                flex: 1,
+                minWidth: 100,
+                renderer: function(value) {
+                    return Ext.util.Format.htmlEncode(this.tag.formatTitleValue(value));
+                }.bind(this)
+            });
+        }
+
+        var records = items.map(function(item) {
+            var record = {type: item.type};
+
+            for (var c = 0; c < targets.length; c++) {
+                var parts = targets[c].split(':');
+                record['field' + c] = parts.length > 1
+                    ? ((item.localizedData || {})[parts[1]] || {})[parts[0]]
+                    : item.data[parts[0]];
+            }
+
+            return record;
+        });
+
+        return Ext.create('Ext.grid.Panel', {
+            store: Ext.create('Ext.data.Store', {
+                fields: fields,
+                data: records
+            }),
+            columns: columns,
+            height: 300,
+            columnLines: true,
+            stripeRows: true
+        });
+    },
+
+    /**
+     * Returns the column label of a mapped sub-field.
+     *
+     * @param {string} target - "name" or "name:language"
+     * @returns {string} The sub-field title, with the language for localized sub-fields
+     */
+    getTargetLabel: function(target) {
+        var parts = target.split(':');
+        var definitions = this.tag.getAllDataFieldDefinitions();
+        var types = this.tag.getBlockTypes();
+        var d;
+
+        for (var i = 0; i < types.length; i++) {
+            definitions = definitions.concat(this.tag.getLocalizedFieldDefinitions(types[i].type));
+        }
+
+        for (d = 0; d < definitions.length; d++) {
+            if (definitions[d].name === parts[0]) {
+                return t(definitions[d].title || definitions[d].name) + (parts.length > 1 ? ' (' + parts[1] + ')' : '');
+            }
+        }
+
+        return target;
+    }
+});
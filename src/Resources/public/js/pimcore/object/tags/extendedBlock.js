@@ -21,10 +21,23 @@ pimcore.registerNS('pimcore.object.tags.extendedBlock');
  * This class provides the admin interface following Pimcore's block pattern:
  * - Inline controls for add before/after, delete, move up/down
  * - Dynamic field rendering based on children definitions (like Pimcore Block)
+ * - Block type menu on the add buttons when several block types are defined
+ * - Drag and drop reordering via a drag handle on each item
+ * - Collapsible items with a title built from the item's values
+ * - On-demand rendering of item forms for blocks with many items
+ * - Paging of the items of lazy loading fields from the admin endpoint
+ * - Duplicating and copy and paste of items between objects
+ * - Item selection with bulk delete, move, duplicate and clear-field actions
+ * - Table display mode with inline cell editing, one row per item
+ * - Search field in the panel header that filters and highlights items
+ * - Export of the items as CSV or JSON and import from CSV and JSON files
+ * - Read-only inherited items (inheritance modes append and merge) that can be overridden one by one
+ * - Language tabs for the sub-fields inside a LocalizedFields container
+ * - Validation of each item before saving, with the failing items and sub-fields marked
  * - Full responsive design with auto-adjusting height/width
  *
- * Field restrictions: LocalizedFields, Block, ObjectBricks, FieldCollections, 
- * and ExtendedBlock cannot be used within ExtendedBlock items.
+ * Field restrictions: Block, ObjectBricks, FieldCollections and ExtendedBlock
+ * cannot be used within ExtendedBlock items.
  *
  * @extends pimcore.object.tags.abstract
  */
@@ -69,10 +82,33 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      */
     initialize: function(data, fieldConfig) {
         this.dirty = false;
+        this.collapseState = null;
+        this.dataFieldDefinitions = {};
+        this.batchRendering = false;
+        this.renderObserver = null;
         this.data = [];
         this.currentElements = [];
         this.layoutDefinitions = {};
         this.dataFields = {};
+        this.paging = null;
+        this.pagingLoading = false;
+        this.tableStore = null;
+        this.allDataFieldDefinitions = null;
+        this.filter = {query: '', field: ''};
+        this.history = null;
+
+        // Lazy loading fields with many items only send their first page.
+        // The offset counts the own items only, inherited items are not paged.
+        if (data && data.paged) {
+            this.paging = {
+                total: data.total,
+                pageSize: data.pageSize,
+                offset: data.items.filter(function(item) {
+                    return !item.inherited;
+                }).length
+            };
+            data = data.items;
+        }
 
         if (data) {
             this.data = data;
@@ -87,11 +123,52 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      */
     GRID_COLUMN_WIDTH: 200,
 
+    /**
+     * Size of the image thumbnails in the grid preview, in pixels.
+     * @constant {number}
+     */
+    GRID_THUMBNAIL_SIZE: 40,
+
+    /**
+     * Maximum number of item ids kept in the stored collapse state.
+     * @constant {number}
+     */
+    COLLAPSE_STATE_MAX_ITEMS: 500,
+
+    /**
+     * Number of loaded items above which item forms are rendered on demand.
+     * @constant {number}
+     */
+    LAZY_RENDER_THRESHOLD: 20,
+
+    /**
+     * Column width in table display mode.
+     * @constant {number}
+     */
+    TABLE_COLUMN_WIDTH: 160,
+
+    /**
+     * Sub-field types edited directly in the cells in table display mode.
+     * All other types are edited in the item form of the row.
+     * @constant {Array}
+     */
+    TABLE_INLINE_FIELD_TYPES: ['input', 'email', 'textarea', 'numeric', 'checkbox', 'select'],
+
+    /**
+     * Sub-field types offered in the grid column filter.
+     * Each of them is stored in a single column of the block table.
+     * @constant {Array}
+     */
+    GRID_FILTER_FIELD_TYPES: ['input', 'email', 'textarea', 'wysiwyg', 'numeric', 'slider', 'checkbox',
+        'select', 'country', 'language', 'gender', 'booleanSelect', 'date', 'datetime'],
+
     /**
      * Returns the layout component for grid column.
      *
      * Implements grid column configuration following the structuredTable pattern.
      * Renders a summary table showing block item count and preview of first items.
+     * Sorting orders the objects by their item count (see GridListingListener).
+     * The header menu of the column offers the batch edit of the items.
      *
      * @param {Object} field - The field configuration
      * @returns {Object} Column configuration
@@ -100,9 +177,130 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
         return {
             text: t(field.label),
             width: this.GRID_COLUMN_WIDTH,
-            sortable: false,
+            sortable: true,
+            dataIndex: field.key,
+            renderer: this.createGridRenderer(field),
+            extendedBlockField: field,
+            listeners: {
+                afterrender: this.initGridBatchEditMenu.bind(this)
+            }
+        };
+    },
+
+    /**
+     * Adds the batch edit entries to the header menu of the object grid.
+     * They are shown for Extended Block columns only; the menu is shared by all
+     * columns, so the entries are added once per grid.
+     *
+     * @param {Ext.grid.column.Column} column - The rendered column
+     */
+    initGridBatchEditMenu: function(column) {
+        var grid = column.up('tablepanel');
+
+        if (!grid || grid.extendedBlockBatchEditMenu) {
+            return;
+        }
+        grid.extendedBlockBatchEditMenu = true;
+
+        var addItems = function(menu) {
+            var openBatchEdit = function(onlySelected) {
+                new pimcore.object.helpers.extendedBlockBatchEdit(grid, menu.activeHeader.extendedBlockField, onlySelected);
+            };
+
+            var batchAllItem = menu.add({
+                text: t('extended_block_batch_edit'),
+                iconCls: 'pimcore_icon_table pimcore_icon_overlay_go',
+                handler: function() {
+                    openBatchEdit(false);
+                }
+            });
+            var batchSelectedItem = menu.add({
+                text: t('extended_block_batch_edit_selected'),
+                iconCls: 'pimcore_icon_structuredTable pimcore_icon_overlay_go',
+                handler: function() {
+                    openBatchEdit(true);
+                }
+            });
+
+            menu.on('beforeshow', function() {
+                var field = menu.activeHeader ? menu.activeHeader.extendedBlockField : null;
+                var editable = !!field && !(field.layout && field.layout.noteditable);
+
+                batchAllItem.setVisible(editable);
+                batchSelectedItem.setVisible(editable && grid.getSelectionModel().getCount() > 0);
+            });
+        };
+
+        if (grid.headerCt.menu) {
+            addItems(grid.headerCt.menu);
+        } else {
+            grid.headerCt.on('menucreate', function(headerCt, menu) {
+                addItems(menu);
+            });
+        }
+    },
+
+    /**
+     * Returns the operators of the grid column filter and the batch edit condition.
+     *
+     * @returns {Array} Store data of [operator, label] pairs
+     */
+    getGridFilterOperatorStore: function() {
+        return [
+            ['=', '='],
+            ['!=', '!='],
+            ['like', t('extended_block_filter_contains')],
+            ['<', '<'],
+            ['>', '>'],
+            ['empty', t('extended_block_filter_empty')],
+            ['notempty', t('extended_block_filter_not_empty')]
+        ];
+    },
+
+    /**
+     * Returns the grid column filter.
+     * Offers the sub-fields of all block types whose type is in GRID_FILTER_FIELD_TYPES.
+     *
+     * @param {Object} field - The field configuration
+     * @returns {Object|null} Filter configuration, null if no sub-field can be filtered
+     */
+    getGridColumnFilter: function(field) {
+        var layout = field.layout || {};
+        var definitions = layout.blockDefinitions || {};
+        var subFields = [];
+        var names = {};
+
+        var collect = function(children) {
+            for (var i = 0; i < (children || []).length; i++) {
+                if (children[i].fieldtype === 'localizedfields') {
+                    continue;
+                }
+
+                if (children[i].datatype !== 'data') {
+                    collect(children[i].children);
+                } else if (!names[children[i].name] &&
+                    this.GRID_FILTER_FIELD_TYPES.indexOf(children[i].fieldtype) !== -1) {
+                    names[children[i].name] = true;
+                    subFields.push([children[i].name, t(children[i].title || children[i].name)]);
+                }
+            }
+        }.bind(this);
+
+        collect(layout.children);
+        for (var typeName in definitions) {
+            if (definitions.hasOwnProperty(typeName)) {
+                collect(definitions[typeName].fields);
+            }
+        }
+
+        if (subFields.length === 0) {
+            return null;
+        }
+
+        return {
+            type: 'extendedBlock',
             dataIndex: field.key,
-            renderer: this.createGridRenderer(field)
+            subFields: subFields
         };
     },
 
@@ -110,6 +308,10 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      * Creates the grid cell renderer function.
      * Follows structuredTable pattern for proper table UI rendering.
      *
+     * The cell shows the preview fields of the first items, the tooltip the table
+     * of all fields and items. In "count" preview mode the cell shows the item
+     * count only and has no tooltip.
+     *
      * @param {Object} field - The field configuration
      * @returns {Function} The renderer function
      */
@@ -126,11 +328,29 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
             var fields = value.fields || [];
             var items = value.items || [];
 
+            if (count > 0 && value.mode === 'count') {
+                return this.renderItemCount(count);
+            }
+
             if (count === 0 || fields.length === 0) {
                 return this.renderEmptyState();
             }
 
-            return this.renderGridTable(count, fields, items);
+            metaData.tdAttr = 'data-qtip="' +
+                Ext.util.Format.htmlEncode(this.renderGridTable(count, fields, items)) + '"';
+
+            var previewFields = [];
+            for (var f = 0; f < fields.length; f++) {
+                if (fields[f].preview !== false) {
+                    previewFields.push(fields[f]);
+                }
+            }
+
+            if (previewFields.length === 0) {
+                return this.renderItemCount(count);
+            }
+
+            return this.renderGridTable(count, previewFields, items.slice(0, value.rows || items.length));
         }.bind(this, field.key, field);
     },
 
@@ -167,6 +387,39 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
         return '<span style="color: #999;">0 items</span>';
     },
 
+    /**
+     * Renders the item count of the "count" preview mode.
+     *
+     * @param {number} count - Total item count
+     * @returns {string} Item count HTML
+     */
+    renderItemCount: function(count) {
+        return '<span>' + count + (count === 1 ? ' item' : ' items') + '</span>';
+    },
+
+    /**
+     * Renders a cell of the grid preview table.
+     * Image values are shown as thumbnail, all other values as text.
+     *
+     * @param {Object} field - The field definition {key, label, type}
+     * @param {*} cellValue - The formatted value
+     * @returns {string} The cell content HTML
+     */
+    renderGridTableCell: function(field, cellValue) {
+        if (field.type === 'image' && cellValue && cellValue.id) {
+            var url = Routing.generate('pimcore_admin_asset_getimagethumbnail', {
+                id: cellValue.id,
+                width: this.GRID_THUMBNAIL_SIZE,
+                height: this.GRID_THUMBNAIL_SIZE,
+                frame: true
+            });
+
+            return '<img src="' + url + '" alt="' + Ext.util.Format.htmlEncode(cellValue.path) + '" />';
+        }
+
+        return Ext.util.Format.htmlEncode(cellValue || '');
+    },
+
     /**
      * Renders a proper table with headers and data rows.
      * Follows structuredTable rendering pattern.
@@ -193,10 +446,9 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
         for (var i = 0; i < items.length; i++) {
             table += '<tr>';
             for (var f = 0; f < fields.length; f++) {
-                var cellValue = items[i][fields[f].key] || '';
                 table += '<td style="padding: 2px 4px; max-width: 100px; ' +
                          'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">';
-                table += Ext.util.Format.htmlEncode(cellValue);
+                table += this.renderGridTableCell(fields[f], items[i][fields[f].key]);
                 table += '</td>';
             }
             table += '</tr>';
@@ -237,15 +489,40 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
             componentCls: this.getWrapperClassNames(),
             collapsible: this.fieldConfig.collapsible,
             collapsed: this.fieldConfig.collapsed,
-            cls: 'extended-block-container'
+            cls: 'extended-block-container',
+            header: {
+                items: this.getFilterFieldConfigs().concat(
+                    this.getHistoryButtonConfigs(),
+                    this.getImportExportButtonConfig()
+                )
+            }
         };
 
+        if (!this.isTableMode()) {
+            panelConf.tools = [
+                {
+                    type: 'minus',
+                    tooltip: t('extended_block_collapse_all'),
+                    handler: this.setAllItemsCollapsed.bind(this, true)
+                },
+                {
+                    type: 'plus',
+                    tooltip: t('extended_block_expand_all'),
+                    handler: this.setAllItemsCollapsed.bind(this, false)
+                }
+            ];
+        }
+
         if (this.fieldConfig.title) {
             panelConf.title = this.fieldConfig.title;
         }
 
         this.component = new Ext.Panel(panelConf);
 
+        if (!this.fieldConfig.noteditable) {
+            this.component.addListener('afterrender', this.initHistoryKeys.bind(this));
+        }
+
         this.component.addListener('render', function() {
             if (this.object && this.object.data && this.object.data.metaData && 
                 this.object.data.metaData[this.getName()] && 
@@ -254,198 +531,2150 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
             }
         }.bind(this));
 
-        this.initData();
+        if (this.isTableMode()) {
+            this.initTable();
+        } else {
+            this.component.addListener('afterrender', this.initDropTarget.bind(this));
+
+            if (!this.fieldConfig.noteditable) {
+                this.initSelectionToolbar();
+            }
+
+            this.initData();
+        }
+
+        if (this.paging) {
+            this.initPaging();
+        }
 
         return this.component;
     },
 
     /**
      * Initializes block data and renders items.
+     * An empty block of a new object is pre-seeded with minItems empty items,
+     * which do not mark the field as changed.
+     *
+     * Items are added as one batch: indices, titles and delete buttons are
+     * updated once at the end, and with more than LAZY_RENDER_THRESHOLD items
+     * the item forms are only rendered when they become visible.
      */
     initData: function() {
-        if (this.data.length < 1) {
+        this.batchRendering = true;
+        Ext.suspendLayouts();
+
+        if (this.isPreseedRequired()) {
+            for (var m = 0; m < this.fieldConfig.minItems; m++) {
+                this.addBlockElement(m, {type: this.getBlockTypes()[0].type}, {}, true);
+            }
+        } else if (this.data.length < 1) {
             this.component.add(this.getControls());
         } else {
-            Ext.suspendLayouts();
             for (var i = 0; i < this.data.length; i++) {
                 this.addBlockElement(
                     i,
                     {
-                        oIndex: this.data[i].oIndex
+                        id: this.data[i].id,
+                        type: this.data[i].type,
+                        inherited: this.data[i].inherited,
+                        sourceId: this.data[i].sourceId,
+                        localizedData: this.data[i].localizedData
                     },
                     this.data[i].data,
                     true
                 );
             }
-            Ext.resumeLayouts();
         }
 
+        this.batchRendering = false;
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+
+        Ext.resumeLayouts();
         this.component.updateLayout();
     },
 
     /**
-     * Creates inline toolbar controls for block elements.
-     * Follows Pimcore Block pattern with direct handlers.
+     * Checks if the block is pre-seeded with minItems empty items when it opens.
      *
-     * @param {Ext.Panel} blockElement - The block element panel (null for initial add button)
-     * @returns {Ext.Toolbar} The toolbar with controls
+     * Only empty blocks of new objects are pre-seeded, as flagged by the server in
+     * fieldConfig.newObject. An existing object with too few items opens unchanged,
+     * and isInvalidMandatory() reports the missing items on save.
+     *
+     * @returns {boolean} True if the empty items are added
      */
-    getControls: function(blockElement) {
-        var items = [];
-
-        if (blockElement) {
-            // Add before
-            items.push({
-                disabled: this.fieldConfig.disallowAddRemove,
-                cls: 'pimcore_block_button_plus',
-                iconCls: 'pimcore_icon_plus_up',
-                handler: this.addBlock.bind(this, blockElement, 'before')
-            });
+    isPreseedRequired: function() {
+        if (this.data.length > 0 || !(this.fieldConfig.minItems > 0) || this.fieldConfig.noteditable) {
+            return false;
+        }
 
-            // Add after
-            items.push({
-                disabled: this.fieldConfig.disallowAddRemove,
-                cls: 'pimcore_block_button_plus',
-                iconCls: 'pimcore_icon_plus_down',
-                handler: this.addBlock.bind(this, blockElement, 'after')
-            });
+        // Without an object (e.g. the preview in the class editor) the block is shown like a new one
+        return !this.object || this.fieldConfig.newObject === true;
+    },
 
-            // Delete
-            items.push({
-                disabled: this.fieldConfig.disallowAddRemove,
-                cls: 'pimcore_block_button_minus',
-                iconCls: 'pimcore_icon_minus',
-                listeners: {
-                    click: this.removeBlock.bind(this, blockElement)
+    /**
+     * Adds the toolbar with the bulk actions on selected items.
+     * It is shown while at least one item is selected.
+     */
+    initSelectionToolbar: function() {
+        this.selectionToolbar = this.component.addDocked({
+            xtype: 'toolbar',
+            dock: 'top',
+            hidden: true,
+            items: [
+                {
+                    xtype: 'tbtext',
+                    itemId: 'selectionStatus'
+                },
+                {
+                    text: t('extended_block_select_all'),
+                    handler: this.setAllItemsSelected.bind(this, true)
+                },
+                {
+                    text: t('extended_block_select_none'),
+                    handler: this.setAllItemsSelected.bind(this, false)
+                },
+                '-',
+                {
+                    text: t('extended_block_delete_selected'),
+                    iconCls: 'pimcore_icon_delete',
+                    disabled: this.fieldConfig.disallowAddRemove,
+                    handler: this.deleteSelectedItems.bind(this)
+                },
+                {
+                    text: t('extended_block_move_to_top'),
+                    itemId: 'moveTopButton',
+                    iconCls: 'pimcore_icon_up',
+                    disabled: this.isReorderDisabled(),
+                    handler: this.moveSelectedItems.bind(this, 'top')
+                },
+                {
+                    text: t('extended_block_move_to_bottom'),
+                    itemId: 'moveBottomButton',
+                    iconCls: 'pimcore_icon_down',
+                    disabled: this.isReorderDisabled(),
+                    handler: this.moveSelectedItems.bind(this, 'bottom')
+                },
+                {
+                    text: t('extended_block_duplicate_selected'),
+                    iconCls: 'pimcore_icon_copy',
+                    disabled: this.fieldConfig.disallowAddRemove,
+                    handler: this.duplicateSelectedItems.bind(this)
+                },
+                {
+                    text: t('extended_block_clear_field'),
+                    menu: {
+                        items: [],
+                        listeners: {
+                            beforeshow: function(menu) {
+                                menu.removeAll();
+                                menu.add(this.getClearFieldMenuItems());
+                            }.bind(this)
+                        }
+                    }
                 }
-            });
+            ]
+        })[0];
+    },
 
-            // Move up
-            items.push({
-                disabled: this.fieldConfig.disallowReorder,
-                cls: 'pimcore_block_button_up',
-                iconCls: 'pimcore_icon_up',
-                listeners: {
-                    click: this.moveBlockUp.bind(this, blockElement)
-                }
-            });
+    /**
+     * Returns the selected block elements in their current order.
+     *
+     * @returns {Array} The selected block element panels
+     */
+    getSelectedBlockElements: function() {
+        return this.getBlockElements().filter(function(blockElement) {
+            return blockElement.selectCheckbox && blockElement.selectCheckbox.getValue();
+        });
+    },
 
-            // Move down
-            items.push({
-                disabled: this.fieldConfig.disallowReorder,
-                cls: 'pimcore_block_button_down',
-                iconCls: 'pimcore_icon_down',
-                listeners: {
-                    click: this.moveBlockDown.bind(this, blockElement)
-                }
-            });
-        } else {
-            // Initial add button (when no items exist)
-            items.push({
-                disabled: this.fieldConfig.disallowAddRemove,
-                cls: 'pimcore_block_button_plus',
-                iconCls: 'pimcore_icon_plus',
-                handler: this.addBlock.bind(this, blockElement, 'after')
-            });
+    /**
+     * Shows the selection toolbar while items are selected and updates its status text.
+     */
+    updateSelectionToolbar: function() {
+        if (!this.selectionToolbar || this.ignoreSelectionEvents) {
+            return;
         }
 
-        var toolbar = new Ext.Toolbar({
-            items: items
-        });
+        var count = this.getSelectedBlockElements().length;
 
-        return toolbar;
+        this.selectionToolbar.getComponent('selectionStatus').setText(
+            t('extended_block_selected_items').replace('%s', count)
+        );
+        this.selectionToolbar.setVisible(count > 0);
     },
 
     /**
-     * Detects the index of a block element.
+     * Selects or deselects all items.
      *
-     * @param {Ext.Panel} blockElement - The block element
-     * @returns {number} The index
+     * @param {boolean} selected - True to select, false to deselect
      */
-    detectBlockIndex: function(blockElement) {
-        var index;
-        for (var s = 0; s < this.component.items.items.length; s++) {
-            if (this.component.items.items[s].key === blockElement.key) {
-                index = s;
-                break;
-            }
+    setAllItemsSelected: function(selected) {
+        var blockElements = this.getBlockElements();
+
+        this.ignoreSelectionEvents = true;
+        for (var i = 0; i < blockElements.length; i++) {
+            blockElements[i].selectCheckbox.setValue(selected);
         }
-        return index;
+        this.ignoreSelectionEvents = false;
+
+        this.updateSelectionToolbar();
     },
 
     /**
-     * Closes any open editors (WYSIWYG, etc.)
+     * Deletes the selected items after confirmation.
+     * Does nothing with disallowAddRemove; refuses to go below minItems.
      */
-    closeOpenEditors: function() {
-        for (var i = 0; i < this.currentElements.length; i++) {
-            if (typeof this.currentElements[i] === 'object') {
-                for (var e = 0; e < this.currentElements[i]['fields'].length; e++) {
-                    if (typeof this.currentElements[i]['fields'][e]['close'] === 'function') {
-                        this.currentElements[i]['fields'][e].close();
-                    }
-                }
-            }
+    deleteSelectedItems: function() {
+        var selected = this.getSelectedBlockElements();
+        var minItems = this.fieldConfig.minItems || 0;
+
+        if (this.fieldConfig.disallowAddRemove || selected.length < 1) {
+            return;
+        }
+
+        if (this.getItemCount() - selected.length < minItems) {
+            Ext.MessageBox.alert(t('error'), t('extended_block_min_items_not_reached').replace('%s', minItems));
+            return;
         }
+
+        Ext.MessageBox.confirm(
+            t('delete'),
+            t('extended_block_delete_selected_confirm').replace('%s', selected.length),
+            function(button) {
+                if (button === 'yes') {
+                    this.recordHistory();
+                    this.removeBlockElements(selected);
+                }
+            }.bind(this)
+        );
     },
 
     /**
-     * Adds a new block element.
-     * Follows Pimcore Block pattern.
+     * Moves the selected items to the top or bottom, keeping their order.
      *
-     * @param {Ext.Panel} blockElement - Reference block element
-     * @param {string} position - 'before' or 'after'
+     * @param {string} position - 'top' or 'bottom'
      */
-    addBlock: function(blockElement, position) {
+    moveSelectedItems: function(position) {
+        var selected = this.getSelectedBlockElements();
+
+        if (this.isReorderDisabled() || selected.length < 1) {
+            return;
+        }
+
+        this.recordHistory();
         this.closeOpenEditors();
+        Ext.suspendLayouts();
 
-        // Check max items limit
-        if (this.fieldConfig.maxItems) {
-            var itemAmount = 0;
-            for (var s = 0; s < this.component.items.items.length; s++) {
-                if (typeof this.component.items.items[s].key !== 'undefined') {
-                    itemAmount++;
-                }
+        if (position === 'top') {
+            for (var i = selected.length - 1; i >= 0; i--) {
+                this.component.moveBefore(selected[i], this.component.items.getAt(0));
             }
-
-            if (itemAmount >= this.fieldConfig.maxItems) {
-                Ext.MessageBox.alert(t('error'), t('limit_reached'));
-                return;
+        } else {
+            for (var j = 0; j < selected.length; j++) {
+                this.component.moveBefore(selected[j], null);
             }
         }
 
-        var index = 0;
-        if (blockElement) {
-            index = this.detectBlockIndex(blockElement);
+        Ext.resumeLayouts(true);
+
+        this.updateBlockIndices();
+        this.dirty = true;
+    },
+
+    /**
+     * Inserts a deep copy of every selected item directly after it.
+     * Respects disallowAddRemove and maxItems.
+     */
+    duplicateSelectedItems: function() {
+        var selected = this.getSelectedBlockElements();
+
+        if (this.fieldConfig.disallowAddRemove || selected.length < 1 || !this.checkMaxItems(selected.length)) {
+            return;
         }
 
-        if (position !== 'before') {
-            index++;
+        this.recordHistory();
+        this.closeOpenEditors();
+        this.batchRendering = true;
+        Ext.suspendLayouts();
+
+        // Backwards, so the positions of the remaining originals do not shift
+        for (var i = selected.length - 1; i >= 0; i--) {
+            var value = this.getElementValue(this.currentElements[selected[i].key]);
+            this.addBlockElement(
+                this.detectBlockIndex(selected[i]) + 1,
+                {type: value.type, localizedData: Ext.clone(value.localizedData)},
+                Ext.clone(value.data)
+            );
         }
 
-        this.addBlockElement(index, {});
+        this.batchRendering = false;
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+
+        Ext.resumeLayouts(true);
+        this.component.updateLayout();
     },
 
     /**
-     * Removes a block element.
+     * Returns one menu item per sub-field of the selected items for the clear-field action.
      *
-     * @param {Ext.Panel} blockElement - The block element to remove
+     * @returns {Array} The menu item configurations
      */
-    removeBlock: function(blockElement) {
-        this.closeOpenEditors();
-
-        var key = blockElement.key;
-        this.currentElements[key] = 'deleted';
+    getClearFieldMenuItems: function() {
+        var selected = this.getSelectedBlockElements();
+        var menuItems = [];
+        var seen = {};
 
-        this.component.remove(blockElement);
-        this.dirty = true;
+        for (var i = 0; i < selected.length; i++) {
+            var definitions = this.getDataFieldDefinitions(selected[i].pimcore_type);
+
+            for (var d = 0; d < definitions.length; d++) {
+                if (seen[definitions[d].name]) {
+                    continue;
+                }
+                seen[definitions[d].name] = true;
+
+                menuItems.push({
+                    text: Ext.util.Format.htmlEncode(t(definitions[d].title) + ' (' + definitions[d].name + ')'),
+                    handler: this.clearFieldOfSelectedItems.bind(this, definitions[d].name)
+                });
+            }
+        }
+
+        return menuItems;
+    },
+
+    /**
+     * Empties a sub-field in all selected items that have it.
+     * The item forms are rebuilt with the cleared value.
+     *
+     * @param {string} fieldName - The sub-field name
+     */
+    clearFieldOfSelectedItems: function(fieldName) {
+        var selected = this.getSelectedBlockElements();
+
+        this.recordHistory();
+        this.closeOpenEditors();
+        Ext.suspendLayouts();
+
+        for (var i = 0; i < selected.length; i++) {
+            var value = this.getElementValue(this.currentElements[selected[i].key]);
+
+            if (value.data.hasOwnProperty(fieldName)) {
+                value.data[fieldName] = null;
+                this.rebuildItemForm(selected[i], value.data, value.localizedData);
+            }
+        }
+
+        Ext.resumeLayouts(true);
+        this.component.updateLayout();
+
+        this.dirty = true;
+    },
+
+    /**
+     * Replaces the form of an item with a new one built from the given data.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @param {Object} data - The item data for the new form
+     * @param {Object} localizedData - The localized item data for the new form
+     */
+    rebuildItemForm: function(blockElement, data, localizedData) {
+        var element = this.currentElements[blockElement.key];
+
+        element.data = data;
+        element.localizedData = localizedData || {};
+        element.fields = {};
+        element.rendered = false;
+
+        this.renderItemForm(blockElement);
+    },
+
+    /**
+     * Checks if the items are edited in an editable table instead of stacked panels.
+     *
+     * @returns {boolean} True in table display mode
+     */
+    isTableMode: function() {
+        return this.fieldConfig.displayMode === 'table';
+    },
+
+    /**
+     * Adds the item table for table display mode: one row per item,
+     * one column per sub-field of all block types.
+     */
+    initTable: function() {
+        var definitions = this.getAllDataFieldDefinitions();
+        var editable = !this.fieldConfig.noteditable;
+        var fields = ['_id', '_type', '_inherited', '_sourceId', '_localizedData'];
+        var columns = [];
+
+        for (var d = 0; d < definitions.length; d++) {
+            fields.push(definitions[d].name);
+        }
+
+        // Sub-fields may be called "id", so the records use an id property of their own
+        this.tableStore = new Ext.data.Store({
+            model: Ext.define(null, {
+                extend: 'Ext.data.Model',
+                idProperty: '_recordId',
+                fields: fields
+            }),
+            data: this.data.map(this.getTableRecordData, this)
+        });
+
+        if (this.isPreseedRequired()) {
+            for (var m = 0; m < this.fieldConfig.minItems; m++) {
+                this.tableStore.add(this.getTableRecordData({type: this.getBlockTypes()[0].type, data: {}}));
+            }
+        }
+
+        // Loaded and pre-seeded records are no change of the field
+        this.tableStore.commitChanges();
+
+        if (this.hasMultipleBlockTypes()) {
+            columns.push({
+                text: t('type'),
+                dataIndex: '_type',
+                width: 120,
+                sortable: false,
+                renderer: function(value) {
+                    return Ext.util.Format.htmlEncode(this.getBlockTypeName(value));
+                }.bind(this)
+            });
+        }
+
+        for (var c = 0; c < definitions.length; c++) {
+            columns.push(this.getTableColumnConfig(definitions[c]));
+        }
+
+        columns.push({
+            xtype: 'actioncolumn',
+            width: 80,
+            menuDisabled: true,
+            sortable: false,
+            items: [
+                {
+                    iconCls: 'pimcore_icon_edit',
+                    tooltip: t('extended_block_edit_row'),
+                    handler: function(grid, rowIndex) {
+                        this.openTableRowForm(this.tableStore.getAt(rowIndex));
+                    }.bind(this)
+                },
+                {
+                    iconCls: 'pimcore_icon_delete',
+                    tooltip: t('extended_block_remove_row'),
+                    isDisabled: function(view, rowIndex, colIndex, item, record) {
+                        return !editable || record.get('_inherited') || !this.canRemoveItems();
+                    }.bind(this),
+                    handler: function(grid, rowIndex) {
+                        this.removeTableRow(this.tableStore.getAt(rowIndex));
+                    }.bind(this)
+                },
+                {
+                    tooltip: t('extended_block_break_inheritance'),
+                    getClass: function(value, metaData, record) {
+                        return record.get('_inherited') ? 'pimcore_icon_edit' : 'x-hidden';
+                    },
+                    isDisabled: function(view, rowIndex, colIndex, item, record) {
+                        return !editable || !record.get('_inherited');
+                    },
+                    handler: function(grid, rowIndex) {
+                        this.breakTableRowInheritance(this.tableStore.getAt(rowIndex));
+                    }.bind(this)
+                }
+            ]
+        });
+
+        var viewConfig = {
+            getRowClass: function(record) {
+                if (record.get('_inherited')) {
+                    return 'extended-block-item-inherited';
+                }
+
+                return (record.get('_errors') || []).length > 0 ? 'extended-block-item-invalid' : '';
+            },
+            listeners: {
+                beforedrop: function() {
+                    this.recordHistory();
+                }.bind(this),
+                drop: function() {
+                    this.dirty = true;
+                }.bind(this)
+            }
+        };
+
+        if (editable && !this.fieldConfig.disallowReorder) {
+            viewConfig.plugins = {
+                ptype: 'gridviewdragdrop',
+                pluginId: 'dragdrop',
+                dragText: t('extended_block_move_item')
+            };
+        }
+
+        var gridConfig = {
+            store: this.tableStore,
+            columns: columns,
+            columnLines: true,
+            stripeRows: true,
+            maxHeight: 600,
+            cls: 'extended-block-table',
+            viewConfig: viewConfig,
+            plugins: []
+        };
+
+        if (editable) {
+            gridConfig.selModel = 'cellmodel';
+            gridConfig.plugins.push(Ext.create('Ext.grid.plugin.CellEditing', {
+                clicksToEdit: 1,
+                listeners: {
+                    // Cells of sub-fields the row's block type does not have stay empty
+                    beforeedit: function(editor, context) {
+                        return !context.record.get('_inherited') &&
+                            this.isTypeField(context.record.get('_type'), context.field) &&
+                            this.isFieldVisible(context.record.data, context.field);
+                    }.bind(this),
+                    // Cells hidden by a visibility rule depend on the other cells of the row
+                    edit: function(editor, context) {
+                        if (this.isVisibilityRuleSource(context.field)) {
+                            context.view.refreshNode(context.record);
+                        }
+                    }.bind(this)
+                }
+            }));
+            gridConfig.tbar = [this.getTableAddButtonConfig()];
+        }
+
+        this.tableGrid = Ext.create('Ext.grid.Panel', gridConfig);
+        this.component.add(this.tableGrid);
+    },
+
+    /**
+     * Returns the data field definitions of all block types, each name once.
+     *
+     * @returns {Array} The data field definitions
+     */
+    getAllDataFieldDefinitions: function() {
+        if (!this.allDataFieldDefinitions) {
+            var types = this.getBlockTypes();
+            var names = {};
+
+            this.allDataFieldDefinitions = [];
+
+            for (var i = 0; i < types.length; i++) {
+                var definitions = this.getDataFieldDefinitions(types[i].type);
+                for (var d = 0; d < definitions.length; d++) {
+                    if (!names[definitions[d].name]) {
+                        names[definitions[d].name] = true;
+                        this.allDataFieldDefinitions.push(definitions[d]);
+                    }
+                }
+            }
+        }
+
+        return this.allDataFieldDefinitions;
+    },
+
+    /**
+     * Checks if a block type has a sub-field of the given name.
+     *
+     * @param {string} type - The block type identifier
+     * @param {string} name - The sub-field name
+     * @returns {boolean} True if the type has the sub-field
+     */
+    isTypeField: function(type, name) {
+        var definitions = this.getDataFieldDefinitions(type);
+
+        for (var d = 0; d < definitions.length; d++) {
+            if (definitions[d].name === name) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Creates the table column of a sub-field.
+     * Only the types in TABLE_INLINE_FIELD_TYPES get a cell editor.
+     *
+     * @param {Object} definition - The sub-field definition
+     * @returns {Object} The column configuration
+     */
+    getTableColumnConfig: function(definition) {
+        var column = {
+            text: Ext.util.Format.htmlEncode(t(definition.title || definition.name)),
+            dataIndex: definition.name,
+            width: this.TABLE_COLUMN_WIDTH,
+            // Sorting the store would change the item order
+            sortable: false,
+            renderer: this.getTableCellRenderer(definition)
+        };
+
+        if (this.TABLE_INLINE_FIELD_TYPES.indexOf(definition.fieldtype) !== -1) {
+            column.editor = this.getTableCellEditor(definition);
+        } else {
+            column.tdCls = 'extended-block-table-cell-form';
+        }
+
+        return column;
+    },
+
+    /**
+     * Creates the cell editor of an inline editable sub-field.
+     *
+     * @param {Object} definition - The sub-field definition
+     * @returns {Object} The editor configuration
+     */
+    getTableCellEditor: function(definition) {
+        switch (definition.fieldtype) {
+            case 'numeric':
+                return {
+                    xtype: 'numberfield',
+                    allowDecimals: !definition.integer,
+                    decimalPrecision: Ext.isNumber(definition.decimalPrecision) ? definition.decimalPrecision : 20,
+                    minValue: definition.unsigned ? 0 : definition.minValue,
+                    maxValue: definition.maxValue
+                };
+            case 'checkbox':
+                return {
+                    xtype: 'checkbox'
+                };
+            case 'select':
+                return {
+                    xtype: 'combo',
+                    store: [['', '']].concat((definition.options || []).map(function(option) {
+                        return [option.value, t(option.key)];
+                    })),
+                    editable: false,
+                    forceSelection: true,
+                    queryMode: 'local',
+                    triggerAction: 'all'
+                };
+            case 'textarea':
+                return {
+                    xtype: 'textarea',
+                    grow: true
+                };
+            default:
+                return {
+                    xtype: 'textfield',
+                    maxLength: definition.columnLength || undefined
+                };
+        }
+    },
+
+    /**
+     * Creates the cell renderer of a sub-field.
+     *
+     * @param {Object} definition - The sub-field definition
+     * @returns {Function} The renderer
+     */
+    getTableCellRenderer: function(definition) {
+        return function(value, metaData, record) {
+            if (!this.isTypeField(record.get('_type'), definition.name) || !this.isFieldVisible(record.data, definition.name)) {
+                metaData.tdCls += ' extended-block-table-cell-unavailable';
+                return '';
+            }
+
+            if ((record.get('_errors') || []).indexOf(definition.name) !== -1) {
+                metaData.tdCls += ' extended-block-table-cell-invalid';
+            }
+
+            if (definition.fieldtype === 'select') {
+                var options = definition.options || [];
+                for (var o = 0; o < options.length; o++) {
+                    if (options[o].value === value) {
+                        return this.highlightFilterMatches(t(options[o].key), definition.name);
+                    }
+                }
+            }
+
+            return this.highlightFilterMatches(this.formatTitleValue(value), definition.name);
+        }.bind(this);
+    },
+
+    /**
+     * Creates the add button of the table toolbar.
+     *
+     * @returns {Object} The button configuration
+     */
+    getTableAddButtonConfig: function() {
+        var config = {
+            text: t('extended_block_add_row'),
+            iconCls: 'pimcore_icon_add',
+            disabled: this.fieldConfig.disallowAddRemove
+        };
+
+        var menu = this.getAddMenu(this.addTableRow.bind(this));
+
+        if (menu) {
+            config.menu = menu;
+        } else {
+            config.handler = this.addTableRow.bind(this, this.getBlockTypes()[0].type, null);
+        }
+
+        return config;
+    },
+
+    /**
+     * Adds a table row at the end, empty or prefilled from an item preset.
+     *
+     * @param {string} type - The block type of the new item
+     * @param {Object|null} preset - The item preset {name, type, data}
+     */
+    addTableRow: function(type, preset) {
+        if (this.fieldConfig.disallowAddRemove || !this.checkMaxItems(1)) {
+            return;
+        }
+
+        // The new row would not match the search
+        this.clearFilter();
+        this.recordHistory();
+
+        this.tableStore.add(this.getTableRecordData({type: type, data: preset ? Ext.clone(preset.data) : {}}));
+        this.tableGrid.getView().refresh();
+        this.dirty = true;
+    },
+
+    /**
+     * Removes a table row.
+     *
+     * @param {Ext.data.Model} record - The row record
+     */
+    removeTableRow: function(record) {
+        if (!this.canRemoveItems()) {
+            return;
+        }
+
+        this.recordHistory();
+        this.tableStore.remove(record);
+        this.tableGrid.getView().refresh();
+        this.dirty = true;
+    },
+
+    /**
+     * Turns an inherited table row into an editable row that overrides it.
+     * In append mode the row moves behind the inherited rows.
+     *
+     * @param {Ext.data.Model} record - The inherited row record
+     */
+    breakTableRowInheritance: function(record) {
+        this.recordHistory();
+
+        record.set({
+            _inherited: false,
+            _sourceId: record.get('_id'),
+            _id: null
+        });
+
+        if (this.fieldConfig.inheritanceMode !== 'merge') {
+            this.tableStore.remove(record);
+            this.tableStore.add(record);
+        }
+
+        this.tableGrid.getView().refresh();
+        this.dirty = true;
+    },
+
+    /**
+     * Opens the form of a table row in a window.
+     * Used for sub-fields that cannot be edited in the cells.
+     *
+     * @param {Ext.data.Model} record - The row record
+     */
+    openTableRowForm: function(record) {
+        var value = this.getTableRecordValue(record);
+        var element = {
+            data: Ext.clone(value.data),
+            localizedData: Ext.clone(value.localizedData),
+            fields: {},
+            rendered: false
+        };
+        var title = t('extended_block_edit_row');
+
+        if (this.hasMultipleBlockTypes()) {
+            title += ' - ' + this.getBlockTypeName(record.get('_type'));
+        }
+
+        var formWindow = new Ext.Window({
+            title: Ext.util.Format.htmlEncode(title),
+            modal: true,
+            width: 800,
+            maxHeight: 600,
+            scrollable: true,
+            bodyStyle: 'padding: 10px;',
+            items: [
+                {
+                    xtype: 'panel',
+                    border: false,
+                    disabled: this.fieldConfig.noteditable || record.get('_inherited'),
+                    items: this.getItemFormItems(record.get('_type'), element)
+                }
+            ],
+            buttons: [
+                {
+                    text: t('cancel'),
+                    iconCls: 'pimcore_icon_cancel',
+                    handler: function() {
+                        formWindow.close();
+                    }
+                },
+                {
+                    text: t('apply'),
+                    iconCls: 'pimcore_icon_apply',
+                    disabled: this.fieldConfig.noteditable,
+                    handler: function() {
+                        var names = Object.keys(element.fields);
+                        for (var n = 0; n < names.length; n++) {
+                            var field = element.fields[names[n]];
+
+                            if (this.isLocalizedFieldsTag(field)) {
+                                this.mergeLocalizedValue(element.localizedData, this.getFieldValue(field));
+                                record.set('_localizedData', element.localizedData);
+                                continue;
+                            }
+
+                            record.set(field.getName(), this.getFieldValue(field));
+                        }
+                        formWindow.close();
+                    }.bind(this)
+                }
+            ]
+        });
+
+        this.initVisibilityRules(element.fields);
+        formWindow.show();
+    },
+
+    /**
+     * Converts an item in editmode format into a table record.
+     *
+     * @param {Object} item - The item ({id, type, data, localizedData})
+     * @returns {Object} The record data
+     */
+    getTableRecordData: function(item) {
+        var data = Ext.apply({}, item.data);
+
+        data._id = item.id || null;
+        data._type = item.type || 'default';
+        data._inherited = !!item.inherited;
+        data._sourceId = item.sourceId || null;
+        data._localizedData = Ext.isObject(item.localizedData) ? item.localizedData : {};
+
+        return data;
+    },
+
+    /**
+     * Returns the value of a table row as sent to the server,
+     * in the same format as getElementValue(). Hidden sub-fields are cleared
+     * as configured in their visibility rules.
+     *
+     * @param {Ext.data.Model} record - The row record
+     * @returns {Object} {id, type, data, localizedData}
+     */
+    getTableRecordValue: function(record) {
+        var definitions = this.getDataFieldDefinitions(record.get('_type'));
+        var data = {};
+
+        for (var d = 0; d < definitions.length; d++) {
+            var value = record.get(definitions[d].name);
+            data[definitions[d].name] = typeof value === 'undefined' ? null : value;
+        }
+
+        this.clearHiddenFieldValues(data);
+
+        var value = {
+            id: record.get('_id'),
+            type: record.get('_type'),
+            data: data,
+            localizedData: record.get('_localizedData') || {}
+        };
+
+        if (record.get('_sourceId')) {
+            value.sourceId = record.get('_sourceId');
+        }
+
+        return value;
+    },
+
+    /**
+     * Creates the search field and the sub-field scope selector of the panel header.
+     *
+     * @returns {Array} The component configurations
+     */
+    getFilterFieldConfigs: function() {
+        var definitions = this.getAllDataFieldDefinitions();
+        var scopes = [['', t('extended_block_search_all_fields')]];
+
+        for (var d = 0; d < definitions.length; d++) {
+            scopes.push([definitions[d].name, t(definitions[d].title || definitions[d].name)]);
+        }
+
+        return [
+            {
+                xtype: 'combo',
+                store: scopes,
+                value: '',
+                editable: false,
+                triggerAction: 'all',
+                queryMode: 'local',
+                width: 150,
+                margin: '0 5 0 0',
+                listeners: {
+                    change: function(combo, value) {
+                        this.filter.field = value;
+                        this.applyFilter();
+                    }.bind(this)
+                }
+            },
+            {
+                xtype: 'textfield',
+                itemId: 'filterField',
+                emptyText: t('extended_block_search_items'),
+                width: 200,
+                margin: '0 5 0 0',
+                triggers: {
+                    clear: {
+                        cls: 'x-form-clear-trigger',
+                        handler: function(field) {
+                            field.setValue('');
+                        }
+                    }
+                },
+                listeners: {
+                    afterrender: function(field) {
+                        this.filterField = field;
+                    }.bind(this),
+                    change: {
+                        fn: function(field, value) {
+                            this.filter.query = value || '';
+                            this.applyFilter();
+                        }.bind(this),
+                        buffer: 300
+                    }
+                }
+            }
+        ];
+    },
+
+    /**
+     * Creates the import/export button of the panel header.
+     * Import is not offered when items cannot be added.
+     *
+     * Only available in the object editor, as the import needs the object.
+     *
+     * @returns {Array} The component configurations
+     */
+    getImportExportButtonConfig: function() {
+        if (!this.object || !this.object.id) {
+            return [];
+        }
+
+        return [
+            {
+                xtype: 'button',
+                iconCls: 'pimcore_icon_export',
+                tooltip: t('extended_block_import_export'),
+                margin: '0 5 0 0',
+                menu: [
+                    {
+                        text: t('extended_block_export_items'),
+                        iconCls: 'pimcore_icon_export',
+                        menu: [
+                            {
+                                text: 'CSV',
+                                handler: function() {
+                                    this.getImportExport().exportItems('csv');
+                                }.bind(this)
+                            },
+                            {
+                                text: 'JSON',
+                                handler: function() {
+                                    this.getImportExport().exportItems('json');
+                                }.bind(this)
+                            }
+                        ]
+                    },
+                    {
+                        text: t('extended_block_import_items'),
+                        iconCls: 'pimcore_icon_import',
+                        disabled: this.fieldConfig.disallowAddRemove || this.fieldConfig.noteditable,
+                        handler: function() {
+                            this.getImportExport().openImport();
+                        }.bind(this)
+                    }
+                ]
+            }
+        ];
+    },
+
+    /**
+     * Returns the import/export helper of this field.
+     *
+     * @returns {pimcore.object.helpers.extendedBlockImportExport} The helper
+     */
+    getImportExport: function() {
+        if (!this.importExport) {
+            this.importExport = new pimcore.object.helpers.extendedBlockImportExport(this);
+        }
+
+        return this.importExport;
+    },
+
+    /**
+     * Creates the undo and redo buttons of the panel header.
+     *
+     * @returns {Array} The buttons, none for read-only fields
+     */
+    getHistoryButtonConfigs: function() {
+        if (this.fieldConfig.noteditable) {
+            return [];
+        }
+
+        this.undoButton = Ext.create('Ext.button.Button', {
+            iconCls: 'extended-block-icon-undo',
+            tooltip: t('extended_block_undo') + ' (Ctrl+Z)',
+            disabled: true,
+            margin: '0 2 0 0',
+            handler: function() {
+                this.getHistory().undo();
+            }.bind(this)
+        });
+
+        this.redoButton = Ext.create('Ext.button.Button', {
+            iconCls: 'extended-block-icon-redo',
+            tooltip: t('extended_block_redo') + ' (Ctrl+Shift+Z)',
+            disabled: true,
+            margin: '0 5 0 0',
+            handler: function() {
+                this.getHistory().redo();
+            }.bind(this)
+        });
+
+        return [this.undoButton, this.redoButton];
+    },
+
+    /**
+     * Returns the undo/redo history of this field.
+     *
+     * @returns {pimcore.object.helpers.extendedBlockHistory} The history
+     */
+    getHistory: function() {
+        if (!this.history) {
+            this.history = new pimcore.object.helpers.extendedBlockHistory(this);
+        }
+
+        return this.history;
+    },
+
+    /**
+     * Handles Ctrl+Z and Ctrl+Shift+Z while the focus is inside the field.
+     * The panel itself is focusable, so the keys keep working after the focused button was removed.
+     */
+    initHistoryKeys: function() {
+        var el = this.component.getEl();
+
+        el.set({tabindex: -1});
+        el.on('keydown', function(e) {
+            this.getHistory().onKeyDown(e);
+        }, this);
+    },
+
+    /**
+     * Records the items before an operation changes them, see extendedBlockHistory.
+     */
+    recordHistory: function() {
+        this.getHistory().record();
+
+        // A removed item takes the focus of its buttons with it
+        Ext.defer(function() {
+            var el = this.component.getEl();
+
+            if (el && !el.contains(document.activeElement)) {
+                el.dom.focus({preventScroll: true});
+            }
+        }, 1, this);
+    },
+
+    /**
+     * Enables the undo and redo buttons when there is something to undo or redo.
+     */
+    updateHistoryButtons: function() {
+        if (this.undoButton) {
+            this.undoButton.setDisabled(!this.getHistory().canUndo());
+            this.redoButton.setDisabled(!this.getHistory().canRedo());
+        }
+    },
+
+    /**
+     * Returns the loaded items, including inherited items, for the undo history.
+     * The values of hidden sub-fields are kept.
+     *
+     * @returns {Array} The items {id, type, inherited, sourceId, data, localizedData}
+     */
+    getHistoryState: function() {
+        if (this.isTableMode()) {
+            var definitions = this.getAllDataFieldDefinitions();
+
+            // Rows hidden by the search filter are included as well
+            return this.tableStore.getDataSource().getRange().map(function(record) {
+                var item = {
+                    id: record.get('_id'),
+                    type: record.get('_type'),
+                    inherited: record.get('_inherited'),
+                    sourceId: record.get('_sourceId'),
+                    data: {},
+                    localizedData: Ext.clone(record.get('_localizedData') || {})
+                };
+
+                for (var d = 0; d < definitions.length; d++) {
+                    item.data[definitions[d].name] = Ext.clone(record.get(definitions[d].name));
+                }
+
+                return item;
+            });
+        }
+
+        return this.getBlockElements().map(function(blockElement) {
+            var item = Ext.clone(this.getElementValue(this.currentElements[blockElement.key], true));
+            item.inherited = !!blockElement.pimcore_inherited;
+
+            return item;
+        }, this);
+    },
+
+    /**
+     * Replaces the loaded items with the items of a recorded state.
+     * The items keep their ids, so restored items update their stored rows.
+     *
+     * @param {Array} items - The items {id, type, inherited, sourceId, data, localizedData}
+     */
+    restoreHistoryState: function(items) {
+        this.closeOpenEditors();
+
+        if (this.isTableMode()) {
+            this.tableStore.clearFilter();
+            this.tableStore.loadData(items.map(this.getTableRecordData, this));
+            this.applyFilter();
+            this.dirty = true;
+            return;
+        }
+
+        var blockElements = this.getBlockElements();
+
+        this.batchRendering = true;
+        Ext.suspendLayouts();
+
+        for (var b = 0; b < blockElements.length; b++) {
+            this.currentElements[blockElements[b].key] = 'deleted';
+        }
+
+        this.component.removeAll();
+        this.currentElements = [];
+
+        if (items.length < 1) {
+            this.component.add(this.getControls());
+        }
+
+        for (var i = 0; i < items.length; i++) {
+            this.addBlockElement(
+                i,
+                {
+                    id: items[i].id,
+                    type: items[i].type,
+                    inherited: items[i].inherited,
+                    sourceId: items[i].sourceId,
+                    localizedData: Ext.clone(items[i].localizedData)
+                },
+                Ext.clone(items[i].data)
+            );
+        }
+
+        this.batchRendering = false;
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+        this.updateSelectionToolbar();
+
+        Ext.resumeLayouts(true);
+        this.component.updateLayout();
+
+        if (this.isFilterActive()) {
+            this.applyFilter();
+        }
+
+        this.dirty = true;
+    },
+
+    /**
+     * Returns the lower-case search text, empty if no filter is active.
+     *
+     * @returns {string} The search text
+     */
+    getFilterQuery: function() {
+        return Ext.String.trim(this.filter.query || '').toLowerCase();
+    },
+
+    /**
+     * Checks if the items are filtered by the search field.
+     *
+     * @returns {boolean} True while a search text is entered
+     */
+    isFilterActive: function() {
+        return this.getFilterQuery() !== '';
+    },
+
+    /**
+     * Checks if items may not be moved, either by setting or while the items are filtered.
+     *
+     * @returns {boolean} True if reordering is disabled
+     */
+    isReorderDisabled: function() {
+        return this.fieldConfig.disallowReorder || this.isFilterActive();
+    },
+
+    /**
+     * Empties the search field and shows all items.
+     */
+    clearFilter: function() {
+        if (!this.isFilterActive()) {
+            return;
+        }
+
+        this.filter.query = '';
+
+        if (this.filterField) {
+            this.filterField.suspendEvents();
+            this.filterField.setValue('');
+            this.filterField.resumeEvents();
+        }
+
+        this.applyFilter();
+    },
+
+    /**
+     * Shows the items matching the search and hides all others.
+     * Hidden items keep their values and are still saved.
+     */
+    applyFilter: function() {
+        var filterActive = this.isFilterActive();
+
+        if (this.isTableMode()) {
+            this.tableStore.clearFilter();
+
+            if (filterActive) {
+                this.tableStore.filterBy(function(record) {
+                    return this.getItemMatches({
+                        type: record.get('_type'),
+                        data: this.getTableRecordValue(record).data
+                    }).length > 0;
+                }, this);
+            }
+
+            this.tableGrid.getView().refresh();
+        } else {
+            var blockElements = this.getBlockElements();
+
+            this.closeOpenEditors();
+            Ext.suspendLayouts();
+
+            for (var i = 0; i < blockElements.length; i++) {
+                var matches = filterActive ? this.getItemMatches(this.currentElements[blockElements[i].key]) : [];
+
+                blockElements[i].setHidden(filterActive && matches.length < 1);
+                this.highlightItemMatches(blockElements[i], matches);
+            }
+
+            Ext.resumeLayouts(true);
+        }
+
+        this.updateReorderControls();
+    },
+
+    /**
+     * Returns the names of the sub-fields of an item that contain the search text.
+     * Only the sub-field chosen in the scope selector is searched, if any.
+     *
+     * @param {Object} element - The entry of the item in currentElements, or {type, data} for table rows
+     * @returns {Array} The matching sub-field names
+     */
+    getItemMatches: function(element) {
+        var query = this.getFilterQuery();
+        var value = element.fields ? this.getElementValue(element) : element;
+        var definitions = this.getDataFieldDefinitions(value.type);
+        var matches = [];
+
+        for (var d = 0; d < definitions.length; d++) {
+            var name = definitions[d].name;
+
+            if (this.filter.field && this.filter.field !== name) {
+                continue;
+            }
+
+            if (this.formatTitleValue(value.data[name]).toLowerCase().indexOf(query) !== -1) {
+                matches.push(name);
+            }
+        }
+
+        return matches;
+    },
+
+    /**
+     * Marks an item and its matching sub-fields.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @param {Array} matches - The matching sub-field names, empty to remove the marks
+     */
+    highlightItemMatches: function(blockElement, matches) {
+        var fields = this.currentElements[blockElement.key].fields;
+
+        blockElement.toggleCls('extended-block-search-match', matches.length > 0);
+
+        for (var name in fields) {
+            if (fields.hasOwnProperty(name) && fields[name].component) {
+                fields[name].component.toggleCls(
+                    'extended-block-search-field-match',
+                    matches.indexOf(fields[name].getName()) !== -1
+                );
+            }
+        }
+    },
+
+    /**
+     * Encodes a cell text and wraps the occurrences of the search text in a highlight.
+     *
+     * @param {string} text - The cell text
+     * @param {string} fieldName - The sub-field of the cell
+     * @returns {string} The HTML
+     */
+    highlightFilterMatches: function(text, fieldName) {
+        var query = this.getFilterQuery();
+        var encode = Ext.util.Format.htmlEncode;
+
+        if (!query || (this.filter.field && this.filter.field !== fieldName)) {
+            return encode(text);
+        }
+
+        var html = '';
+        var position = 0;
+        var index = text.toLowerCase().indexOf(query);
+
+        while (index !== -1) {
+            html += encode(text.substring(position, index)) +
+                '<mark class="extended-block-search-highlight">' +
+                encode(text.substring(index, index + query.length)) + '</mark>';
+            position = index + query.length;
+            index = text.toLowerCase().indexOf(query, position);
+        }
+
+        return html + encode(text.substring(position));
+    },
+
+    /**
+     * Enables or disables the move controls when the filter changes.
+     */
+    updateReorderControls: function() {
+        var disabled = this.isReorderDisabled();
+
+        if (this.isTableMode()) {
+            var plugin = this.tableGrid.getView().getPlugin('dragdrop');
+            if (plugin) {
+                plugin[disabled ? 'disable' : 'enable']();
+            }
+            return;
+        }
+
+        var blockElements = this.getBlockElements();
+
+        for (var i = 0; i < blockElements.length; i++) {
+            if (blockElements[i].upButton) {
+                blockElements[i].upButton.setDisabled(disabled);
+                blockElements[i].downButton.setDisabled(disabled);
+                blockElements[i].dragHandle.setHidden(disabled);
+            }
+        }
+
+        if (this.selectionToolbar) {
+            this.selectionToolbar.getComponent('moveTopButton').setDisabled(disabled);
+            this.selectionToolbar.getComponent('moveBottomButton').setDisabled(disabled);
+        }
+    },
+
+    /**
+     * Adds the paging toolbar for lazy loading fields with more items than one page.
+     * The next page is loaded when the toolbar scrolls into view or on click.
+     */
+    initPaging: function() {
+        this.pagingToolbar = this.component.addDocked({
+            xtype: 'toolbar',
+            dock: 'bottom',
+            items: [
+                {
+                    xtype: 'button',
+                    itemId: 'loadMoreButton',
+                    text: t('extended_block_load_more'),
+                    iconCls: 'pimcore_icon_arrow_down',
+                    handler: this.loadNextPage.bind(this)
+                },
+                '->',
+                {
+                    xtype: 'tbtext',
+                    itemId: 'pagingStatus'
+                }
+            ]
+        })[0];
+
+        this.updatePagingStatus();
+
+        this.pagingToolbar.on('afterrender', function() {
+            if (typeof IntersectionObserver === 'undefined') {
+                return;
+            }
+
+            this.pagingObserver = new IntersectionObserver(function(entries) {
+                if (entries[0].isIntersecting) {
+                    this.loadNextPage();
+                }
+            }.bind(this));
+            this.pagingObserver.observe(this.pagingToolbar.getEl().dom);
+        }, this);
+
+        // Saving replaces the loaded part of the stored list, so the offset moves with it
+        this.onPostSaveObject = function(e) {
+            if (this.object && e.detail.object && e.detail.object.id === this.object.id) {
+                this.paging.total = this.getLoadedOwnItemCount() + this.getUnloadedItemCount();
+                this.paging.offset = this.getLoadedOwnItemCount();
+                this.updatePagingStatus();
+            }
+        }.bind(this);
+        document.addEventListener(pimcore.events.postSaveObject, this.onPostSaveObject);
+
+        this.component.on('destroy', function() {
+            document.removeEventListener(pimcore.events.postSaveObject, this.onPostSaveObject);
+            if (this.pagingObserver) {
+                this.pagingObserver.disconnect();
+            }
+        }, this);
+    },
+
+    /**
+     * Loads the next page of items from the admin endpoint and appends it.
+     *
+     * @param {Function} [callback] - Called when the page has been appended
+     */
+    loadNextPage: function(callback) {
+        if (!this.paging || this.pagingLoading || this.paging.offset >= this.paging.total) {
+            return;
+        }
+
+        this.pagingLoading = true;
+        this.pagingToolbar.getComponent('loadMoreButton').disable();
+
+        Ext.Ajax.request({
+            url: Routing.generate('extended_block_items'),
+            method: 'GET',
+            params: {
+                id: this.object.id,
+                field: this.getName(),
+                start: this.paging.offset,
+                limit: this.paging.pageSize
+            },
+            success: function(response) {
+                this.pagingLoading = false;
+                this.pagingToolbar.getComponent('loadMoreButton').enable();
+
+                var result = Ext.decode(response.responseText);
+                if (!result.success) {
+                    pimcore.helpers.showNotification(t('error'), result.message, 'error');
+                    return;
+                }
+
+                this.appendItems(result.items);
+
+                // Stop paging if the stored list got shorter in the meantime
+                this.paging.offset = result.items.length > 0 ? this.paging.offset + result.items.length : result.total;
+                this.paging.total = result.total;
+                this.updatePagingStatus();
+
+                if (Ext.isFunction(callback)) {
+                    callback();
+                }
+            }.bind(this),
+            failure: function() {
+                this.pagingLoading = false;
+                this.pagingToolbar.getComponent('loadMoreButton').enable();
+            }.bind(this)
+        });
+    },
+
+    /**
+     * Loads all remaining pages of items, one after the other.
+     * Stops without calling back if a page cannot be loaded.
+     *
+     * @param {Function} callback - Called when all items are loaded
+     */
+    loadAllPages: function(callback) {
+        if (this.getUnloadedItemCount() < 1) {
+            callback();
+            return;
+        }
+
+        if (this.pagingLoading) {
+            Ext.defer(this.loadAllPages, 200, this, [callback]);
+            return;
+        }
+
+        this.loadNextPage(this.loadAllPages.bind(this, callback));
+    },
+
+    /**
+     * Appends loaded items as one batch.
+     *
+     * @param {Array} items - Items in editmode format ({id, type, data})
+     */
+    appendItems: function(items) {
+        if (this.history) {
+            this.history.appendItems(items);
+        }
+
+        if (this.isTableMode()) {
+            var records = this.tableStore.add(items.map(this.getTableRecordData, this));
+            for (var r = 0; r < records.length; r++) {
+                records[r].commit(true);
+            }
+            return;
+        }
+
+        this.batchRendering = true;
+        Ext.suspendLayouts();
+
+        for (var i = 0; i < items.length; i++) {
+            // The initial add toolbar is removed by addBlockElement() when no elements exist
+            var index = this.currentElements.length < 1 ? 0 : this.component.items.length;
+            this.addBlockElement(
+                index,
+                {id: items[i].id, type: items[i].type, sourceId: items[i].sourceId, localizedData: items[i].localizedData},
+                items[i].data,
+                true
+            );
+        }
+
+        this.batchRendering = false;
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+
+        Ext.resumeLayouts(true);
+
+        if (this.isFilterActive()) {
+            this.applyFilter();
+        }
+    },
+
+    /**
+     * Updates the paging status text and hides the load button once all items are loaded.
+     */
+    updatePagingStatus: function() {
+        var loaded = this.getLoadedItemCount();
+        var total = this.getItemCount();
+
+        this.pagingToolbar.getComponent('pagingStatus').setText(
+            t('extended_block_items_loaded').replace('{loaded}', loaded).replace('{total}', total)
+        );
+        this.pagingToolbar.getComponent('loadMoreButton').setVisible(this.getUnloadedItemCount() > 0);
+    },
+
+    /**
+     * Returns the number of stored items that have not been loaded into the editor yet.
+     *
+     * @returns {number} The number of unloaded items
+     */
+    getUnloadedItemCount: function() {
+        return this.paging ? Math.max(0, this.paging.total - this.paging.offset) : 0;
+    },
+
+    /**
+     * Creates inline toolbar controls for block elements.
+     * Follows Pimcore Block pattern with direct handlers.
+     *
+     * @param {Ext.Panel} blockElement - The block element panel (null for initial add button)
+     * @returns {Ext.Toolbar} The toolbar with controls
+     */
+    getControls: function(blockElement) {
+        var items = [];
+
+        if (blockElement && blockElement.pimcore_inherited) {
+            return this.getInheritedControls(blockElement);
+        }
+
+        if (blockElement) {
+            // Selection for the bulk actions
+            items.push({
+                xtype: 'checkbox',
+                itemId: 'selectCheckbox',
+                cls: 'extended-block-select',
+                listeners: {
+                    change: this.updateSelectionToolbar.bind(this)
+                }
+            });
+
+            // Drag handle for moving the item to any position
+            items.push({
+                xtype: 'component',
+                itemId: 'dragHandle',
+                cls: 'extended-block-drag-handle',
+                hidden: this.isReorderDisabled(),
+                html: '&nbsp;'
+            });
+
+            // Add before
+            items.push(this.getAddButtonConfig(blockElement, 'before', 'pimcore_icon_plus_up'));
+
+            // Add after
+            items.push(this.getAddButtonConfig(blockElement, 'after', 'pimcore_icon_plus_down'));
+
+            // Delete (disabled by updateRemoveButtonStates() once minItems is reached)
+            items.push({
+                itemId: 'removeButton',
+                disabled: this.fieldConfig.disallowAddRemove,
+                cls: 'pimcore_block_button_minus',
+                iconCls: 'pimcore_icon_minus',
+                listeners: {
+                    click: this.removeBlock.bind(this, blockElement)
+                }
+            });
+
+            // Move up
+            items.push({
+                itemId: 'upButton',
+                disabled: this.isReorderDisabled(),
+                cls: 'pimcore_block_button_up',
+                iconCls: 'pimcore_icon_up',
+                listeners: {
+                    click: this.moveBlockUp.bind(this, blockElement)
+                }
+            });
+
+            // Move down
+            items.push({
+                itemId: 'downButton',
+                disabled: this.isReorderDisabled(),
+                cls: 'pimcore_block_button_down',
+                iconCls: 'pimcore_icon_down',
+                listeners: {
+                    click: this.moveBlockDown.bind(this, blockElement)
+                }
+            });
+
+            // Duplicate
+            items.push({
+                disabled: this.fieldConfig.disallowAddRemove,
+                cls: 'pimcore_block_button_duplicate',
+                iconCls: 'pimcore_icon_copy',
+                tooltip: t('extended_block_duplicate_item'),
+                listeners: {
+                    click: this.duplicateBlock.bind(this, blockElement)
+                }
+            });
+
+            // Copy and paste
+            items.push(this.getClipboardButtonConfig(blockElement));
+
+            // Block type label (only meaningful when several types exist)
+            if (this.hasMultipleBlockTypes()) {
+                items.push('->');
+                items.push({
+                    xtype: 'tbtext',
+                    text: Ext.util.Format.htmlEncode(this.getBlockTypeName(blockElement.pimcore_type))
+                });
+            }
+        } else {
+            // Initial add button (when no items exist)
+            items.push(this.getAddButtonConfig(blockElement, 'after', 'pimcore_icon_plus'));
+
+            // Paste into the empty block
+            items.push(this.getClipboardButtonConfig(null));
+        }
+
+        var toolbar = new Ext.Toolbar({
+            items: items
+        });
+
+        if (blockElement) {
+            blockElement.removeButton = toolbar.getComponent('removeButton');
+            blockElement.dragHandle = toolbar.getComponent('dragHandle');
+            blockElement.selectCheckbox = toolbar.getComponent('selectCheckbox');
+            blockElement.upButton = toolbar.getComponent('upButton');
+            blockElement.downButton = toolbar.getComponent('downButton');
+        }
+
+        return toolbar;
+    },
+
+    /**
+     * Creates the toolbar of an inherited item: a marker and the action
+     * that breaks the inheritance of the item.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @returns {Ext.Toolbar} The toolbar
+     */
+    getInheritedControls: function(blockElement) {
+        var items = [
+            {
+                xtype: 'tbtext',
+                cls: 'extended-block-inherited-marker',
+                text: t('extended_block_inherited_item')
+            },
+            {
+                text: t('extended_block_break_inheritance'),
+                iconCls: 'pimcore_icon_edit',
+                disabled: this.fieldConfig.noteditable,
+                handler: this.breakItemInheritance.bind(this, blockElement)
+            }
+        ];
+
+        if (this.hasMultipleBlockTypes()) {
+            items.push('->');
+            items.push({
+                xtype: 'tbtext',
+                text: Ext.util.Format.htmlEncode(this.getBlockTypeName(blockElement.pimcore_type))
+            });
+        }
+
+        return new Ext.Toolbar({
+            items: items
+        });
+    },
+
+    /**
+     * Replaces an inherited item with an editable copy that overrides it.
+     *
+     * In merge mode the copy keeps the position of the inherited item,
+     * in append mode it moves behind the inherited items.
+     *
+     * @param {Ext.Panel} blockElement - The inherited block element
+     */
+    breakItemInheritance: function(blockElement) {
+        this.recordHistory();
+
+        var value = this.getElementValue(this.currentElements[blockElement.key]);
+        var index = this.fieldConfig.inheritanceMode === 'merge'
+            ? this.component.items.indexOf(blockElement)
+            : this.component.items.length - 1;
+
+        this.closeOpenEditors();
+
+        this.currentElements[blockElement.key] = 'deleted';
+        this.component.remove(blockElement);
+
+        this.addBlockElement(
+            index,
+            {type: value.type, sourceId: value.id, localizedData: Ext.clone(value.localizedData)},
+            Ext.clone(value.data)
+        );
+    },
+
+    /**
+     * Returns the number of block items, including items not loaded yet when paging.
+     *
+     * @returns {number} The item count
+     */
+    getItemCount: function() {
+        return this.getLoadedItemCount() + this.getUnloadedItemCount();
+    },
+
+    /**
+     * Returns the number of block items currently in the container.
+     *
+     * @returns {number} The item count
+     */
+    getLoadedItemCount: function() {
+        if (this.isTableMode()) {
+            return this.tableStore.getDataSource().getCount();
+        }
+
+        var itemAmount = 0;
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            if (typeof this.component.items.items[s].key !== 'undefined') {
+                itemAmount++;
+            }
+        }
+        return itemAmount;
+    },
+
+    /**
+     * Returns the number of loaded items that belong to the object itself.
+     *
+     * @returns {number} The item count without inherited items
+     */
+    getLoadedOwnItemCount: function() {
+        var ownCount = 0;
+
+        if (this.isTableMode()) {
+            this.tableStore.getDataSource().each(function(record) {
+                ownCount += record.get('_inherited') ? 0 : 1;
+            });
+        } else {
+            ownCount = this.getBlockElements().filter(function(blockElement) {
+                return !blockElement.pimcore_inherited;
+            }).length;
+        }
+
+        return ownCount;
+    },
+
+    /**
+     * Checks if an item may be removed without going below minItems.
+     *
+     * @returns {boolean} True if removing is allowed
+     */
+    canRemoveItems: function() {
+        return !this.fieldConfig.disallowAddRemove && this.getItemCount() > (this.fieldConfig.minItems || 0);
+    },
+
+    /**
+     * Enables or disables the delete buttons depending on minItems.
+     */
+    updateRemoveButtonStates: function() {
+        var disabled = !this.canRemoveItems();
+
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            var item = this.component.items.items[s];
+            if (item.removeButton) {
+                item.removeButton.setDisabled(disabled);
+            }
+        }
+    },
+
+    /**
+     * Creates the configuration for an add button.
+     * With several block types or item presets the button opens a menu,
+     * otherwise it adds an empty item of the only type directly.
+     *
+     * @param {Ext.Panel} blockElement - Reference block element (null for initial add button)
+     * @param {string} position - 'before' or 'after'
+     * @param {string} iconCls - The button icon class
+     * @returns {Object} The button configuration
+     */
+    getAddButtonConfig: function(blockElement, position, iconCls) {
+        var config = {
+            disabled: this.fieldConfig.disallowAddRemove,
+            cls: 'pimcore_block_button_plus',
+            iconCls: iconCls
+        };
+
+        var menu = this.getAddMenu(function(type, preset) {
+            this.addBlock(blockElement, position, type, preset);
+        }.bind(this));
+
+        if (menu) {
+            config.menu = menu;
+        } else {
+            config.handler = this.addBlock.bind(this, blockElement, position, this.getBlockTypes()[0].type, null);
+        }
+
+        return config;
+    },
+
+    /**
+     * Creates the menu of an add button for choosing the type of a new item and
+     * whether it starts empty or from an item preset.
+     * Types with presets get a submenu; with a single type the presets are listed directly.
+     *
+     * @param {Function} handler - Called with the block type and the preset, null for an empty item
+     * @returns {Array|null} The menu item configurations, null if there is nothing to choose
+     */
+    getAddMenu: function(handler) {
+        var types = this.getBlockTypes();
+        var menu = [];
+
+        if (types.length < 2) {
+            return this.getItemPresets(types[0].type).length > 0 ? this.getPresetMenuItems(types[0].type, handler) : null;
+        }
+
+        for (var i = 0; i < types.length; i++) {
+            var menuItem = {
+                text: Ext.util.Format.htmlEncode(t(types[i].name))
+            };
+
+            if (types[i].icon) {
+                menuItem.icon = types[i].icon;
+            } else {
+                menuItem.iconCls = 'pimcore_icon_extendedBlock';
+            }
+
+            if (this.getItemPresets(types[i].type).length > 0) {
+                menuItem.menu = this.getPresetMenuItems(types[i].type, handler);
+            } else {
+                menuItem.handler = handler.bind(this, types[i].type, null);
+            }
+
+            menu.push(menuItem);
+        }
+
+        return menu;
+    },
+
+    /**
+     * Creates the menu items for an empty item and the item presets of a block type.
+     *
+     * @param {string} type - The block type identifier
+     * @param {Function} handler - Called with the block type and the preset, null for an empty item
+     * @returns {Array} The menu item configurations
+     */
+    getPresetMenuItems: function(type, handler) {
+        var menu = [
+            {
+                text: t('extended_block_empty_item'),
+                iconCls: 'pimcore_icon_add',
+                handler: handler.bind(this, type, null)
+            },
+            '-'
+        ];
+
+        this.getItemPresets(type).forEach(function(preset) {
+            menu.push({
+                text: Ext.util.Format.htmlEncode(t(preset.name)),
+                iconCls: 'pimcore_icon_extendedBlock',
+                handler: handler.bind(this, type, preset)
+            });
+        }, this);
+
+        return menu;
+    },
+
+    /**
+     * Returns the item presets of a block type.
+     *
+     * @param {string} type - The block type identifier
+     * @returns {Array} The presets {name, type, data}
+     */
+    getItemPresets: function(type) {
+        return (this.fieldConfig.itemPresets || []).filter(function(preset) {
+            return (preset.type || 'default') === type;
+        });
+    },
+
+    /**
+     * Returns the block types available for new items.
+     *
+     * The 'default' type (the children layout) comes first when children are
+     * defined, followed by every type from blockDefinitions.
+     *
+     * @returns {Array} List of {type, name, icon} objects
+     */
+    getBlockTypes: function() {
+        var types = [];
+        var definitions = this.fieldConfig.blockDefinitions || {};
+
+        if (this.fieldConfig.children && this.fieldConfig.children.length > 0) {
+            types.push({type: 'default', name: 'default', icon: ''});
+        }
+
+        for (var typeName in definitions) {
+            if (definitions.hasOwnProperty(typeName)) {
+                types.push({
+                    type: typeName,
+                    name: definitions[typeName].name || typeName,
+                    icon: definitions[typeName].icon || ''
+                });
+            }
+        }
+
+        if (types.length < 1) {
+            types.push({type: 'default', name: 'default', icon: ''});
+        }
+
+        return types;
+    },
+
+    /**
+     * Checks if the editor has to offer a choice of block types.
+     *
+     * @returns {boolean} True if more than one type is available
+     */
+    hasMultipleBlockTypes: function() {
+        return this.getBlockTypes().length > 1;
+    },
+
+    /**
+     * Returns the display name of a block type.
+     *
+     * @param {string} type - The block type identifier
+     * @returns {string} The translated type name
+     */
+    getBlockTypeName: function(type) {
+        var definitions = this.fieldConfig.blockDefinitions || {};
+
+        if (definitions[type] && definitions[type].name) {
+            return t(definitions[type].name);
+        }
+
+        return t(type || 'default');
+    },
+
+    /**
+     * Returns the layout definition used to render items of a block type.
+     * Unknown types fall back to the children layout, matching the server side.
+     *
+     * @param {string} type - The block type identifier
+     * @returns {Object} Layout definition with children
+     */
+    getLayoutDefinitionForType: function(type) {
+        var definitions = this.fieldConfig.blockDefinitions || {};
+
+        if (!definitions[type]) {
+            return this.fieldConfig;
+        }
+
+        return Ext.apply({}, {children: definitions[type].fields || []}, this.fieldConfig);
+    },
+
+    /**
+     * Detects the index of a block element.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @returns {number} The index
+     */
+    detectBlockIndex: function(blockElement) {
+        var index;
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            if (this.component.items.items[s].key === blockElement.key) {
+                index = s;
+                break;
+            }
+        }
+        return index;
+    },
+
+    /**
+     * Closes any open editors (WYSIWYG, etc.)
+     */
+    closeOpenEditors: function() {
+        for (var i = 0; i < this.currentElements.length; i++) {
+            if (typeof this.currentElements[i] === 'object') {
+                for (var e = 0; e < this.currentElements[i]['fields'].length; e++) {
+                    if (typeof this.currentElements[i]['fields'][e]['close'] === 'function') {
+                        this.currentElements[i]['fields'][e].close();
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Adds a new block element.
+     * Follows Pimcore Block pattern.
+     *
+     * @param {Ext.Panel} blockElement - Reference block element
+     * @param {string} position - 'before' or 'after'
+     * @param {string} type - The block type of the new item
+     * @param {Object|null} preset - The item preset {name, type, data} to prefill the item with
+     */
+    addBlock: function(blockElement, position, type, preset) {
+        this.closeOpenEditors();
+
+        if (!this.checkMaxItems(1)) {
+            return;
+        }
+
+        this.recordHistory();
+
+        var index = 0;
+        if (blockElement) {
+            index = this.detectBlockIndex(blockElement);
+        }
+
+        if (position !== 'before') {
+            index++;
+        }
+
+        this.addBlockElement(index, {type: type}, preset ? Ext.clone(preset.data) : null);
+    },
+
+    /**
+     * Checks if items can be added without exceeding maxItems.
+     * Shows the limit message if not.
+     *
+     * @param {number} count - Number of items to add
+     * @returns {boolean} True if the items may be added
+     */
+    checkMaxItems: function(count) {
+        if (this.fieldConfig.maxItems && this.getItemCount() + count > this.fieldConfig.maxItems) {
+            Ext.MessageBox.alert(t('error'), t('limit_reached'));
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Inserts a deep copy of a block element directly after it.
+     * The copy is stored as a new row.
+     *
+     * @param {Ext.Panel} blockElement - The block element to duplicate
+     */
+    duplicateBlock: function(blockElement) {
+        if (this.fieldConfig.disallowAddRemove || !this.checkMaxItems(1)) {
+            return;
+        }
+
+        this.recordHistory();
+
+        var value = this.getElementValue(this.currentElements[blockElement.key]);
+
+        this.addBlockElement(
+            this.detectBlockIndex(blockElement) + 1,
+            {type: value.type, localizedData: Ext.clone(value.localizedData)},
+            Ext.clone(value.data)
+        );
+    },
+
+    /**
+     * Removes a block element.
+     *
+     * @param {Ext.Panel} blockElement - The block element to remove
+     */
+    removeBlock: function(blockElement) {
+        if (!this.canRemoveItems()) {
+            return;
+        }
+
+        this.recordHistory();
+        this.removeBlockElements([blockElement]);
+    },
+
+    /**
+     * Removes block elements as one change.
+     * Open editors are closed and the layout is updated once.
+     *
+     * @param {Array} blockElements - The block elements to remove
+     */
+    removeBlockElements: function(blockElements) {
+        this.closeOpenEditors();
+
+        Ext.suspendLayouts();
+
+        for (var i = 0; i < blockElements.length; i++) {
+            this.currentElements[blockElements[i].key] = 'deleted';
+            this.component.remove(blockElements[i]);
+        }
+
+        this.dirty = true;
 
         // Check for remaining elements
         if (this.component.items.items.length < 1) {
             this.component.removeAll();
             this.component.add(this.getControls());
-            this.component.updateLayout();
             this.currentElements = [];
         }
+
+        Ext.resumeLayouts(true);
+        this.component.updateLayout();
+
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+        this.updateSelectionToolbar();
     },
 
     /**
@@ -454,50 +2683,639 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      * @param {Ext.Panel} blockElement - The block element to move
      */
     moveBlockUp: function(blockElement) {
+        this.recordHistory();
         this.closeOpenEditors();
         this.component.moveBefore(blockElement, blockElement.previousSibling());
+        this.updateBlockIndices();
+        this.dirty = true;
+    },
+
+    /**
+     * Moves a block element down.
+     *
+     * @param {Ext.Panel} blockElement - The block element to move
+     */
+    moveBlockDown: function(blockElement) {
+        this.recordHistory();
+        this.closeOpenEditors();
+        this.component.moveAfter(blockElement, blockElement.nextSibling());
+        this.updateBlockIndices();
+        this.dirty = true;
+    },
+
+    /**
+     * Moves a block element before another one (or to the end).
+     *
+     * @param {Ext.Panel} blockElement - The block element to move
+     * @param {Ext.Panel|null} before - The element to move before, null for the end
+     */
+    moveBlockTo: function(blockElement, before) {
+        if (this.isReorderDisabled()) {
+            return;
+        }
+
+        this.recordHistory();
+        this.closeOpenEditors();
+        this.component.moveBefore(blockElement, before);
+        this.updateBlockIndices();
         this.dirty = true;
     },
 
     /**
-     * Moves a block element down.
+     * Returns the drag and drop group of this field instance,
+     * so items cannot be dropped into other ExtendedBlock fields.
+     *
+     * @returns {string} The ddGroup name
+     */
+    getDragDropGroup: function() {
+        if (!this.dragDropGroup) {
+            this.dragDropGroup = 'extendedBlock_' + Ext.id();
+        }
+        return this.dragDropGroup;
+    },
+
+    /**
+     * Makes the drag handle of a block element a drag source.
+     * Called once the element is rendered.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     */
+    initItemDragSource: function(blockElement) {
+        if (this.fieldConfig.disallowReorder || this.fieldConfig.noteditable ||
+            !blockElement.dragHandle || !blockElement.dragHandle.rendered) {
+            return;
+        }
+
+        var dragSource = new Ext.dd.DragSource(blockElement.dragHandle.getEl(), {
+            ddGroup: this.getDragDropGroup(),
+            getDragData: function() {
+                return {blockElement: blockElement};
+            },
+            onInitDrag: function(x, y) {
+                this.proxy.update(t('extended_block_move_item'));
+                this.onStartDrag(x, y);
+                return true;
+            }
+        });
+
+        blockElement.on('destroy', function() {
+            dragSource.destroy();
+        });
+    },
+
+    /**
+     * Creates the drop target on the container body.
+     * Shows a drop indicator while dragging and moves the item on drop.
+     */
+    initDropTarget: function() {
+        if (this.fieldConfig.disallowReorder || this.fieldConfig.noteditable) {
+            return;
+        }
+
+        var dropTarget = new Ext.dd.DropTarget(this.component.body, {
+            ddGroup: this.getDragDropGroup(),
+            notifyOver: function(source, e, data) {
+                var target = this.getDropPosition(data.blockElement, e.getY());
+                this.showDropIndicator(target);
+                return target.allowed ? dropTarget.dropAllowed : dropTarget.dropNotAllowed;
+            }.bind(this),
+            notifyOut: function() {
+                this.hideDropIndicator();
+            }.bind(this),
+            notifyDrop: function(source, e, data) {
+                var target = this.getDropPosition(data.blockElement, e.getY());
+                this.hideDropIndicator();
+
+                if (!target.allowed) {
+                    return false;
+                }
+
+                this.moveBlockTo(data.blockElement, target.before);
+                return true;
+            }.bind(this)
+        });
+
+        this.component.on('destroy', function() {
+            dropTarget.destroy();
+        });
+    },
+
+    /**
+     * Determines where a dragged element would be dropped.
+     * The element is inserted before the first item whose vertical center is below the pointer.
+     *
+     * @param {Ext.Panel} blockElement - The dragged block element
+     * @param {number} y - The pointer's page Y coordinate
+     * @returns {Object} {before: element or null for the end, allowed: whether the position changes}
+     */
+    getDropPosition: function(blockElement, y) {
+        var before = null;
+
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            var item = this.component.items.items[s];
+            if (typeof item.key === 'undefined' || !item.rendered) {
+                continue;
+            }
+
+            var box = item.getEl().getBox();
+            if (y < box.y + box.height / 2) {
+                before = item;
+                break;
+            }
+        }
+
+        return {
+            before: before,
+            allowed: before !== blockElement && before !== blockElement.nextSibling()
+        };
+    },
+
+    /**
+     * Shows the drop indicator line at the given drop position.
+     *
+     * @param {Object} target - Drop position from getDropPosition()
+     */
+    showDropIndicator: function(target) {
+        if (!this.dropIndicator) {
+            this.dropIndicator = this.component.body.createChild({cls: 'extended-block-drop-indicator'});
+        }
+
+        if (!target.allowed) {
+            this.hideDropIndicator();
+            return;
+        }
+
+        var top;
+        if (target.before) {
+            top = target.before.getEl().getOffsetsTo(this.component.body)[1];
+        } else {
+            var last = this.component.items.last();
+            top = last.getEl().getOffsetsTo(this.component.body)[1] + last.getEl().getHeight();
+        }
+
+        this.dropIndicator.setStyle('top', top + 'px');
+        this.dropIndicator.show();
+    },
+
+    /**
+     * Hides the drop indicator line.
+     */
+    hideDropIndicator: function() {
+        if (this.dropIndicator) {
+            this.dropIndicator.hide();
+        }
+    },
+
+    /**
+     * Creates the copy/paste button of an item toolbar.
+     * The menu is built when opened, so paste reflects the current clipboard.
+     *
+     * @param {Ext.Panel} blockElement - The block element (null for the empty block toolbar)
+     * @returns {Object} The button configuration
+     */
+    getClipboardButtonConfig: function(blockElement) {
+        return {
+            cls: 'pimcore_block_button_clipboard',
+            iconCls: 'pimcore_icon_paste',
+            tooltip: t('extended_block_copy_paste'),
+            menu: {
+                items: [],
+                listeners: {
+                    beforeshow: function(menu) {
+                        menu.removeAll();
+                        menu.add(this.getClipboardMenuItems(blockElement));
+                    }.bind(this)
+                }
+            }
+        };
+    },
+
+    /**
+     * Returns the copy and paste menu items of an item toolbar.
+     *
+     * @param {Ext.Panel} blockElement - The block element (null for the empty block toolbar)
+     * @returns {Array} The menu item configurations
+     */
+    getClipboardMenuItems: function(blockElement) {
+        var menuItems = [];
+        var pasteDisabled = !this.getClipboard() || this.fieldConfig.disallowAddRemove || this.fieldConfig.noteditable;
+
+        if (blockElement) {
+            menuItems.push({
+                text: t('extended_block_copy_item'),
+                iconCls: 'pimcore_icon_copy',
+                handler: this.copyItems.bind(this, [blockElement])
+            });
+            menuItems.push({
+                text: t('extended_block_copy_all_items'),
+                iconCls: 'pimcore_icon_copy',
+                handler: function() {
+                    this.copyItems(this.getBlockElements());
+                }.bind(this)
+            });
+            menuItems.push('-');
+            menuItems.push({
+                text: t('extended_block_paste_before'),
+                iconCls: 'pimcore_icon_paste',
+                disabled: pasteDisabled,
+                handler: this.pasteItems.bind(this, blockElement, 'before')
+            });
+            menuItems.push({
+                text: t('extended_block_paste_after'),
+                iconCls: 'pimcore_icon_paste',
+                disabled: pasteDisabled,
+                handler: this.pasteItems.bind(this, blockElement, 'after')
+            });
+        } else {
+            menuItems.push({
+                text: t('paste'),
+                iconCls: 'pimcore_icon_paste',
+                disabled: pasteDisabled,
+                handler: this.pasteItems.bind(this, null, 'after')
+            });
+        }
+
+        return menuItems;
+    },
+
+    /**
+     * Returns the block elements in their current order.
+     *
+     * @returns {Array} The block element panels
+     */
+    getBlockElements: function() {
+        var elements = [];
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            if (typeof this.component.items.items[s].key !== 'undefined') {
+                elements.push(this.component.items.items[s]);
+            }
+        }
+        return elements;
+    },
+
+    /**
+     * Returns the clipboard shared by all ExtendedBlock fields.
+     * It is kept in the global manager, so it survives switching object tabs.
+     *
+     * @returns {Object|null} {items: [{type, data}], fieldTypes: {type: {field: fieldtype}}}
+     */
+    getClipboard: function() {
+        return pimcore.globalmanager.get('extendedBlock_clipboard') || null;
+    },
+
+    /**
+     * Copies items to the clipboard.
+     * Ids are not copied, pasted items are always stored as new rows.
+     *
+     * @param {Array} blockElements - The block elements to copy
+     */
+    copyItems: function(blockElements) {
+        var clipboard = {
+            items: [],
+            fieldTypes: {}
+        };
+
+        for (var i = 0; i < blockElements.length; i++) {
+            var value = this.getElementValue(this.currentElements[blockElements[i].key]);
+
+            clipboard.items.push({
+                type: value.type,
+                data: Ext.clone(value.data),
+                localizedData: Ext.clone(value.localizedData)
+            });
+
+            // Field types let the target skip values of same-named fields of another type
+            if (!clipboard.fieldTypes[value.type]) {
+                clipboard.fieldTypes[value.type] = {};
+                var definitions = this.getDataFieldDefinitions(value.type)
+                    .concat(this.getLocalizedFieldDefinitions(value.type));
+                for (var d = 0; d < definitions.length; d++) {
+                    clipboard.fieldTypes[value.type][definitions[d].name] = definitions[d].fieldtype;
+                }
+            }
+        }
+
+        pimcore.globalmanager.add('extendedBlock_clipboard', clipboard);
+
+        pimcore.helpers.showNotification(
+            t('success'),
+            t('extended_block_items_copied').replace('%s', clipboard.items.length),
+            'success'
+        );
+    },
+
+    /**
+     * Pastes the clipboard items before or after a block element.
+     * Sub-fields are mapped by name; fields the target cannot take are reported.
+     *
+     * @param {Ext.Panel} blockElement - Reference block element (null for the empty block)
+     * @param {string} position - 'before' or 'after'
+     */
+    pasteItems: function(blockElement, position) {
+        var clipboard = this.getClipboard();
+        if (!clipboard || this.fieldConfig.disallowAddRemove) {
+            return;
+        }
+
+        if (!this.checkMaxItems(clipboard.items.length)) {
+            return;
+        }
+
+        this.recordHistory();
+        this.closeOpenEditors();
+
+        var index = 0;
+        if (blockElement) {
+            index = this.detectBlockIndex(blockElement) + (position === 'before' ? 0 : 1);
+        }
+
+        var droppedFields = {};
+
+        this.batchRendering = true;
+        Ext.suspendLayouts();
+
+        for (var i = 0; i < clipboard.items.length; i++) {
+            var item = this.mapClipboardItem(clipboard.items[i], clipboard.fieldTypes, droppedFields);
+            this.addBlockElement(index + i, {type: item.type, localizedData: item.localizedData}, item.data);
+        }
+
+        this.batchRendering = false;
+        this.updateBlockIndices();
+        this.updateRemoveButtonStates();
+
+        Ext.resumeLayouts(true);
+        this.component.updateLayout();
+
+        var dropped = Object.keys(droppedFields);
+        if (dropped.length > 0) {
+            Ext.MessageBox.alert(
+                t('warning'),
+                t('extended_block_paste_dropped_fields') + ': ' + Ext.util.Format.htmlEncode(dropped.join(', '))
+            );
+        }
+    },
+
+    /**
+     * Maps a clipboard item onto the block types and sub-fields of this field.
+     *
+     * The item keeps its type if this field has it, otherwise it gets the first type.
+     * Values are kept for sub-fields with the same name and field type, localized
+     * values only if the sub-field is localized in this field as well.
+     *
+     * @param {Object} item - The clipboard item {type, data, localizedData}
+     * @param {Object} fieldTypes - Field types of the copied items by block type
+     * @param {Object} droppedFields - Collects the names of dropped sub-fields
+     * @returns {Object} The mapped item {type, data, localizedData}
+     */
+    mapClipboardItem: function(item, fieldTypes, droppedFields) {
+        var types = this.getBlockTypes();
+        var type = types[0].type;
+
+        for (var i = 0; i < types.length; i++) {
+            if (types[i].type === item.type) {
+                type = item.type;
+                break;
+            }
+        }
+
+        var targetTypes = {};
+        var definitions = this.getDataFieldDefinitions(type);
+        for (var d = 0; d < definitions.length; d++) {
+            targetTypes[definitions[d].name] = definitions[d].fieldtype;
+        }
+
+        var sourceTypes = fieldTypes[item.type] || {};
+        var data = {};
+
+        for (var name in item.data) {
+            if (!item.data.hasOwnProperty(name)) {
+                continue;
+            }
+
+            if (targetTypes[name] && (!sourceTypes[name] || sourceTypes[name] === targetTypes[name])) {
+                data[name] = Ext.clone(item.data[name]);
+            } else {
+                droppedFields[name] = true;
+            }
+        }
+
+        var targetLocalizedTypes = {};
+        var localizedDefinitions = this.getLocalizedFieldDefinitions(type);
+        for (var l = 0; l < localizedDefinitions.length; l++) {
+            targetLocalizedTypes[localizedDefinitions[l].name] = localizedDefinitions[l].fieldtype;
+        }
+
+        var localizedData = {};
+        var sourceLocalizedData = Ext.isObject(item.localizedData) ? item.localizedData : {};
+
+        for (var language in sourceLocalizedData) {
+            if (!sourceLocalizedData.hasOwnProperty(language)) {
+                continue;
+            }
+
+            localizedData[language] = {};
+            for (var localizedName in sourceLocalizedData[language]) {
+                if (!sourceLocalizedData[language].hasOwnProperty(localizedName)) {
+                    continue;
+                }
+
+                if (targetLocalizedTypes[localizedName] &&
+                    (!sourceTypes[localizedName] || sourceTypes[localizedName] === targetLocalizedTypes[localizedName])) {
+                    localizedData[language][localizedName] = Ext.clone(sourceLocalizedData[language][localizedName]);
+                } else {
+                    droppedFields[localizedName] = true;
+                }
+            }
+        }
+
+        return {type: type, data: data, localizedData: localizedData};
+    },
+
+    /**
+     * Adds imported items at the end, or replaces the own items with them.
+     * Inherited items are kept. All pages are loaded first, so replacing
+     * also covers the items that were not loaded yet.
      *
-     * @param {Ext.Panel} blockElement - The block element to move
+     * @param {Array} items - Items in editmode format ({type, data, localizedData})
+     * @param {boolean} replace - Whether to replace the own items
+     * @param {Function} [callback] - Called when the items have been added
      */
-    moveBlockDown: function(blockElement) {
-        this.closeOpenEditors();
-        this.component.moveAfter(blockElement, blockElement.nextSibling());
-        this.dirty = true;
+    importItems: function(items, replace, callback) {
+        if (this.fieldConfig.disallowAddRemove) {
+            return;
+        }
+
+        this.loadAllPages(function() {
+            var maxItems = this.fieldConfig.maxItems;
+            var ownCount = this.getLoadedOwnItemCount();
+
+            if (maxItems && this.getItemCount() - (replace ? ownCount : 0) + items.length > maxItems) {
+                Ext.MessageBox.alert(t('error'), t('limit_reached'));
+                return;
+            }
+
+            // The imported items would not match the search
+            this.clearFilter();
+            this.recordHistory();
+            this.closeOpenEditors();
+
+            if (this.isTableMode()) {
+                if (replace) {
+                    this.tableStore.remove(this.tableStore.getRange().filter(function(record) {
+                        return !record.get('_inherited');
+                    }));
+                }
+
+                this.tableStore.add(items.map(this.getTableRecordData, this));
+                this.tableGrid.getView().refresh();
+                this.dirty = true;
+            } else {
+                var ownElements = this.getBlockElements().filter(function(blockElement) {
+                    return !blockElement.pimcore_inherited;
+                });
+
+                if (replace && ownElements.length > 0) {
+                    this.removeBlockElements(ownElements);
+                }
+
+                this.batchRendering = true;
+                Ext.suspendLayouts();
+
+                for (var i = 0; i < items.length; i++) {
+                    // The initial add toolbar is removed by addBlockElement() when no elements exist
+                    var index = this.currentElements.length < 1 ? 0 : this.component.items.length;
+                    this.addBlockElement(index, {type: items[i].type, localizedData: items[i].localizedData}, items[i].data);
+                }
+
+                this.batchRendering = false;
+                this.updateBlockIndices();
+                this.updateRemoveButtonStates();
+
+                Ext.resumeLayouts(true);
+                this.component.updateLayout();
+            }
+
+            if (Ext.isFunction(callback)) {
+                callback();
+            }
+        }.bind(this));
     },
 
     /**
      * Adds a block element to the container.
      * Follows Pimcore Block pattern using getRecursiveLayout.
      *
+     * The item form is built right away, except for large blocks loaded by
+     * initData(): their items get a placeholder and renderItemForm() builds
+     * the form once the item is visible.
+     *
      * @param {number} index - Position index
-     * @param {Object} config - Configuration object with oIndex
+     * @param {Object} config - Configuration object with id (database id of stored items), type
+     *                          and localizedData (localized values by language and sub-field)
      * @param {Object} blockData - Field data for the block
      * @param {boolean} ignoreChange - Whether to ignore dirty state change
      */
     addBlockElement: function(index, config, blockData, ignoreChange) {
-        var oIndex = config.oIndex;
-        this.closeOpenEditors();
+        var id = config.id || null;
+        var type = config.type || 'default';
+        var inherited = !!config.inherited;
+
+        if (!this.batchRendering) {
+            this.closeOpenEditors();
+        }
 
         // Remove the initial toolbar if there are no elements
         if (this.currentElements.length < 1) {
             this.component.removeAll();
         }
 
-        this.dataFields = {};
-        this.currentData = {};
+        var element = {
+            container: null,
+            fields: {},
+            data: blockData || {},
+            localizedData: Ext.isObject(config.localizedData) ? config.localizedData : {},
+            rendered: false
+        };
+
+        var deferRendering = this.batchRendering && this.data.length > this.LAZY_RENDER_THRESHOLD;
+
+        var formPanel = new Ext.Panel({
+            style: 'margin: 10px 0 10px 0;',
+            // Inherited items are read-only until their inheritance is broken
+            disabled: inherited,
+            items: deferRendering ? [this.getItemPlaceholder()] : this.getItemFormItems(type, element)
+        });
+
+        var blockElement = new Ext.Panel({
+            pimcore_id: id,
+            pimcore_type: type,
+            pimcore_inherited: inherited,
+            pimcore_source_id: config.sourceId || null,
+            cls: 'extended-block-item' + (inherited ? ' extended-block-item-inherited' : ''),
+            title: '&nbsp;',
+            collapsible: true,
+            titleCollapse: true,
+            animCollapse: false,
+            collapsed: this.isItemCollapsed(id),
+            bodyStyle: 'padding: 10px;',
+            style: 'margin: 10px 0 10px 0;' + (this.fieldConfig.styleElement || ''),
+            manageHeight: false,
+            border: false,
+            items: [formPanel],
+            disabled: this.fieldConfig.noteditable,
+            listeners: {
+                afterrender: function(panel) {
+                    this.initItemDragSource(panel);
+                    this.queueItemRendering(panel);
+                }.bind(this),
+                collapse: this.onItemCollapseChange.bind(this),
+                expand: function(panel) {
+                    this.onItemCollapseChange(panel);
+                    this.queueItemRendering(panel);
+                }.bind(this)
+            }
+        });
+
+        blockElement.formPanel = formPanel;
+        blockElement.insert(0, this.getControls(blockElement));
+
+        // Register the element before inserting it, the afterrender listener needs it
+        element.container = blockElement;
+        blockElement.key = this.currentElements.length;
+        this.currentElements.push(element);
+
+        this.component.insert(index, blockElement);
+
+        if (element.rendered) {
+            this.initItemTitleListeners(blockElement, element.fields);
+            this.initVisibilityRules(element.fields);
+        }
+
+        if (!ignoreChange) {
+            this.dirty = true;
+        }
 
-        if (blockData) {
-            this.currentData = blockData;
+        if (!this.batchRendering) {
+            this.component.updateLayout();
+            this.updateBlockIndices();
+            this.updateRemoveButtonStates();
         }
+    },
+
+    /**
+     * Builds the form items of a block element with getRecursiveLayout.
+     * Collects the sub-field tag instances into element.fields.
+     *
+     * @param {string} type - The block type of the item
+     * @param {Object} element - The entry of the item in currentElements
+     * @returns {Array} The form items
+     */
+    getItemFormItems: function(type, element) {
+        this.dataFields = {};
+        this.currentData = element.data;
+        this.currentLocalizedData = element.localizedData || {};
 
-        // Build field items using Pimcore's getRecursiveLayout
-        // Parameters: layoutDef, noteditable, context, skipLayoutChildren, onlyLayoutChildren, dataProvider, disableLazyRendering
-        var fieldConfig = this.fieldConfig;
+        var fieldConfig = this.getLayoutDefinitionForType(type);
 
         var context = this.getContext();
         context['subContainerType'] = 'extendedBlock';
@@ -505,7 +3323,7 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
         context['applyDefaults'] = true;
 
         // Call getRecursiveLayout (from pimcore.object.helpers.edit mixin)
-        // - fieldConfig: layout definition with children
+        // - fieldConfig: layout definition with the children of the item's block type
         // - undefined: noteditable (use default)
         // - context: context object with containerType, objectId, etc.
         // - undefined: skipLayoutChildren (use default)
@@ -514,65 +3332,505 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
         // - true: disableLazyRendering (force immediate rendering)
         var items = this.getRecursiveLayout(fieldConfig, undefined, context, undefined, undefined, undefined, true);
 
-        items = items.items;
+        element.fields = this.dataFields;
+        element.rendered = true;
+
+        this.dataFields = {};
+        this.currentData = {};
+        this.currentLocalizedData = {};
+
+        return items.items;
+    },
+
+    /**
+     * Returns the placeholder shown until an item form is rendered.
+     *
+     * @returns {Object} The placeholder component configuration
+     */
+    getItemPlaceholder: function() {
+        return {
+            xtype: 'component',
+            cls: 'extended-block-item-placeholder',
+            html: t('loading')
+        };
+    },
+
+    /**
+     * Renders the form of a deferred item once it is visible.
+     * Uses an IntersectionObserver; without one the form is rendered right away.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     */
+    queueItemRendering: function(blockElement) {
+        var element = this.currentElements[blockElement.key];
+
+        if (!element || typeof element !== 'object' || element.rendered ||
+            blockElement.collapsed || !blockElement.rendered) {
+            return;
+        }
+
+        var observer = this.getRenderObserver();
+        if (observer) {
+            observer.observe(blockElement.getEl().dom);
+        } else {
+            this.renderItemForm(blockElement);
+        }
+    },
+
+    /**
+     * Returns the observer that renders deferred items scrolled into view.
+     *
+     * @returns {IntersectionObserver|null} The observer, null if not supported
+     */
+    getRenderObserver: function() {
+        if (!this.renderObserver && typeof IntersectionObserver !== 'undefined') {
+            this.renderObserver = new IntersectionObserver(function(entries) {
+                for (var i = 0; i < entries.length; i++) {
+                    if (!entries[i].isIntersecting) {
+                        continue;
+                    }
+
+                    this.renderObserver.unobserve(entries[i].target);
+
+                    var blockElement = Ext.getCmp(entries[i].target.id);
+                    if (blockElement && !blockElement.destroyed) {
+                        this.renderItemForm(blockElement);
+                    }
+                }
+            }.bind(this), {rootMargin: '200px 0px'});
+
+            this.component.on('destroy', function() {
+                this.renderObserver.disconnect();
+            }, this);
+        }
+
+        return this.renderObserver || null;
+    },
+
+    /**
+     * Replaces the placeholder of a deferred item with its form.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     */
+    renderItemForm: function(blockElement) {
+        var element = this.currentElements[blockElement.key];
+
+        if (!element || typeof element !== 'object' || element.rendered) {
+            return;
+        }
+
+        var items = this.getItemFormItems(blockElement.pimcore_type, element);
+
+        Ext.suspendLayouts();
+        blockElement.formPanel.removeAll();
+        blockElement.formPanel.add(items);
+        Ext.resumeLayouts(true);
+
+        var index = this.component.items.indexOf(blockElement);
+        this.setElementContextIndex(element, index);
+        this.initItemTitleListeners(blockElement, element.fields);
+        this.initVisibilityRules(element.fields);
+        this.updateItemTitle(blockElement, index);
+
+        if (this.isFilterActive()) {
+            this.highlightItemMatches(blockElement, this.getItemMatches(element));
+        }
+    },
+
+    /**
+     * Updates block indices for all field contexts and item titles.
+     * Elements are looked up by key, so this is linear in the number of items.
+     */
+    updateBlockIndices: function() {
+        for (var itemIndex = 0; itemIndex < this.component.items.items.length; itemIndex++) {
+            var item = this.component.items.items[itemIndex];
+            var element = this.currentElements[item.key];
+
+            if (typeof item.key === 'undefined' || !element || typeof element !== 'object') {
+                continue;
+            }
+
+            this.setElementContextIndex(element, itemIndex);
+            this.updateItemTitle(item, itemIndex);
+        }
+    },
+
+    /**
+     * Sets the index in the contexts of an element's sub-fields.
+     *
+     * @param {Object} element - The entry of the item in currentElements
+     * @param {number} index - Position of the item
+     */
+    setElementContextIndex: function(element, index) {
+        var fields = element.fields;
+        for (var fieldName in fields) {
+            if (fields.hasOwnProperty(fieldName) && fields[fieldName].context) {
+                fields[fieldName].context.index = index;
+            }
+        }
+    },
+
+    /**
+     * Updates an item's title from the item title template.
+     *
+     * Placeholders are {index} (1-based position), {type} (block type name)
+     * and the name of any sub-field, which is replaced by its current value.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @param {number} index - Position of the element (detected if omitted)
+     */
+    updateItemTitle: function(blockElement, index) {
+        var element = this.currentElements[blockElement.key];
+        var fields = (element && typeof element === 'object') ? element.fields : {};
+        var typeName = this.getBlockTypeName(blockElement.pimcore_type);
+
+        if (typeof index === 'undefined') {
+            index = this.component.items.indexOf(blockElement);
+        }
+
+        var template = this.fieldConfig.itemTitleTemplate;
+        if (!template) {
+            template = this.hasMultipleBlockTypes() ? '#{index} {type}' : '#{index}';
+        }
+
+        var title = template.replace(/\{([a-zA-Z0-9_]+)\}/g, function(match, name) {
+            if (name === 'index') {
+                return index + 1;
+            }
+            if (name === 'type') {
+                return typeName;
+            }
+            if (fields[name]) {
+                return this.formatTitleValue(this.getFieldValue(fields[name]));
+            }
+            if (element && element.data && !element.rendered) {
+                return this.formatTitleValue(element.data[name]);
+            }
+            return '';
+        }.bind(this)).trim();
+
+        blockElement.setTitle(title ? Ext.util.Format.htmlEncode(title) : '#' + (index + 1));
+    },
+
+    /**
+     * Returns the current value of a sub-field, null if it cannot be read.
+     *
+     * @param {Object} field - The sub-field tag instance
+     * @returns {*} The value
+     */
+    getFieldValue: function(field) {
+        try {
+            return field.getValue();
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Converts a sub-field value to text for the item title.
+     *
+     * @param {*} value - The value
+     * @returns {string} The value as text
+     */
+    formatTitleValue: function(value) {
+        if (value === null || typeof value === 'undefined') {
+            return '';
+        }
+
+        if (Ext.isDate(value)) {
+            return Ext.Date.format(value, 'Y-m-d');
+        }
+
+        if (typeof value === 'boolean') {
+            return value ? t('yes') : t('no');
+        }
+
+        if (Ext.isArray(value)) {
+            return value.map(function(entry) {
+                return typeof entry === 'object' && entry !== null
+                    ? (entry.fullpath || entry.path || entry.id || '')
+                    : entry;
+            }).join(', ');
+        }
+
+        if (typeof value === 'object') {
+            return value.fullpath || value.path || value.text || '';
+        }
+
+        return String(value);
+    },
+
+    /**
+     * Updates the item title while sub-fields are edited.
+     * Only needed when the title template refers to sub-field values.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @param {Object} fields - The sub-field tag instances of the element
+     */
+    initItemTitleListeners: function(blockElement, fields) {
+        if (!this.fieldConfig.itemTitleTemplate) {
+            return;
+        }
+
+        for (var fieldName in fields) {
+            if (!fields.hasOwnProperty(fieldName) || this.fieldConfig.itemTitleTemplate.indexOf('{' + fieldName + '}') === -1) {
+                continue;
+            }
+
+            var fieldComponent = fields[fieldName].component;
+            if (fieldComponent && typeof fieldComponent.on === 'function') {
+                fieldComponent.on('change', function() {
+                    this.updateItemTitle(blockElement);
+                }, this, {buffer: 250});
+            }
+        }
+    },
+
+    /**
+     * Shows and hides the sub-fields of an item according to the visibility rules,
+     * and again whenever a sub-field changes that a rule depends on.
+     *
+     * @param {Object} fields - The sub-field tag instances of the item
+     */
+    initVisibilityRules: function(fields) {
+        var rules = this.fieldConfig.visibilityRules || [];
+        var listening = {};
+
+        if (rules.length < 1) {
+            return;
+        }
+
+        var apply = function() {
+            var data = {};
+
+            for (var fieldName in fields) {
+                if (fields.hasOwnProperty(fieldName) && !this.isLocalizedFieldsTag(fields[fieldName])) {
+                    data[fieldName] = this.getFieldValue(fields[fieldName]);
+                }
+            }
+
+            for (var r = 0; r < rules.length; r++) {
+                var field = fields[rules[r].field];
+                if (field && field.component) {
+                    field.component.setVisible(this.isFieldVisible(data, rules[r].field));
+                }
+            }
+        }.bind(this);
+
+        for (var r = 0; r < rules.length; r++) {
+            var source = fields[rules[r].dependsOn];
+
+            if (!listening[rules[r].dependsOn] && source && source.component && typeof source.component.on === 'function') {
+                listening[rules[r].dependsOn] = true;
+                source.component.on('change', apply);
+            }
+        }
+
+        apply();
+    },
+
+    /**
+     * Checks if a sub-field is visible with the given values of its item.
+     * A sub-field with several rules is visible when all of them match.
+     *
+     * @param {Object} data - The sub-field values of the item by name
+     * @param {string} name - The sub-field name
+     * @returns {boolean} True if no rule hides the sub-field
+     */
+    isFieldVisible: function(data, name) {
+        var rules = this.fieldConfig.visibilityRules || [];
+
+        for (var r = 0; r < rules.length; r++) {
+            if (rules[r].field === name && !this.matchesVisibilityRule(rules[r], data[rules[r].dependsOn])) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Checks the value of the sub-field a visibility rule depends on.
+     * Values are compared as text like on the server: booleans as "1" and "0",
+     * lists match if one of their entries equals the rule's value.
+     *
+     * @param {Object} rule - The rule {field, dependsOn, condition, value, clearHidden}
+     * @param {*} value - The value of the sub-field the rule depends on
+     * @returns {boolean} True if the sub-field of the rule is visible
+     */
+    matchesVisibilityRule: function(rule, value) {
+        var values = [];
+
+        (Ext.isArray(value) ? value : [value]).forEach(function(entry) {
+            if (typeof entry === 'boolean') {
+                values.push(entry ? '1' : '0');
+            } else if (entry === null || typeof entry === 'undefined') {
+                values.push('');
+            } else if (typeof entry !== 'object') {
+                values.push(String(entry));
+            }
+        });
+
+        if (rule.condition === 'notempty') {
+            return values.some(function(entry) {
+                return entry !== '' && entry !== '0';
+            });
+        }
+
+        return values.indexOf(String(rule.value)) !== -1;
+    },
+
+    /**
+     * Checks if a visibility rule depends on a sub-field.
+     *
+     * @param {string} name - The sub-field name
+     * @returns {boolean} True if changing the sub-field may show or hide others
+     */
+    isVisibilityRuleSource: function(name) {
+        return (this.fieldConfig.visibilityRules || []).some(function(rule) {
+            return rule.dependsOn === name;
+        });
+    },
+
+    /**
+     * Empties the values of hidden sub-fields whose rule is set to clear them.
+     * The rules are evaluated on the values before clearing.
+     *
+     * @param {Object} data - The sub-field values of an item by name, changed in place
+     */
+    clearHiddenFieldValues: function(data) {
+        var rules = this.fieldConfig.visibilityRules || [];
+        var values = Ext.apply({}, data);
+
+        for (var r = 0; r < rules.length; r++) {
+            if (rules[r].clearHidden && data.hasOwnProperty(rules[r].field) &&
+                !this.matchesVisibilityRule(rules[r], values[rules[r].dependsOn])) {
+                data[rules[r].field] = null;
+            }
+        }
+    },
+
+    /**
+     * Collapses or expands all items and remembers the choice for this user and field.
+     *
+     * @param {boolean} collapsed - True to collapse, false to expand
+     */
+    setAllItemsCollapsed: function(collapsed) {
+        var state = this.getCollapseState();
+        state.all = collapsed;
+        state.items = {};
+        this.saveCollapseState();
+
+        this.ignoreCollapseEvents = true;
+        Ext.suspendLayouts();
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            var item = this.component.items.items[s];
+            if (typeof item.key === 'undefined') {
+                continue;
+            }
+
+            if (collapsed) {
+                item.collapse();
+            } else {
+                item.expand();
+            }
+        }
+        Ext.resumeLayouts(true);
+        this.ignoreCollapseEvents = false;
+    },
+
+    /**
+     * Remembers the collapse state of a single stored item.
+     *
+     * @param {Ext.Panel} blockElement - The collapsed or expanded element
+     */
+    onItemCollapseChange: function(blockElement) {
+        if (this.ignoreCollapseEvents || !blockElement.pimcore_id) {
+            return;
+        }
+
+        var state = this.getCollapseState();
+        var collapsed = !!blockElement.collapsed;
 
-        var blockElement = new Ext.Panel({
-            pimcore_oIndex: oIndex,
-            bodyStyle: 'padding: 10px;',
-            style: 'margin: 10px 0 10px 0;' + (this.fieldConfig.styleElement || ''),
-            manageHeight: false,
-            border: false,
-            items: [
-                {
-                    xtype: 'panel',
-                    style: 'margin: 10px 0 10px 0;',
-                    items: items
-                }
-            ],
-            disabled: this.fieldConfig.noteditable
-        });
+        delete state.items[blockElement.pimcore_id];
+        if (collapsed !== state.all) {
+            state.items[blockElement.pimcore_id] = collapsed;
+        }
 
-        blockElement.insert(0, this.getControls(blockElement));
+        // Keep the stored state small, dropping the oldest entries first
+        var ids = Object.keys(state.items);
+        for (var i = 0; i < ids.length - this.COLLAPSE_STATE_MAX_ITEMS; i++) {
+            delete state.items[ids[i]];
+        }
 
-        blockElement.key = this.currentElements.length;
-        this.component.insert(index, blockElement);
-        this.component.updateLayout();
+        this.saveCollapseState();
+    },
 
-        this.currentElements.push({
-            container: blockElement,
-            fields: this.dataFields
-        });
+    /**
+     * Checks if an item is to be rendered collapsed.
+     *
+     * @param {number|null} id - The database id of the item (null for new items)
+     * @returns {boolean} True if collapsed
+     */
+    isItemCollapsed: function(id) {
+        var state = this.getCollapseState();
 
-        if (!ignoreChange) {
-            this.dirty = true;
+        if (id && state.items.hasOwnProperty(id)) {
+            return state.items[id];
         }
 
-        this.dataFields = {};
-        this.currentData = {};
-
-        this.updateBlockIndices();
+        return state.all;
     },
 
     /**
-     * Updates block indices for all field contexts.
+     * Returns the local storage key of the collapse state.
+     * The state is kept per user, class and field.
+     *
+     * @returns {string} The storage key
      */
-    updateBlockIndices: function() {
-        for (var itemIndex = 0; itemIndex < this.component.items.items.length; itemIndex++) {
-            var item = this.component.items.items[itemIndex];
+    getCollapseStateKey: function() {
+        var classId = '';
+        if (this.object && this.object.data && this.object.data.general) {
+            classId = this.object.data.general.classId || this.object.data.general.o_classId || '';
+        }
 
-            for (var j = 0; j < this.currentElements.length; j++) {
-                if (item !== this.currentElements[j].container) {
-                    continue;
-                }
+        var userId = pimcore.currentuser ? pimcore.currentuser.id : '';
 
-                var fields = this.currentElements[j].fields;
-                for (var fieldName in fields) {
-                    if (fields.hasOwnProperty(fieldName) && fields[fieldName].context) {
-                        fields[fieldName].context.index = itemIndex;
-                    }
+        return 'extendedBlock_collapse_' + userId + '_' + classId + '_' + this.getName();
+    },
+
+    /**
+     * Returns the collapse state, loading it from local storage on first use.
+     *
+     * @returns {Object} {all: default collapsed state, items: collapsed state by item id}
+     */
+    getCollapseState: function() {
+        if (!this.collapseState) {
+            this.collapseState = {all: false, items: {}};
+
+            try {
+                var stored = Ext.decode(localStorage.getItem(this.getCollapseStateKey()), true);
+                if (stored) {
+                    this.collapseState.all = !!stored.all;
+                    this.collapseState.items = stored.items || {};
                 }
+            } catch (e) {
+                console.log(e);
             }
         }
+
+        return this.collapseState;
+    },
+
+    /**
+     * Writes the collapse state to local storage.
+     */
+    saveCollapseState: function() {
+        try {
+            localStorage.setItem(this.getCollapseStateKey(), Ext.encode(this.collapseState));
+        } catch (e) {
+            console.log(e);
+        }
     },
 
     /**
@@ -582,6 +3840,15 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      * @returns {*} The field data
      */
     getDataForField: function(fieldConfig) {
+        // The localizedfields tag renders one tab per language from {data: {language: {field: value}}}
+        if (fieldConfig.fieldtype === 'localizedfields') {
+            return {
+                data: Ext.clone(this.currentLocalizedData),
+                metaData: {},
+                inherited: false
+            };
+        }
+
         var name = fieldConfig.name;
         return this.currentData[name];
     },
@@ -630,39 +3897,129 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
      * Gets the current value for saving.
      * Follows Pimcore Block pattern.
      *
-     * @returns {Array} The block data array
+     * Items whose form was never rendered send their loaded data unchanged.
+     *
+     * @returns {Array|Object} The block data array ({partial, offset, items} when paging)
      */
     getValue: function() {
         var data = [];
-        var element;
-        var elementData = {};
 
+        if (this.isTableMode()) {
+            // Rows hidden by the search filter are included as well
+            this.tableStore.getDataSource().each(function(record) {
+                if (!record.get('_inherited')) {
+                    data.push(this.getTableRecordValue(record));
+                }
+            }, this);
+        }
+
+        // Inherited items are stored with the parent object
         for (var s = 0; s < this.component.items.items.length; s++) {
-            elementData = {};
-            if (this.currentElements[this.component.items.items[s].key]) {
-                element = this.currentElements[this.component.items.items[s].key];
+            var item = this.component.items.items[s];
+            if (this.currentElements[item.key] && !item.pimcore_inherited) {
+                data.push(this.getElementValue(this.currentElements[item.key]));
+            }
+        }
 
-                var elementFieldNames = Object.keys(element.fields);
+        // When paging, the items replace the loaded part of the stored list only
+        if (this.paging) {
+            return {
+                partial: true,
+                offset: this.paging.offset,
+                items: data
+            };
+        }
 
-                for (var u = 0; u < elementFieldNames.length; u++) {
-                    var elementFieldName = elementFieldNames[u];
-                    try {
-                        // no check for dirty, ... always send all field to the server
-                        elementData[element.fields[elementFieldName].getName()] = element.fields[elementFieldName].getValue();
-                    } catch (e) {
-                        console.log(e);
-                        elementData[element.fields[elementFieldName].getName()] = '';
-                    }
-                }
+        return data;
+    },
 
-                data.push({
-                    data: elementData,
-                    oIndex: element.container.pimcore_oIndex
-                });
+    /**
+     * Returns the value of one item as sent to the server.
+     * Items whose form was never rendered return their loaded data.
+     *
+     * @param {Object} element - The entry of the item in currentElements
+     * @param {boolean} [keepHidden] - Keep the values of sub-fields hidden by a visibility rule
+     * @returns {Object} {id, type, data, localizedData}
+     */
+    getElementValue: function(element, keepHidden) {
+        var elementData = {};
+        var localizedData = Ext.clone(element.localizedData || {});
+
+        if (!element.rendered) {
+            elementData = Ext.apply({}, element.data);
+        }
+
+        var elementFieldNames = Object.keys(element.fields);
+
+        for (var u = 0; u < elementFieldNames.length; u++) {
+            var elementFieldName = elementFieldNames[u];
+
+            if (this.isLocalizedFieldsTag(element.fields[elementFieldName])) {
+                this.mergeLocalizedValue(localizedData, this.getFieldValue(element.fields[elementFieldName]));
+                continue;
+            }
+
+            try {
+                // no check for dirty, ... always send all field to the server
+                elementData[element.fields[elementFieldName].getName()] = element.fields[elementFieldName].getValue();
+            } catch (e) {
+                console.log(e);
+                elementData[element.fields[elementFieldName].getName()] = '';
             }
         }
 
-        return data;
+        if (!keepHidden) {
+            this.clearHiddenFieldValues(elementData);
+        }
+
+        // The id lets the server update the stored row in place instead of re-inserting it
+        var value = {
+            id: element.container.pimcore_id,
+            type: element.container.pimcore_type,
+            data: elementData,
+            localizedData: localizedData
+        };
+
+        if (element.container.pimcore_source_id) {
+            value.sourceId = element.container.pimcore_source_id;
+        }
+
+        return value;
+    },
+
+    /**
+     * Checks if a sub-field tag is the localizedfields container of an item.
+     *
+     * @param {Object} field - The sub-field tag
+     * @returns {boolean} True for the localizedfields tag
+     */
+    isLocalizedFieldsTag: function(field) {
+        return !!(field && field.fieldConfig && field.fieldConfig.fieldtype === 'localizedfields');
+    },
+
+    /**
+     * Merges the value of a localizedfields tag into the localized data of an item.
+     *
+     * The tag may only return the values changed in the editor, so they are
+     * applied on top of the loaded values instead of replacing them.
+     *
+     * @param {Object} localizedData - The localized data {language: {field: value}}, changed in place
+     * @param {Object} value - The value of the localizedfields tag
+     */
+    mergeLocalizedValue: function(localizedData, value) {
+        if (!Ext.isObject(value)) {
+            return;
+        }
+
+        var languages = Object.keys(value);
+        for (var l = 0; l < languages.length; l++) {
+            if (Ext.isObject(value[languages[l]])) {
+                localizedData[languages[l]] = Ext.apply(
+                    Ext.isObject(localizedData[languages[l]]) ? localizedData[languages[l]] : {},
+                    value[languages[l]]
+                );
+            }
+        }
     },
 
     /**
@@ -691,6 +4048,10 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
             return false;
         }
 
+        if (this.isTableMode() && this.tableStore.getModifiedRecords().length > 0) {
+            return true;
+        }
+
         for (var s = 0; s < this.component.items.items.length; s++) {
             if (this.currentElements[this.component.items.items[s].key]) {
                 element = this.currentElements[this.component.items.items[s].key];
@@ -712,26 +4073,378 @@ pimcore.object.tags.extendedBlock = Class.create(pimcore.object.tags.abstract, {
 
     /**
      * Checks if any field in this block is mandatory.
+     * A block with minItems or with sub-fields that have validation rules is
+     * mandatory itself, so that Pimcore calls isInvalidMandatory() before saving.
+     *
+     * Uses the field definitions, so items that were never rendered count as well.
      *
      * @returns {boolean} True if mandatory
      */
     isMandatory: function() {
-        var element;
+        if (this.fieldConfig.minItems > 0) {
+            return true;
+        }
 
-        for (var s = 0; s < this.component.items.items.length; s++) {
-            if (this.currentElements[this.component.items.items[s].key]) {
-                element = this.currentElements[this.component.items.items[s].key];
+        var types = this.getBlockTypes();
+        for (var i = 0; i < types.length; i++) {
+            var definitions = this.getDataFieldDefinitions(types[i].type)
+                .concat(this.getLocalizedFieldDefinitions(types[i].type));
+            for (var d = 0; d < definitions.length; d++) {
+                if (this.hasValidationRules(definitions[d])) {
+                    return true;
+                }
+            }
+        }
 
-                var elementFieldNames = Object.keys(element.fields);
+        return false;
+    },
 
-                for (var u = 0; u < elementFieldNames.length; u++) {
-                    var elementFieldName = elementFieldNames[u];
-                    var field = element.fields[elementFieldName];
-                    if (field && typeof field.isMandatory === 'function' && field.isMandatory()) {
-                        return true;
+    /**
+     * Checks if a sub-field has rules that its values are validated with.
+     *
+     * @param {Object} definition - The sub-field definition
+     * @returns {boolean} True for mandatory sub-fields and sub-fields with a regular expression or range
+     */
+    hasValidationRules: function(definition) {
+        return !!definition.mandatory || !!definition.regex || this.hasRangeRule(definition);
+    },
+
+    /**
+     * Checks if a sub-field is a numeric field with a minimum or maximum value.
+     *
+     * @param {Object} definition - The sub-field definition
+     * @returns {boolean} True if the range is limited
+     */
+    hasRangeRule: function(definition) {
+        return definition.fieldtype === 'numeric' &&
+            (this.isRangeLimitSet(definition.minValue) || this.isRangeLimitSet(definition.maxValue));
+    },
+
+    /**
+     * Checks if the minimum or maximum value of a numeric sub-field is set.
+     *
+     * @param {number|string|null} limit - The minimum or maximum value
+     * @returns {boolean} True if set
+     */
+    isRangeLimitSet: function(limit) {
+        return limit !== null && typeof limit !== 'undefined' && limit !== '';
+    },
+
+    /**
+     * Returns the data field definitions of a block type, flattened out of its layout.
+     *
+     * @param {string} type - The block type identifier
+     * @returns {Array} The data field definitions
+     */
+    getDataFieldDefinitions: function(type) {
+        if (!this.dataFieldDefinitions) {
+            this.dataFieldDefinitions = {};
+        }
+
+        if (!this.dataFieldDefinitions[type]) {
+            var definitions = [];
+            var collect = function(children) {
+                for (var i = 0; i < (children || []).length; i++) {
+                    // Localized sub-fields are returned by getLocalizedFieldDefinitions()
+                    if (children[i].fieldtype === 'localizedfields') {
+                        continue;
+                    }
+
+                    if (children[i].datatype === 'data') {
+                        definitions.push(children[i]);
+                    } else {
+                        collect(children[i].children);
+                    }
+                }
+            };
+
+            collect(this.getLayoutDefinitionForType(type).children);
+            this.dataFieldDefinitions[type] = definitions;
+        }
+
+        return this.dataFieldDefinitions[type];
+    },
+
+    /**
+     * Returns the sub-field definitions inside the localizedfields containers of a block type.
+     *
+     * @param {string} type - The block type identifier
+     * @returns {Array} The localized sub-field definitions
+     */
+    getLocalizedFieldDefinitions: function(type) {
+        var definitions = [];
+        var collect = function(children, localized) {
+            for (var i = 0; i < (children || []).length; i++) {
+                if (children[i].fieldtype === 'localizedfields') {
+                    collect(children[i].children, true);
+                } else if (children[i].datatype === 'data') {
+                    if (localized) {
+                        definitions.push(children[i]);
                     }
+                } else {
+                    collect(children[i].children, localized);
+                }
+            }
+        };
+
+        collect(this.getLayoutDefinitionForType(type).children, false);
+
+        return definitions;
+    },
+
+    /**
+     * Returns the validation errors of this block for Pimcore's save check.
+     * Reports too few items (minItems) and every item value that breaks a rule
+     * of its sub-field, as "Item N: field – message".
+     *
+     * The failing items and sub-fields are marked; collapsed items with errors are expanded.
+     * While paging, only the loaded items are validated here: the server validates the
+     * items of the pages that are not loaded when the object is saved (checkValidity()).
+     *
+     * @returns {Array|boolean} List of error messages, or false if valid
+     */
+    isInvalidMandatory: function() {
+        var invalidMandatoryFields = [];
+        var minItems = this.fieldConfig.minItems || 0;
+
+        if (this.getItemCount() < minItems) {
+            invalidMandatoryFields.push(
+                t(this.fieldConfig.title || this.getName()) + ' (' + this.getName() + '): ' +
+                t('extended_block_min_items_not_reached').replace('%s', minItems)
+            );
+        }
+
+        var invalidItems = this.validateItems();
+
+        for (var i = 0; i < invalidItems.length; i++) {
+            for (var e = 0; e < invalidItems[i].errors.length; e++) {
+                var error = invalidItems[i].errors[e];
+                invalidMandatoryFields.push(
+                    t('extended_block_item_error')
+                        .replace('{item}', invalidItems[i].number)
+                        .replace('{field}', error.title + ' (' + error.name + ')')
+                        .replace('{message}', error.message)
+                );
+            }
+        }
+
+        return invalidMandatoryFields.length > 0 ? invalidMandatoryFields : false;
+    },
+
+    /**
+     * Validates all loaded own items and updates the error marks.
+     * Items are numbered from 1 in the order of the editor, inherited items included.
+     *
+     * @returns {Array} The invalid items {number, errors}, see getItemValidationErrors()
+     */
+    validateItems: function() {
+        var invalidItems = [];
+        var errors;
+
+        if (this.isTableMode()) {
+            var number = 0;
+
+            // Rows hidden by the search filter are validated as well
+            this.tableStore.getDataSource().each(function(record) {
+                number++;
+                errors = record.get('_inherited') ? [] : this.getItemValidationErrors(this.getTableRecordValue(record));
+
+                // Set without record.set(), so the row does not count as changed
+                record.data._errors = errors.map(function(error) {
+                    return error.name;
+                });
+
+                if (errors.length > 0) {
+                    invalidItems.push({number: number, errors: errors});
+                }
+            }, this);
+
+            this.tableGrid.getView().refresh();
+
+            return invalidItems;
+        }
+
+        Ext.suspendLayouts();
+
+        for (var s = 0; s < this.component.items.items.length; s++) {
+            var blockElement = this.component.items.items[s];
+            var element = this.currentElements[blockElement.key];
+
+            if (typeof blockElement.key === 'undefined' || !element || typeof element !== 'object') {
+                continue;
+            }
+
+            // Inherited items cannot be changed here, so they are not checked
+            errors = blockElement.pimcore_inherited ? [] : this.getItemValidationErrors(this.getElementValue(element));
+            this.markItemErrors(blockElement, errors);
+
+            if (errors.length > 0) {
+                invalidItems.push({number: s + 1, errors: errors});
+            }
+        }
+
+        Ext.resumeLayouts(true);
+
+        return invalidItems;
+    },
+
+    /**
+     * Marks an item and its failing sub-fields, or removes the marks.
+     * Items with errors are expanded and their forms rendered, so the marks are visible.
+     *
+     * @param {Ext.Panel} blockElement - The block element
+     * @param {Array} errors - The errors of the item, empty to remove the marks
+     */
+    markItemErrors: function(blockElement, errors) {
+        var element = this.currentElements[blockElement.key];
+        var names = [];
+        var localizedError = false;
+
+        for (var e = 0; e < errors.length; e++) {
+            names.push(errors[e].name);
+            localizedError = localizedError || errors[e].localized;
+        }
+
+        blockElement.toggleCls('extended-block-item-invalid', errors.length > 0);
+
+        if (errors.length > 0) {
+            if (blockElement.collapsed) {
+                blockElement.expand();
+            }
+            this.renderItemForm(blockElement);
+        }
+
+        for (var name in element.fields) {
+            if (element.fields.hasOwnProperty(name) && element.fields[name].component) {
+                var field = element.fields[name];
+                field.component.toggleCls(
+                    'extended-block-field-invalid',
+                    this.isLocalizedFieldsTag(field) ? localizedError : names.indexOf(field.getName()) !== -1
+                );
+            }
+        }
+    },
+
+    /**
+     * Checks the values of an item against the rules of its sub-fields.
+     * Localized sub-fields are checked in every website language, sub-fields
+     * hidden by a visibility rule are skipped.
+     * Uses the item value, so items whose form was never rendered are checked as well.
+     *
+     * @param {Object} value - The item value {type, data, localizedData}
+     * @returns {Array} The errors {name, title, message, localized}
+     */
+    getItemValidationErrors: function(value) {
+        var errors = [];
+        var definitions = this.getDataFieldDefinitions(value.type);
+        var localizedDefinitions = this.getLocalizedFieldDefinitions(value.type);
+        var languages = localizedDefinitions.length > 0 ? (pimcore.settings.websiteLanguages || []) : [];
+        var message;
+        var d;
+
+        for (d = 0; d < definitions.length; d++) {
+            if (!this.isFieldVisible(value.data || {}, definitions[d].name)) {
+                continue;
+            }
+
+            message = this.getFieldValidationError(definitions[d], (value.data || {})[definitions[d].name]);
+            if (message) {
+                errors.push({
+                    name: definitions[d].name,
+                    title: t(definitions[d].title || definitions[d].name),
+                    message: message,
+                    localized: false
+                });
+            }
+        }
+
+        for (var l = 0; l < languages.length; l++) {
+            var values = (value.localizedData || {})[languages[l]] || {};
+
+            for (d = 0; d < localizedDefinitions.length; d++) {
+                message = this.getFieldValidationError(localizedDefinitions[d], values[localizedDefinitions[d].name]);
+                if (message) {
+                    errors.push({
+                        name: localizedDefinitions[d].name,
+                        title: t(localizedDefinitions[d].title || localizedDefinitions[d].name) + ' [' + languages[l] + ']',
+                        message: message,
+                        localized: true
+                    });
+                }
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Checks a value against the rules of its sub-field: mandatory, the regular
+     * expression of input fields and the range of numeric fields.
+     * The server runs the same checks with the sub-fields' checkValidity().
+     *
+     * @param {Object} definition - The sub-field definition
+     * @param {*} value - The value
+     * @returns {string|null} The error message, null if the value is valid
+     */
+    getFieldValidationError: function(definition, value) {
+        if (this.isEmptyValue(value)) {
+            return definition.mandatory ? t('extended_block_validation_mandatory') : null;
+        }
+
+        if (definition.regex && typeof value === 'string') {
+            var pattern;
+            try {
+                // PHP flags without a JavaScript counterpart are left out
+                var flags = (definition.regexFlags || []).join('').replace(/[^imsu]/g, '');
+                pattern = new RegExp(definition.regex, flags);
+            } catch (e) {
+                pattern = null;
+            }
+
+            if (pattern && !pattern.test(value)) {
+                return t('extended_block_validation_regex');
+            }
+        }
+
+        if (this.hasRangeRule(definition)) {
+            var number = parseFloat(value);
+            var min = definition.minValue;
+            var max = definition.maxValue;
+
+            if ((this.isRangeLimitSet(min) && number < parseFloat(min)) ||
+                (this.isRangeLimitSet(max) && number > parseFloat(max))) {
+                return t('extended_block_validation_range')
+                    .replace('{min}', this.isRangeLimitSet(min) ? min : '–')
+                    .replace('{max}', this.isRangeLimitSet(max) ? max : '–');
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Checks if a sub-field value is empty.
+     * Objects (e.g. link values) are empty if all their values are empty.
+     *
+     * @param {*} value - The value
+     * @returns {boolean} True if empty
+     */
+    isEmptyValue: function(value) {
+        if (value === null || typeof value === 'undefined' || value === '') {
+            return true;
+        }
+
+        if (Ext.isArray(value)) {
+            return value.length === 0;
+        }
+
+        if (Ext.isObject(value)) {
+            for (var key in value) {
+                if (value.hasOwnProperty(key) && !this.isEmptyValue(value[key])) {
+                    return false;
                 }
             }
+            return true;
         }
 
         return false;
@@ -28,7 +28,6 @@ pimcore.plugin.extendedBlock = Class.create({
      * @type {Array}
      */
     disallowedDataTypes: [
-        'localizedfields',
         'block',
         'fieldcollections',
         'objectbricks',
@@ -36,6 +35,14 @@ pimcore.plugin.extendedBlock = Class.create({
         'classificationstore'
     ],
 
+    /**
+     * Container and layout types allowed directly inside ExtendedBlock and inside
+     * each of its block type nodes. Data types are added in patchGetAllowedTypes.
+     * @type {Array}
+     */
+    allowedLayoutTypes: ['data', 'panel', 'tabpanel', 'accordion',
+        'fieldset', 'fieldcontainer', 'text', 'region', 'button', 'iframe'],
+
     /**
      * Initializes the plugin.
      * Called when Pimcore admin is ready.
@@ -68,10 +75,11 @@ pimcore.plugin.extendedBlock = Class.create({
             // Add extendedBlock as a container type (like block).
             // This list follows the same pattern as Pimcore's 'block' type definition.
             // 'data' allows any data component, layout types allow organizing UI elements.
-            // Complex nested types (localizedfields, block, fieldcollections, objectbricks,
-            // extendedBlock) are excluded via the disallowedDataTypes array and allowIn checks.
-            allowedTypes.extendedBlock = ['data', 'panel', 'tabpanel', 'accordion', 
-                'fieldset', 'fieldcontainer', 'text', 'region', 'button', 'iframe'];
+            // Complex nested types (block, fieldcollections, objectbricks, extendedBlock)
+            // are excluded via the disallowedDataTypes array and allowIn checks.
+            // Block type nodes can only be added directly below the ExtendedBlock node.
+            allowedTypes.extendedBlock = _this.allowedLayoutTypes.concat(['extendedBlockType']);
+            allowedTypes.extendedBlockType = _this.allowedLayoutTypes.slice();
         });
 
         // Also hook into data type registration to set allowIn.extendedBlock
@@ -218,6 +226,106 @@ pimcore.plugin.extendedBlock = Class.create({
         
         // Also patch getRestrictionsFromParent to recognize extendedBlock
         this.patchGetRestrictionsFromParent();
+
+        // Store block type nodes as blockDefinitions instead of children
+        this.patchBlockTypeNodes();
+    },
+
+    /**
+     * Patches the class editor so block type nodes below an ExtendedBlock
+     * are mapped to and from the field's blockDefinitions.
+     *
+     * - getRecursiveData: moves the block type nodes out of the serialized
+     *   children into blockDefinitions ({name, icon, fields} per type)
+     * - recursiveAddNode: recreates block type nodes from blockDefinitions
+     *   when a class definition is loaded into the tree
+     */
+    patchBlockTypeNodes: function() {
+        var _this = this;
+        var klassPrototype = pimcore.object.classes.klass.prototype;
+        var originalGetRecursiveData = klassPrototype.getRecursiveData;
+        var originalRecursiveAddNode = klassPrototype.recursiveAddNode;
+
+        if (!originalGetRecursiveData || !originalRecursiveAddNode) {
+            if (pimcore.settings && pimcore.settings.devmode) {
+                console.warn('Extended Block: Could not find getRecursiveData/recursiveAddNode to patch');
+            }
+            return;
+        }
+
+        klassPrototype.getRecursiveData = function(node) {
+            var data = originalGetRecursiveData.call(this, node);
+
+            if (data && data.datatype === 'data' && data.fieldtype === 'extendedBlock') {
+                _this.extractBlockDefinitions(data);
+            }
+
+            return data;
+        };
+
+        klassPrototype.recursiveAddNode = function(con, scope) {
+            var newNode = originalRecursiveAddNode.call(this, con, scope);
+
+            if (con.datatype === 'data' && con.fieldtype === 'extendedBlock' && con.blockDefinitions) {
+                var typeNames = Object.keys(con.blockDefinitions);
+                for (var i = 0; i < typeNames.length; i++) {
+                    this.recursiveAddNode(
+                        _this.createBlockTypeNodeConfig(typeNames[i], con.blockDefinitions[typeNames[i]]),
+                        newNode
+                    );
+                }
+            }
+
+            return newNode;
+        };
+
+        if (pimcore.settings && pimcore.settings.devmode) {
+            console.log('Extended Block: Patched class editor for block type nodes');
+        }
+    },
+
+    /**
+     * Moves serialized block type nodes from children into blockDefinitions.
+     *
+     * @param {Object} data - Serialized ExtendedBlock node data
+     */
+    extractBlockDefinitions: function(data) {
+        var children = [];
+        var blockDefinitions = {};
+        var nodes = data.children || [];
+
+        for (var i = 0; i < nodes.length; i++) {
+            if (nodes[i].datatype === 'layout' && nodes[i].fieldtype === 'extendedBlockType') {
+                blockDefinitions[nodes[i].name] = {
+                    name: nodes[i].title || nodes[i].name,
+                    icon: nodes[i].icon || '',
+                    fields: nodes[i].children || []
+                };
+            } else {
+                children.push(nodes[i]);
+            }
+        }
+
+        data.children = children;
+        data.blockDefinitions = blockDefinitions;
+    },
+
+    /**
+     * Creates the tree node configuration for a stored block type.
+     *
+     * @param {string} typeName - The block type identifier
+     * @param {Object} definition - The block definition ({name, icon, fields})
+     * @returns {Object} Layout node configuration for recursiveAddNode
+     */
+    createBlockTypeNodeConfig: function(typeName, definition) {
+        return {
+            datatype: 'layout',
+            fieldtype: 'extendedBlockType',
+            name: typeName,
+            title: definition.name || typeName,
+            icon: definition.icon || '',
+            children: definition.fields || []
+        };
     },
 
     /**
@@ -237,6 +345,11 @@ pimcore.plugin.extendedBlock = Class.create({
         
         // Patch to include extendedBlock
         pimcore.object.classes.klass.prototype.getRestrictionsFromParent = function(node) {
+            // Block type nodes restrict their children like the ExtendedBlock itself
+            if (node.data.editor && node.data.editor.type === 'extendedBlockType') {
+                return 'extendedBlock';
+            }
+
             // Check if current node is a container type (including extendedBlock)
             if (node.data.editor && 
                 (node.data.editor.type === 'localizedfields' || 
@@ -286,10 +399,12 @@ pimcore.plugin.extendedBlock = Class.create({
             // Call the original function first
             var allowedTypes = originalGetAllowedTypes.call(this, source);
             
-            // Ensure extendedBlock has an array (it should from our event listener)
+            // Ensure extendedBlock and its block type nodes have an array (they should from our event listener)
             if (!allowedTypes.extendedBlock) {
-                allowedTypes.extendedBlock = ['data', 'panel', 'tabpanel', 'accordion', 
-                    'fieldset', 'fieldcontainer', 'text', 'region', 'button', 'iframe'];
+                allowedTypes.extendedBlock = _this.allowedLayoutTypes.concat(['extendedBlockType']);
+            }
+            if (!allowedTypes.extendedBlockType) {
+                allowedTypes.extendedBlockType = _this.allowedLayoutTypes.slice();
             }
             
             // Now add data types based on allowIn.extendedBlock (mirroring onTreeNodeContextmenu)
@@ -306,6 +421,9 @@ pimcore.plugin.extendedBlock = Class.create({
                     if (allowedTypes.extendedBlock.indexOf(dataCompName) === -1) {
                         allowedTypes.extendedBlock.push(dataCompName);
                     }
+                    if (allowedTypes.extendedBlockType.indexOf(dataCompName) === -1) {
+                        allowedTypes.extendedBlockType.push(dataCompName);
+                    }
                 }
             }
             
@@ -329,14 +447,112 @@ pimcore.plugin.extendedBlock = Class.create({
         // Register translations
         var translations = {
             'extended_block': 'Extended Block',
-            'extended_block_fields_help': 'Right-click on this field in the tree to add sub-fields. Supported types: Input, Textarea, WYSIWYG, Numeric, Checkbox, Date, Select, Multiselect, Link, Image. LocalizedFields, Block, FieldCollections, ObjectBricks, and ExtendedBlock are not allowed.',
+            'extended_block_fields_help': 'Right-click on this field in the tree to add sub-fields. Supported types: Input, Textarea, WYSIWYG, Numeric, Checkbox, Date, Select, Multiselect, Link, Image. Sub-fields inside a LocalizedFields container are stored per language when "Allow localized fields" is enabled. Block, FieldCollections, ObjectBricks, and ExtendedBlock are not allowed.',
             'add_fields': 'Add Fields',
             'type_not_allowed_in_extended_block': 'This field type is not allowed inside Extended Block',
             'minimum_items': 'Minimum Items',
             'maximum_items': 'Maximum Items',
             'collapsed_by_default': 'Collapsed by Default',
             'lazy_loading': 'Lazy Loading',
-            'limit_reached': 'Maximum number of items reached'
+            'limit_reached': 'Maximum number of items reached',
+            'extended_block_min_items_not_reached': 'At least %s items are required',
+            'extended_block_move_item': 'Move item',
+            'extended_block_type': 'Block Type',
+            'extended_block_type_help': 'The name is the type identifier stored with each item (letters, numbers and underscores). The title is shown in the object editor\'s type menu. Right-click this node to add the fields of this block type.',
+            'extended_block_collapse_all': 'Collapse all',
+            'extended_block_expand_all': 'Expand all',
+            'extended_block_item_title_template': 'Item Title Template',
+            'extended_block_item_title_template_help': 'Title of each item in the object editor. Placeholders: {index} (position), {type} (block type) and the name of any sub-field, e.g. {title} – {caption}. Empty shows the position.',
+            'extended_block_load_more': 'Load more',
+            'extended_block_items_loaded': '{loaded} of {total} items loaded',
+            'extended_block_copy_paste': 'Copy and paste',
+            'extended_block_copy_item': 'Copy item',
+            'extended_block_copy_all_items': 'Copy all items',
+            'extended_block_paste_before': 'Paste before',
+            'extended_block_paste_after': 'Paste after',
+            'extended_block_items_copied': '%s item(s) copied',
+            'extended_block_paste_dropped_fields': 'These sub-fields do not exist in this block (or have another type) and were not pasted',
+            'extended_block_duplicate_item': 'Duplicate item',
+            'extended_block_selected_items': '%s item(s) selected',
+            'extended_block_select_all': 'Select all',
+            'extended_block_select_none': 'Select none',
+            'extended_block_delete_selected': 'Delete',
+            'extended_block_delete_selected_confirm': 'Delete %s selected item(s)?',
+            'extended_block_move_to_top': 'Move to top',
+            'extended_block_move_to_bottom': 'Move to bottom',
+            'extended_block_duplicate_selected': 'Duplicate',
+            'extended_block_clear_field': 'Clear field',
+            'extended_block_display_mode': 'Display Mode',
+            'extended_block_display_mode_stacked': 'Stacked panels',
+            'extended_block_display_mode_table': 'Table',
+            'extended_block_add_row': 'Add row',
+            'extended_block_edit_row': 'Edit item',
+            'extended_block_remove_row': 'Remove item',
+            'extended_block_search_items': 'Search items',
+            'extended_block_search_all_fields': 'All fields',
+            'extended_block_inheritance_mode': 'Inheritance mode',
+            'extended_block_inheritance_mode_replace': 'Replace (own items replace the parent\'s items)',
+            'extended_block_inheritance_mode_append': 'Append (own items follow the parent\'s items)',
+            'extended_block_inheritance_mode_merge': 'Merge (own items override single parent items in place)',
+            'extended_block_inheritance_mode_help': 'Only applies when the class allows inheritance. In append and merge mode, inherited items are shown read-only and can be overridden one by one; paging is not used.',
+            'extended_block_inherited_item': 'Inherited',
+            'extended_block_break_inheritance': 'Override',
+            'extended_block_allow_localized_fields': 'Allow localized fields',
+            'extended_block_allow_localized_fields_help': 'Sub-fields inside a LocalizedFields container are edited per language and stored in the localized table of the field.',
+            'extended_block_filter_field': 'Sub-field',
+            'extended_block_filter_operator': 'Operator',
+            'extended_block_filter_value': 'Value',
+            'extended_block_filter_contains': 'contains',
+            'extended_block_filter_empty': 'is empty',
+            'extended_block_filter_not_empty': 'is not empty',
+            'extended_block_grid_preview_mode': 'Grid preview',
+            'extended_block_grid_preview_mode_table': 'Table of the first items',
+            'extended_block_grid_preview_mode_count': 'Item count only',
+            'extended_block_grid_preview_rows': 'Items in grid preview',
+            'extended_block_grid_preview_fields': 'Sub-fields in grid preview',
+            'extended_block_grid_preview_help': 'The object grid shows the selected sub-fields (all if none is selected) of the first items. Image sub-fields are shown as thumbnails. Hovering a cell shows the table of all items.',
+            'extended_block_batch_edit': 'Batch edit items',
+            'extended_block_batch_edit_selected': 'Batch edit items (selected)',
+            'extended_block_batch_operation': 'Operation',
+            'extended_block_batch_append': 'Append an item',
+            'extended_block_batch_remove': 'Remove matching items',
+            'extended_block_batch_set': 'Set a sub-field on all items',
+            'extended_block_batch_remove_help': 'Removes the items whose sub-field matches the condition. Inherited items are kept.',
+            'extended_block_batch_incomplete': 'Please complete the form of the operation.',
+            'extended_block_batch_no_objects': 'No objects to change.',
+            'extended_block_batch_result': '{changed} object(s) changed, {unchanged} unchanged, {failed} failed',
+            'extended_block_import_export': 'Import / export items',
+            'extended_block_export_items': 'Export items',
+            'extended_block_import_items': 'Import items',
+            'extended_block_import_failed': 'The file could not be imported',
+            'extended_block_import_summary': '{items} item(s) ready to import, {errors} row(s) failed',
+            'extended_block_import_ignored_columns': 'Columns without matching sub-field (ignored)',
+            'extended_block_import_failed_rows': 'Failed rows',
+            'extended_block_import_row': 'Row %s',
+            'extended_block_import_replace': 'Replace items',
+            'extended_block_import_append': 'Append items',
+            'extended_block_item_error': 'Item {item}: {field} – {message}',
+            'extended_block_validation_mandatory': 'Required',
+            'extended_block_validation_regex': 'Does not match the required format',
+            'extended_block_validation_range': 'Must be between {min} and {max}',
+            'extended_block_visibility_rules': 'Visibility Rules',
+            'extended_block_visibility_rules_help': 'Shows a sub-field only when another sub-field of the item equals the value or is not empty. With several rules for a sub-field, all must match. "Clear when hidden" saves the sub-field empty while it is hidden, otherwise its value is kept.',
+            'extended_block_visibility_field': 'Sub-field',
+            'extended_block_visibility_depends_on': 'Visible when',
+            'extended_block_visibility_condition': 'Condition',
+            'extended_block_visibility_condition_equals': 'equals',
+            'extended_block_visibility_condition_notempty': 'is not empty',
+            'extended_block_visibility_clear_hidden': 'Clear when hidden',
+            'extended_block_item_presets': 'Item Presets',
+            'extended_block_item_presets_help': 'Prefilled items offered next to the empty item when adding items in the object editor. Presets can prefill input, email, textarea, numeric, checkbox and select sub-fields; they are checked against the sub-fields whenever the class is saved.',
+            'extended_block_item_preset_values': 'Values',
+            'extended_block_item_preset_edit_values': 'Edit values',
+            'extended_block_item_preset_no_fields': 'This block type has no sub-fields that presets can prefill.',
+            'extended_block_empty_item': 'Empty item',
+            'extended_block_undo': 'Undo',
+            'extended_block_redo': 'Redo',
+            'extended_block_preview_help': 'Two sample items as the object editor shows them, built from the current settings and sub-fields. Values entered here are not stored.',
+            'extended_block_preview_failed': 'The preview could not be rendered'
         };
         
         // Add translations to the i18n object
@@ -0,0 +1,220 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Batch Edit Service.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Service;
+
+use Exception;
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockContainer;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockItem;
+use InvalidArgumentException;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Localizedfields;
+use Pimcore\Model\DataObject\Concrete;
+use Pimcore\Model\Element\ValidationException;
+
+/**
+ * Service for the batch edit of ExtendedBlock fields from the object grid.
+ *
+ * Each operation changes the items of one object, which is then saved through
+ * the normal object save path, so validation runs and a version is created:
+ * - append: adds an item built in the batch edit form
+ * - remove: removes the items that match a sub-field condition
+ * - set: sets a sub-field value on all items
+ *
+ * Inherited items are never changed; they belong to the parent object.
+ *
+ * @see \ExtendedBlockBundle\Controller\ItemController::batchAction()
+ */
+class BatchEditService
+{
+    /**
+     * Operation: append an item.
+     */
+    public const OPERATION_APPEND = 'append';
+
+    /**
+     * Operation: remove the items matching a sub-field condition.
+     */
+    public const OPERATION_REMOVE = 'remove';
+
+    /**
+     * Operation: set a sub-field value on all items.
+     */
+    public const OPERATION_SET = 'set';
+
+    /**
+     * Applies a batch operation to an ExtendedBlock field of an object and saves the object.
+     *
+     * Operation data:
+     * - append: ['item' => editmode item {type, data, localizedData}]
+     * - remove: ['condition' => {field, operator, value}], see ExtendedBlock::matchesItemFilter()
+     * - set: ['field' => sub-field name, 'value' => editmode value]
+     *
+     * @param Concrete             $object     The object
+     * @param ExtendedBlock        $definition The ExtendedBlock field
+     * @param string               $operation  One of the OPERATION_* constants
+     * @param array<string, mixed> $data       The operation data
+     * @param int|null             $userId     The user to record as modifier
+     *
+     * @throws InvalidArgumentException If the operation or its data is invalid
+     * @throws Exception                If the object cannot be saved
+     *
+     * @return bool True if the object was changed and saved, false if no item was affected
+     */
+    public function apply(Concrete $object, ExtendedBlock $definition, string $operation, array $data, ?int $userId = null): bool
+    {
+        $container = $object->get($definition->getName());
+        if (!$container instanceof ExtendedBlockContainer) {
+            $container = new ExtendedBlockContainer(
+                object: $object,
+                fieldname: $definition->getName(),
+                definition: $definition
+            );
+        }
+
+        $items = $container->getItems();
+
+        $changed = match ($operation) {
+            self::OPERATION_APPEND => $this->appendItem($items, $definition, $data, $object),
+            self::OPERATION_REMOVE => $this->removeItems($items, $definition, $data),
+            self::OPERATION_SET => $this->setFieldValue($items, $definition, $data, $object),
+            default => throw new InvalidArgumentException(sprintf('Unknown batch operation "%s"', $operation)),
+        };
+
+        if (!$changed) {
+            return false;
+        }
+
+        $container->setItems($items);
+        $object->set($definition->getName(), $container);
+
+        if (null !== $userId) {
+            $object->setUserModification($userId);
+        }
+
+        $object->save();
+
+        return true;
+    }
+
+    /**
+     * Appends the item of the batch edit form.
+     *
+     * @param array<int, ExtendedBlockItem> $items      The items, changed in place
+     * @param ExtendedBlock                 $definition The ExtendedBlock field
+     * @param array<string, mixed>          $data       The operation data
+     * @param Concrete                      $object     The object
+     *
+     * @throws InvalidArgumentException If no item is given
+     * @throws ValidationException      If the field already has maxItems items
+     *
+     * @return bool True, as an item is always added
+     */
+    protected function appendItem(array &$items, ExtendedBlock $definition, array $data, Concrete $object): bool
+    {
+        if (!is_array($data['item'] ?? null)) {
+            throw new InvalidArgumentException('No item given to append');
+        }
+
+        // Inherited items count towards maxItems, as in the object editor
+        $ownItems = array_values(array_filter($items, static fn (ExtendedBlockItem $item): bool => !$item->isInherited()));
+        $itemCount = count($definition->mergeInheritedItems($ownItems, $object));
+        $maxItems = $definition->getMaxItems();
+
+        if (null !== $maxItems && $maxItems > 0 && $itemCount >= $maxItems) {
+            throw new ValidationException(sprintf('ExtendedBlock field [ %s ] allows at most %d item(s).', $definition->getName(), $maxItems));
+        }
+
+        // The form item is stored as a new row of this object
+        $newItems = $definition->getDataFromEditmode([$data['item']], $object)->getItems();
+        foreach ($newItems as $item) {
+            if (!$item->isInherited()) {
+                $item->setId(null);
+                $item->setSourceId(null);
+                $items[] = $item;
+
+                return true;
+            }
+        }
+
+        throw new InvalidArgumentException('No item given to append');
+    }
+
+    /**
+     * Removes the items that match the condition.
+     *
+     * @param array<int, ExtendedBlockItem> $items      The items, changed in place
+     * @param ExtendedBlock                 $definition The ExtendedBlock field
+     * @param array<string, mixed>          $data       The operation data
+     *
+     * @throws InvalidArgumentException If the condition is invalid
+     *
+     * @return bool True if at least one item was removed
+     */
+    protected function removeItems(array &$items, ExtendedBlock $definition, array $data): bool
+    {
+        if (!is_array($data['condition'] ?? null)) {
+            throw new InvalidArgumentException('No condition given for removing items');
+        }
+
+        $keptItems = array_values(array_filter(
+            $items,
+            static fn (ExtendedBlockItem $item): bool => $item->isInherited() || !$definition->matchesItemFilter($item, $data['condition'])
+        ));
+
+        if (count($keptItems) === count($items)) {
+            return false;
+        }
+
+        $items = $keptItems;
+
+        return true;
+    }
+
+    /**
+     * Sets a sub-field value on all items whose block type has the sub-field.
+     *
+     * @param array<int, ExtendedBlockItem> $items      The items, changed in place
+     * @param ExtendedBlock                 $definition The ExtendedBlock field
+     * @param array<string, mixed>          $data       The operation data
+     * @param Concrete                      $object     The object
+     *
+     * @throws InvalidArgumentException If the sub-field does not exist or is localized
+     *
+     * @return bool True if at least one item was changed
+     */
+    protected function setFieldValue(array &$items, ExtendedBlock $definition, array $data, Concrete $object): bool
+    {
+        $fieldName = (string) ($data['field'] ?? '');
+        $fieldDef = $definition->getFieldDefinition($fieldName);
+
+        if (!$fieldDef || $fieldDef instanceof Localizedfields) {
+            throw new InvalidArgumentException(sprintf('Sub-field "%s" of ExtendedBlock "%s" cannot be set', $fieldName, $definition->getName()));
+        }
+
+        $value = method_exists($fieldDef, 'getDataFromEditmode')
+            ? $fieldDef->getDataFromEditmode($data['value'] ?? null, $object)
+            : ($data['value'] ?? null);
+
+        $changed = false;
+        foreach ($items as $item) {
+            if ($item->isInherited() || !isset($definition->getFieldDefinitionsForType($item->getType())[$fieldName])) {
+                continue;
+            }
+
+            $item->setFieldValue($fieldName, $value);
+            $changed = true;
+        }
+
+        return $changed;
+    }
+}
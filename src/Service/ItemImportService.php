@@ -0,0 +1,530 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Item Import Service.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Service;
+
+use Exception;
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockContainer;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockItem;
+use InvalidArgumentException;
+use Pimcore\Model\DataObject\ClassDefinition\Data;
+use Pimcore\Model\DataObject\Concrete;
+use Pimcore\Tool;
+
+/**
+ * Service for the import of ExtendedBlock items from CSV and JSON files.
+ *
+ * The object editor uploads the file and gets the converted items back for
+ * a preview; the items are only added to the field when the editor applies
+ * them and the object is saved.
+ *
+ * File formats:
+ * - CSV: a header row, then one row per item. Columns are mapped to sub-fields
+ *   by name or title, "name:de" to the German value of a localized sub-field,
+ *   and an optional "type" column holds the block type.
+ * - JSON: a list of items, either in editmode format {type, data, localizedData}
+ *   (as exported by the object editor) or as flat objects like the CSV rows.
+ *
+ * Values are converted by ExtendedBlock::getDataFromEditmode() and validated by
+ * the sub-fields; rows that fail are reported and left out of the result.
+ *
+ * @see \ExtendedBlockBundle\Controller\ItemController::importAction()
+ */
+class ItemImportService
+{
+    /**
+     * Format: CSV with a header row.
+     */
+    public const FORMAT_CSV = 'csv';
+
+    /**
+     * Format: JSON list of items.
+     */
+    public const FORMAT_JSON = 'json';
+
+    /**
+     * Largest number of rows accepted in one file.
+     */
+    public const MAX_ROWS = 1000;
+
+    /**
+     * Name of the column that holds the block type.
+     */
+    private const TYPE_COLUMN = 'type';
+
+    /**
+     * Detects the format of a file from its name, falling back to its content.
+     *
+     * @param string $filename The name of the uploaded file
+     * @param string $content  The file content
+     *
+     * @return string One of the FORMAT_* constants
+     */
+    public function detectFormat(string $filename, string $content): string
+    {
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+        if (self::FORMAT_JSON === $extension || self::FORMAT_CSV === $extension) {
+            return $extension;
+        }
+
+        $start = ltrim($this->stripByteOrderMark($content));
+
+        return str_starts_with($start, '[') || str_starts_with($start, '{') ? self::FORMAT_JSON : self::FORMAT_CSV;
+    }
+
+    /**
+     * Parses a file into rows.
+     *
+     * CSV files may use comma or semicolon as delimiter; the one found more
+     * often in the header row is used. Empty CSV lines are skipped.
+     *
+     * @param string $content The file content
+     * @param string $format  One of the FORMAT_* constants
+     *
+     * @throws InvalidArgumentException If the file cannot be parsed or has too many rows
+     *
+     * @return array<int, array<string, mixed>> The rows, keyed by column name
+     */
+    public function parse(string $content, string $format): array
+    {
+        $content = $this->stripByteOrderMark($content);
+
+        $rows = match ($format) {
+            self::FORMAT_CSV => $this->parseCsv($content),
+            self::FORMAT_JSON => $this->parseJson($content),
+            default => throw new InvalidArgumentException(sprintf('Unknown import format "%s"', $format)),
+        };
+
+        if (count($rows) > self::MAX_ROWS) {
+            throw new InvalidArgumentException(sprintf('The file has %d rows, at most %d rows can be imported at once', count($rows), self::MAX_ROWS));
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Imports a file for an ExtendedBlock field.
+     *
+     * Row numbers in the errors start at 1 with the first item, the CSV header
+     * row is not counted.
+     *
+     * @param ExtendedBlock $definition The ExtendedBlock field
+     * @param string        $content    The file content
+     * @param string        $format     One of the FORMAT_* constants
+     * @param Concrete|null $object     The object the items are imported into
+     *
+     * @throws InvalidArgumentException If the file cannot be parsed
+     *
+     * @return array{items: array<int, array<string, mixed>>, errors: array<int, array{row: int, message: string}>, mapped: array<string, string>, ignored: array<int, string>}
+     *                The items in editmode format, the failed rows, the columns mapped to sub-fields and the ignored columns
+     */
+    public function import(ExtendedBlock $definition, string $content, string $format, ?Concrete $object = null): array
+    {
+        $rows = $this->parse($content, $format);
+        $columns = $this->mapColumns($definition, $this->getColumnNames($rows));
+
+        $result = [
+            'items' => [],
+            'errors' => [],
+            'mapped' => $columns['mapped'],
+            'ignored' => $columns['ignored'],
+        ];
+
+        foreach ($rows as $index => $row) {
+            try {
+                $item = $this->buildItem($definition, $row, $columns['mapped']);
+                $result['items'][] = $this->convertItem($definition, $item, $object);
+            } catch (Exception $e) {
+                $result['errors'][] = [
+                    'row' => $index + 1,
+                    'message' => $e->getMessage(),
+                ];
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Maps column names to sub-fields.
+     *
+     * A column matches a sub-field by name, otherwise by title, both case-insensitive.
+     * Localized sub-fields are matched as "name:language" for the valid languages.
+     *
+     * @param ExtendedBlock      $definition The ExtendedBlock field
+     * @param array<int, string> $columns    The column names
+     *
+     * @return array{mapped: array<string, string>, ignored: array<int, string>}
+     *                The sub-field ("name" or "name:language") by column, and the columns that match no sub-field
+     */
+    public function mapColumns(ExtendedBlock $definition, array $columns): array
+    {
+        $targets = [];
+        $titles = [];
+
+        foreach ($definition->getFieldDefinitions() as $name => $fieldDef) {
+            if ($fieldDef instanceof Data\Localizedfields) {
+                continue;
+            }
+
+            $targets[mb_strtolower((string) $name)] = (string) $name;
+            $titles[mb_strtolower((string) $fieldDef->getTitle())] = (string) $name;
+        }
+
+        $localizedFieldDefinitions = $definition->isAllowLocalizedFields() ? $definition->getLocalizedFieldDefinitions() : [];
+        foreach ($localizedFieldDefinitions ? Tool::getValidLanguages() : [] as $language) {
+            foreach ($localizedFieldDefinitions as $name => $fieldDef) {
+                $targets[mb_strtolower($name . ':' . $language)] = $name . ':' . $language;
+                $titles[mb_strtolower($fieldDef->getTitle() . ':' . $language)] = $name . ':' . $language;
+            }
+        }
+
+        // Titles never win over names
+        $targets += array_diff_key($titles, ['' => true]);
+
+        $result = ['mapped' => [], 'ignored' => []];
+        foreach ($columns as $column) {
+            $key = mb_strtolower(trim($column));
+
+            if (self::TYPE_COLUMN === $key) {
+                continue;
+            }
+
+            if (isset($targets[$key])) {
+                $result['mapped'][$column] = $targets[$key];
+            } else {
+                $result['ignored'][] = $column;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Builds the editmode item of a row.
+     *
+     * Rows with a data key are taken as items in editmode format, their data keys
+     * are mapped like columns. Empty cells are left out, so the sub-field stays empty.
+     *
+     * @param ExtendedBlock         $definition The ExtendedBlock field
+     * @param array<string, mixed>  $row        The row
+     * @param array<string, string> $mapped     The sub-field by column, see mapColumns()
+     *
+     * @throws InvalidArgumentException If the block type is unknown or a value cannot be read
+     *
+     * @return array<string, mixed> The item {type, data, localizedData}
+     */
+    protected function buildItem(ExtendedBlock $definition, array $row, array $mapped): array
+    {
+        $type = $this->getRowType($definition, $row);
+        $fieldDefinitions = $definition->getFieldDefinitionsForType($type);
+        $localizedFieldDefinitions = $definition->isAllowLocalizedFields() ? $definition->getLocalizedFieldDefinitions($type) : [];
+
+        $item = [
+            'type' => $type,
+            'data' => [],
+            'localizedData' => is_array($row['localizedData'] ?? null) ? $row['localizedData'] : [],
+        ];
+
+        $values = is_array($row['data'] ?? null) ? $row['data'] : $row;
+
+        foreach ($values as $column => $value) {
+            $target = $mapped[$column] ?? null;
+            if (null === $target || null === $value || '' === $value) {
+                continue;
+            }
+
+            if (str_contains($target, ':')) {
+                [$fieldName, $language] = explode(':', $target, 2);
+                if (isset($localizedFieldDefinitions[$fieldName])) {
+                    $item['localizedData'][$language][$fieldName] = $this->normalizeValue($localizedFieldDefinitions[$fieldName], $value);
+                }
+            } elseif (isset($fieldDefinitions[$target]) && !$fieldDefinitions[$target] instanceof Data\Localizedfields) {
+                $item['data'][$target] = $this->normalizeValue($fieldDefinitions[$target], $value);
+            }
+        }
+
+        return $item;
+    }
+
+    /**
+     * Converts an editmode item with the logic of the object editor and validates its values.
+     *
+     * @param ExtendedBlock        $definition The ExtendedBlock field
+     * @param array<string, mixed> $item       The item {type, data, localizedData}
+     * @param Concrete|null        $object     The object the item is imported into
+     *
+     * @throws Exception If a value cannot be converted or is not valid
+     *
+     * @return array<string, mixed> The converted item in editmode format, without id
+     */
+    protected function convertItem(ExtendedBlock $definition, array $item, ?Concrete $object): array
+    {
+        $converted = array_values(array_filter(
+            $definition->getDataFromEditmode([$item], $object)->getItems(),
+            static fn (ExtendedBlockItem $blockItem): bool => !$blockItem->isInherited()
+        ));
+
+        if ([] === $converted) {
+            throw new InvalidArgumentException('The row contains no item');
+        }
+
+        $blockItem = $converted[0];
+
+        foreach ($definition->getFieldDefinitionsForType($blockItem->getType()) as $fieldName => $fieldDef) {
+            if (!$fieldDef instanceof Data\Localizedfields) {
+                $this->checkFieldValidity($fieldDef, (string) $fieldName, $blockItem->getFieldValue((string) $fieldName));
+            }
+        }
+
+        foreach ($blockItem->getLocalizedData() as $language => $values) {
+            foreach ($values as $fieldName => $value) {
+                $fieldDef = $definition->getLocalizedFieldDefinitions($blockItem->getType())[$fieldName] ?? null;
+                if ($fieldDef) {
+                    $this->checkFieldValidity($fieldDef, $fieldName . ':' . $language, $value);
+                }
+            }
+        }
+
+        // Without an object the editmode data holds no inherited items and no paging
+        $container = (new ExtendedBlockContainer(fieldname: $definition->getName(), definition: $definition, lazyLoad: false))
+            ->setItems([$blockItem]);
+
+        $editmodeItem = $definition->getDataForEditmode($container)[0];
+        unset($editmodeItem['id'], $editmodeItem['index']);
+
+        return $editmodeItem;
+    }
+
+    /**
+     * Validates a converted sub-field value. The mandatory check is left to the object save.
+     *
+     * @param Data   $fieldDef  The sub-field definition
+     * @param string $fieldName The sub-field name, used in the message
+     * @param mixed  $value     The converted value
+     *
+     * @throws InvalidArgumentException If the value is not valid
+     */
+    protected function checkFieldValidity(Data $fieldDef, string $fieldName, mixed $value): void
+    {
+        try {
+            $fieldDef->checkValidity($value, true);
+        } catch (Exception $e) {
+            throw new InvalidArgumentException(sprintf('%s: %s', $fieldName, $e->getMessage()), 0, $e);
+        }
+    }
+
+    /**
+     * Returns the block type of a row.
+     *
+     * Rows without type get the first type of the field, as in the add menu of the editor.
+     *
+     * @param ExtendedBlock        $definition The ExtendedBlock field
+     * @param array<string, mixed> $row        The row
+     *
+     * @throws InvalidArgumentException If the type is not a block type of the field
+     *
+     * @return string The block type
+     */
+    protected function getRowType(ExtendedBlock $definition, array $row): string
+    {
+        $types = [];
+        if ($definition->hasChildren() || !$definition->hasBlockDefinitions()) {
+            $types[] = 'default';
+        }
+        foreach (array_keys($definition->getBlockDefinitions()) as $type) {
+            $types[] = (string) $type;
+        }
+
+        $type = null;
+        foreach ($row as $column => $value) {
+            if (self::TYPE_COLUMN === mb_strtolower(trim((string) $column))) {
+                $type = trim((string) $value);
+            }
+        }
+
+        if (null === $type || '' === $type) {
+            return $types[0];
+        }
+
+        if (!in_array($type, $types, true)) {
+            throw new InvalidArgumentException(sprintf('Unknown block type "%s"', $type));
+        }
+
+        return $type;
+    }
+
+    /**
+     * Turns a cell value into the editmode value of a sub-field.
+     *
+     * Cells with a JSON list or object are decoded (e.g. relations as exported by
+     * the object editor), date cells may hold a date string instead of a timestamp,
+     * checkbox cells may hold true/false or yes/no.
+     *
+     * @param Data  $fieldDef The sub-field definition
+     * @param mixed $value    The cell value
+     *
+     * @throws InvalidArgumentException If a date cannot be read
+     *
+     * @return mixed The editmode value
+     */
+    protected function normalizeValue(Data $fieldDef, mixed $value): mixed
+    {
+        if (!is_string($value)) {
+            return $value;
+        }
+
+        $value = trim($value);
+
+        if (str_starts_with($value, '[') || str_starts_with($value, '{')) {
+            $decoded = json_decode($value, true);
+            if (is_array($decoded)) {
+                return $decoded;
+            }
+        }
+
+        if (in_array($fieldDef->getFieldtype(), ['date', 'datetime'], true) && !is_numeric($value)) {
+            $timestamp = strtotime($value);
+            if (false === $timestamp) {
+                throw new InvalidArgumentException(sprintf('%s: "%s" is not a valid date', $fieldDef->getName(), $value));
+            }
+
+            return $timestamp;
+        }
+
+        if ('checkbox' === $fieldDef->getFieldtype()) {
+            return (bool) filter_var($value, FILTER_VALIDATE_BOOLEAN);
+        }
+
+        return $value;
+    }
+
+    /**
+     * Returns the column names of the rows, in the order of their first appearance.
+     *
+     * @param array<int, array<string, mixed>> $rows The rows
+     *
+     * @return array<int, string> The column names
+     */
+    protected function getColumnNames(array $rows): array
+    {
+        $columns = [];
+        foreach ($rows as $row) {
+            $values = is_array($row['data'] ?? null) ? $row['data'] : $row;
+            foreach (array_keys($values) as $column) {
+                $columns[(string) $column] = true;
+            }
+        }
+
+        return array_keys($columns);
+    }
+
+    /**
+     * Parses CSV content with a header row.
+     *
+     * @param string $content The CSV content
+     *
+     * @throws InvalidArgumentException If the file has no header row
+     *
+     * @return array<int, array<string, string>> The rows, keyed by column name
+     */
+    protected function parseCsv(string $content): array
+    {
+        $handle = fopen('php://temp', 'r+');
+        if (false === $handle) {
+            throw new InvalidArgumentException('The CSV file cannot be read');
+        }
+
+        fwrite($handle, $content);
+        rewind($handle);
+
+        $firstLine = strtok($content, "\r\n") ?: '';
+        $delimiter = substr_count($firstLine, ';') > substr_count($firstLine, ',') ? ';' : ',';
+
+        $header = fgetcsv($handle, null, $delimiter, '"', '');
+        if (!is_array($header) || [null] === $header) {
+            fclose($handle);
+
+            throw new InvalidArgumentException('The CSV file has no header row');
+        }
+
+        $header = array_map(static fn ($column): string => trim((string) $column), $header);
+
+        $rows = [];
+        while (false !== ($cells = fgetcsv($handle, null, $delimiter, '"', ''))) {
+            if ([null] === $cells) {
+                continue;
+            }
+
+            $row = [];
+            foreach ($header as $position => $column) {
+                if ('' !== $column) {
+                    $row[$column] = (string) ($cells[$position] ?? '');
+                }
+            }
+            $rows[] = $row;
+        }
+
+        fclose($handle);
+
+        return $rows;
+    }
+
+    /**
+     * Parses JSON content with a list of items.
+     *
+     * @param string $content The JSON content
+     *
+     * @throws InvalidArgumentException If the content is not a JSON list of objects
+     *
+     * @return array<int, array<string, mixed>> The rows
+     */
+    protected function parseJson(string $content): array
+    {
+        $data = json_decode($content, true);
+
+        if (!is_array($data) || !$this->isList($data)) {
+            throw new InvalidArgumentException('The JSON file must contain a list of items');
+        }
+
+        foreach ($data as $index => $row) {
+            if (!is_array($row) || ([] !== $row && $this->isList($row))) {
+                throw new InvalidArgumentException(sprintf('Item %d of the JSON file is not an object', $index + 1));
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Checks if the array keys are 0, 1, 2, ... like array_is_list() of PHP 8.1.
+     *
+     * @param array<mixed> $data The decoded JSON value
+     */
+    private function isList(array $data): bool
+    {
+        return [] === $data || array_keys($data) === range(0, count($data) - 1);
+    }
+
+    /**
+     * Removes the UTF-8 byte order mark that spreadsheet programs put at the start of CSV files.
+     *
+     * @param string $content The file content
+     *
+     * @return string The content without byte order mark
+     */
+    private function stripByteOrderMark(string $content): string
+    {
+        return str_starts_with($content, "\xEF\xBB\xBF") ? substr($content, 3) : $content;
+    }
+}
@@ -362,6 +362,8 @@ class TableSchemaService
     /**
      * Builds column definitions for the main table.
      *
+     * Columns cover the fields of all block types (see ExtendedBlock::getFieldDefinitions()).
+     *
      * @param ExtendedBlock $fieldDefinition The field definition
      *
      * @throws InvalidArgumentException If any field name is invalid
@@ -376,9 +378,11 @@ class TableSchemaService
             '`fieldname` VARCHAR(70) NOT NULL COMMENT "Field name in the class"',
             '`index` INT(11) UNSIGNED NOT NULL DEFAULT 0 COMMENT "Position in block"',
             '`type` VARCHAR(100) NOT NULL DEFAULT "default" COMMENT "Block type identifier"',
+            '`source_id` INT(11) UNSIGNED NULL DEFAULT NULL COMMENT "Inherited item overridden by this item"',
         ];
 
-        // Add columns for each field in children definitions
+        // Add columns for the union of the children and all block type fields,
+        // since items of every block type are stored in the same table
         foreach ($fieldDefinition->getFieldDefinitions() as $field) {
             if ($field instanceof Localizedfields) {
                 continue;
@@ -452,9 +456,10 @@ class TableSchemaService
             '`language` VARCHAR(10) NOT NULL COMMENT "Language code (e.g., en, de)"',
         ];
 
-        // LocalizedFields are no longer supported in ExtendedBlock.
-        // This table structure is maintained for backward compatibility with
-        // existing installations that may have localized data.
+        // One column (or one column per part for relations) for each localized sub-field
+        foreach ($fieldDefinition->getLocalizedColumnTypes() as $columnName => $columnType) {
+            $columns[] = $this->db->quoteIdentifier($columnName) . ' ' . $columnType;
+        }
 
         // Add indexes
         $columns[] = 'PRIMARY KEY (`id`)';
@@ -482,6 +487,7 @@ class TableSchemaService
             'fieldname' => 'VARCHAR(70) NOT NULL',
             'index' => 'INT(11) UNSIGNED NOT NULL DEFAULT 0',
             'type' => 'VARCHAR(100) NOT NULL DEFAULT "default"',
+            'source_id' => 'INT(11) UNSIGNED NULL DEFAULT NULL',
         ];
 
         foreach ($fieldDefinition->getFieldDefinitions() as $field) {
@@ -534,9 +540,6 @@ class TableSchemaService
             'language' => 'VARCHAR(10) NOT NULL',
         ];
 
-        // Note: LocalizedFields not allowed in ExtendedBlock
-        // This method returns base columns only
-
-        return $columns;
+        return $columns + $fieldDefinition->getLocalizedColumnTypes();
     }
 }
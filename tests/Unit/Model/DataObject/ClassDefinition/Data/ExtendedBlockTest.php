@@ -0,0 +1,1239 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - ExtendedBlock Unit Test.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Tests\Unit\Model\DataObject\ClassDefinition\Data;
+
+use DateTimeImmutable;
+use Doctrine\DBAL\Connection;
+use Exception;
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockContainer;
+use ExtendedBlockBundle\Model\DataObject\Data\ExtendedBlockItem;
+use InvalidArgumentException;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Pimcore;
+use Pimcore\Model\Asset;
+use Pimcore\Model\DataObject\ClassDefinition\Data;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Block;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Checkbox;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Date;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Image;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Input;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Localizedfields;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Numeric;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Table;
+use Pimcore\Model\DataObject\Concrete;
+use Pimcore\Model\Element\ValidationException;
+use Pimcore\Tool;
+use ReflectionMethod;
+use ReflectionProperty;
+use Symfony\Component\DependencyInjection\Container;
+use Symfony\Component\HttpKernel\KernelInterface;
+
+/**
+ * Test cases for the item handling of the ExtendedBlock field definition.
+ *
+ * Tests the definition's ability to:
+ * - Store each item in the columns of its block type
+ * - Render the item-level diff of two versions
+ * - Keep the grid data small and follow the grid preview settings
+ * - Build the SQL condition and order key of the grid column
+ * - Match items against the sub-field condition of the batch edit
+ * - Reject block types and sub-fields the item table cannot store
+ * - Flag new objects, whose empty blocks the editor pre-seeds with minItems items
+ * - Validate the items with the rules of their sub-fields, including the stored items of a partial submission
+ * - Show, hide and clear sub-fields with the visibility rules
+ * - Keep the item presets consistent with the sub-fields
+ * - Page the items of lazy loading fields in the editor, but not in the export
+ * - Exchange the localized sub-field values of the valid languages with the editor
+ *
+ * @covers \ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock
+ */
+class ExtendedBlockTest extends TestCase
+{
+    private ExtendedBlock $definition;
+
+    protected function setUp(): void
+    {
+        $title = new Input();
+        $title->setName('title');
+
+        $this->definition = new ExtendedBlock();
+        $this->definition->setName('items');
+        $this->definition->setChildren([$title]);
+    }
+
+    protected function tearDown(): void
+    {
+        $this->useLanguages([]);
+    }
+
+    /**
+     * Tests that an updated row gets NULL in the columns of the fields of other block types.
+     */
+    public function testSaveBlockItemClearsColumnsOfOtherTypesOnUpdate(): void
+    {
+        $this->usePresetFields();
+
+        [$sql, $values] = $this->saveVideoItem(true);
+
+        $this->assertSame(
+            'UPDATE `object_eb_1_items` SET `o_id` = ?, `fieldname` = ?, `index` = ?, `type` = ?, `source_id` = ?, `url` = ?, '
+            . '`title` = ?, `price` = ?, `featured` = ?, `date` = ? WHERE `id` = ?',
+            $sql,
+        );
+        $this->assertSame([1, 'items', 0, 'video', null, 'https://example.com', null, null, null, null, 7], $values);
+    }
+
+    /**
+     * Tests that an inserted row only gets the columns of the item's block type.
+     */
+    public function testSaveBlockItemInsertsColumnsOfOwnType(): void
+    {
+        $this->usePresetFields();
+
+        [$sql, $values] = $this->saveVideoItem(false);
+
+        $this->assertSame(
+            'INSERT INTO `object_eb_1_items` (`o_id`, `fieldname`, `index`, `type`, `source_id`, `url`) VALUES (?, ?, ?, ?, ?, ?)',
+            $sql,
+        );
+        $this->assertSame([1, 'items', 0, 'video', null, 'https://example.com'], $values);
+    }
+
+    /**
+     * Tests that an inserted item is marked as added without marking the following items as moved.
+     */
+    public function testVersionDiffMarksInsertedItem(): void
+    {
+        $rows = $this->renderVersionDiff(
+            [[1, 'a'], [2, 'b'], [3, 'c']],
+            [[1, 'a'], [null, 'x'], [2, 'b'], [3, 'c']],
+        );
+
+        $this->assertSame([['1', 'a', ''], ['2', 'x', 'added'], ['3', 'b', ''], ['4', 'c', '']], $rows);
+    }
+
+    /**
+     * Tests that a removed item is listed last without a number.
+     */
+    public function testVersionDiffListsRemovedItemLast(): void
+    {
+        $rows = $this->renderVersionDiff(
+            [[1, 'a'], [2, 'b'], [3, 'c']],
+            [[1, 'a'], [3, 'c']],
+        );
+
+        $this->assertSame([['1', 'a', ''], ['2', 'c', ''], ['', 'b', 'removed']], $rows);
+    }
+
+    /**
+     * Tests that only the item that changed its position is marked as moved.
+     */
+    public function testVersionDiffMarksOnlyMovedItems(): void
+    {
+        $rows = $this->renderVersionDiff(
+            [[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']],
+            [[1, 'a'], [3, 'c'], [4, 'd'], [2, 'b']],
+        );
+
+        $this->assertSame([['1', 'a', ''], ['2', 'c', ''], ['3', 'd', ''], ['4', 'b', 'moved']], $rows);
+    }
+
+    /**
+     * Tests that a changed sub-field value is highlighted without marking the item.
+     */
+    public function testVersionDiffHighlightsChangedValues(): void
+    {
+        $old = $this->createContainer([[1, 'a']]);
+        $new = $this->createContainer([[1, 'b']]);
+
+        $html = (string) $this->definition->getDataForVersionPreview($new, null, ['compareWith' => $old]);
+
+        $this->assertSame([['1', 'b', '']], $this->getPreviewRows($html));
+        $this->assertStringContainsString('#fff5b1', $html);
+    }
+
+    /**
+     * Tests that the older version shows its own items, marked from the view of the newer version.
+     */
+    public function testVersionDiffOfOlderVersion(): void
+    {
+        $old = $this->createContainer([[1, 'a'], [2, 'b']]);
+        $new = $this->createContainer([[2, 'b'], [null, 'x']]);
+
+        $html = (string) $this->definition->getDataForVersionPreview($old, null, [
+            'compareWith' => $new,
+            'compareWithNewer' => true,
+        ]);
+
+        $this->assertSame([['1', 'a', 'removed'], ['2', 'b', ''], ['', 'x', 'added']], $this->getPreviewRows($html));
+    }
+
+    /**
+     * Tests that the version comparison takes the diff direction from the objects, not from the call order.
+     */
+    public function testVersionPreviewComparesOlderWithNewerVersion(): void
+    {
+        $old = $this->createContainer([[1, 'a'], [2, 'b']]);
+        $new = $this->createContainer([[1, 'a']]);
+
+        $newHtml = $this->definition->getVersionPreview($new, $this->createObject(200, 3));
+        $oldHtml = $this->definition->getVersionPreview($old, $this->createObject(100, 2));
+
+        $this->assertSame([['1', 'a', '']], $this->getPreviewRows($newHtml));
+        $this->assertSame([['1', 'a', ''], ['2', 'b', 'removed']], $this->getPreviewRows($oldHtml));
+    }
+
+    /**
+     * Tests that the "count" grid preview sends the item count only.
+     */
+    public function testGridDataOfCountModeHasNoItems(): void
+    {
+        $this->definition->setGridPreviewMode(ExtendedBlock::GRID_PREVIEW_MODE_COUNT);
+
+        $data = $this->definition->getDataForGrid($this->createContainer([[1, 'a'], [2, 'b']]));
+
+        $this->assertSame(2, $data['count']);
+        $this->assertSame([], $data['fields']);
+        $this->assertSame([], $data['items']);
+    }
+
+    /**
+     * Tests that the table grid preview sends the items for the cell and its tooltip.
+     */
+    public function testGridDataOfTableModeHasItems(): void
+    {
+        $data = $this->definition->getDataForGrid($this->createContainer([[1, 'a'], [2, 'b']]));
+
+        $this->assertSame(2, $data['count']);
+        $this->assertSame([['title' => 'a'], ['title' => 'b']], $data['items']);
+    }
+
+    /**
+     * Tests that only the configured sub-fields are marked for the grid cell, while the tooltip gets all of them.
+     */
+    public function testGridDataMarksConfiguredPreviewFields(): void
+    {
+        $this->useFilterFields();
+        $this->definition->setGridPreviewFields(['price', 'active']);
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('title', 'Shirt');
+        $item->setFieldValue('price', '9.5');
+        $item->setFieldValue('active', true);
+
+        $container = new ExtendedBlockContainer(null, 'items', $this->definition);
+        $container->addItem($item);
+
+        $data = $this->definition->getDataForGrid($container);
+
+        $this->assertSame(['price', 'active'], array_column(array_filter($data['fields'], static fn (array $field): bool => $field['preview']), 'key'));
+        $this->assertSame(['title', 'price', 'active', 'date'], array_column($data['fields'], 'key'));
+        $this->assertSame([['title' => 'Shirt', 'price' => '9.5', 'active' => 'Yes', 'date' => '']], $data['items']);
+    }
+
+    /**
+     * Tests that the grid data sends the configured number of cell rows and the items of the tooltip only.
+     */
+    public function testGridDataLimitsItems(): void
+    {
+        $this->definition->setGridPreviewRows(3);
+
+        $data = $this->definition->getDataForGrid($this->createContainer(array_map(
+            static fn (int $id): array => [$id, 'Item ' . $id],
+            range(1, 25),
+        )));
+
+        $this->assertSame(25, $data['count']);
+        $this->assertSame(3, $data['rows']);
+        $this->assertCount(20, $data['items']);
+        $this->assertSame(['title' => 'Item 20'], $data['items'][19]);
+    }
+
+    /**
+     * Tests that image values are sent with the asset id for the thumbnail.
+     */
+    public function testGridDataSendsImagesWithAssetId(): void
+    {
+        $image = new Image();
+        $image->setName('image');
+        $this->definition->setChildren([$image]);
+
+        $asset = $this->createMock(Asset\Image::class);
+        $asset->method('getId')->willReturn(5);
+        $asset->method('getRealFullPath')->willReturn('/products/shirt.jpg');
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('image', $asset);
+
+        $container = new ExtendedBlockContainer(null, 'items', $this->definition);
+        $container->addItem($item);
+
+        $data = $this->definition->getDataForGrid($container);
+
+        $this->assertSame([['image' => ['id' => 5, 'path' => '/products/shirt.jpg']]], $data['items']);
+    }
+
+    /**
+     * Tests that the number of grid preview rows is kept between 1 and 20.
+     */
+    public function testGridPreviewRowsAreLimited(): void
+    {
+        $this->assertSame(20, $this->definition->setGridPreviewRows(1000)->getGridPreviewRows());
+        $this->assertSame(1, $this->definition->setGridPreviewRows(0)->getGridPreviewRows());
+        $this->assertSame(5, $this->definition->setGridPreviewRows(null)->getGridPreviewRows());
+    }
+
+    /**
+     * @return array<string, array{0: string, 1: string, 2: string}>
+     */
+    public static function itemFilterConditionProvider(): array
+    {
+        return [
+            'equals' => ['=', "O'Brien", "eb.`title` = 'O\\'Brien'"],
+            'less than' => ['<', '10', "eb.`title` < '10'"],
+            'like escapes wildcards' => ['like', '10%_off', "eb.`title` LIKE '%10\\\\%\\\\_off%'"],
+            'empty ignores the value' => ['empty', 'x', "COALESCE(eb.`title`, '') = ''"],
+            'notempty ignores the value' => ['notempty', 'x', "COALESCE(eb.`title`, '') <> ''"],
+        ];
+    }
+
+    /**
+     * Tests that the grid filter matches objects with an item whose quoted sub-field compares to the quoted value.
+     *
+     * @dataProvider itemFilterConditionProvider
+     */
+    public function testItemFilterCondition(string $operator, string $value, string $comparison): void
+    {
+        $this->useDatabaseConnection();
+
+        $this->assertSame(
+            "oo_id IN (SELECT eb.o_id FROM `object_eb_1_items` eb WHERE eb.fieldname = 'items' AND " . $comparison . ')',
+            $this->definition->getItemFilterCondition('1', ['field' => 'title', 'operator' => $operator, 'value' => $value]),
+        );
+    }
+
+    /**
+     * @return array<string, array{0: string, 1: array<string, mixed>}>
+     */
+    public static function invalidItemFilterProvider(): array
+    {
+        return [
+            'unknown sub-field' => ['1', ['field' => 'missing', 'operator' => '=', 'value' => 'a']],
+            'sub-field name with SQL' => ['1', ['field' => 'title` = 1 OR `title', 'operator' => '=', 'value' => 'a']],
+            'unknown operator' => ['1', ['field' => 'title', 'operator' => '= 1 OR 1 =', 'value' => 'a']],
+            'class id with SQL' => ['1_items` UNION SELECT 1 --', ['field' => 'title', 'operator' => '=', 'value' => 'a']],
+        ];
+    }
+
+    /**
+     * Tests that filters which cannot be turned into a safe condition are rejected.
+     *
+     * @dataProvider invalidItemFilterProvider
+     *
+     * @param array<string, mixed> $filter
+     */
+    public function testItemFilterConditionRejectsInvalidFilter(string $classId, array $filter): void
+    {
+        $this->useDatabaseConnection();
+
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->definition->getItemFilterCondition($classId, $filter);
+    }
+
+    /**
+     * Tests that the order key of the grid column is a subquery for the item count.
+     */
+    public function testItemCountSql(): void
+    {
+        $this->useDatabaseConnection();
+
+        $this->assertSame(
+            "(SELECT COUNT(*) FROM `object_eb_1_items` eb WHERE eb.o_id = oo_id AND eb.fieldname = 'items')",
+            $this->definition->getItemCountSql('1'),
+        );
+    }
+
+    /**
+     * @return array<string, array{0: string, 1: mixed, 2: string, 3: string, 4: bool}>
+     */
+    public static function itemFilterProvider(): array
+    {
+        $date = new DateTimeImmutable('@1700000000');
+
+        return [
+            'numbers compare as numbers' => ['price', 10, '>', '9', true],
+            'equal numbers in another notation' => ['price', 10.0, '=', '10', true],
+            'strings compare as strings' => ['title', 'b', '>', 'a', true],
+            'number and string compare as strings' => ['title', '10', '<', 'abc', true],
+            'unequal strings' => ['title', 'a', '!=', 'b', true],
+            'like ignores the case' => ['title', 'Steel', 'like', 'tee', true],
+            'like without match' => ['title', 'Steel', 'like', 'iron', false],
+            'null is empty' => ['title', null, 'empty', '', true],
+            'empty string is not notempty' => ['title', '', 'notempty', '', false],
+            'zero is not empty' => ['price', 0, 'empty', '', false],
+            'true compares as 1' => ['active', true, '=', '1', true],
+            'false compares as 0' => ['active', false, '=', '0', true],
+            'false is not empty' => ['active', false, 'notempty', '', true],
+            'date compares as timestamp' => ['date', $date, '=', '1700000000', true],
+            'earlier date' => ['date', $date, '<', '1800000000', true],
+        ];
+    }
+
+    /**
+     * Tests that items are matched like the SQL condition of the grid filter matches the stored values.
+     *
+     * @dataProvider itemFilterProvider
+     */
+    public function testMatchesItemFilter(string $field, mixed $itemValue, string $operator, string $value, bool $expected): void
+    {
+        $this->useFilterFields();
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue($field, $itemValue);
+
+        $this->assertSame(
+            $expected,
+            $this->definition->matchesItemFilter($item, ['field' => $field, 'operator' => $operator, 'value' => $value]),
+        );
+    }
+
+    /**
+     * Tests that a condition on an unknown sub-field is rejected.
+     */
+    public function testMatchesItemFilterRejectsUnknownField(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->definition->matchesItemFilter(new ExtendedBlockItem(), ['field' => 'missing', 'operator' => '=', 'value' => 'a']);
+    }
+
+    /**
+     * Tests that a condition with an unknown operator is rejected.
+     */
+    public function testMatchesItemFilterRejectsUnknownOperator(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->definition->matchesItemFilter(new ExtendedBlockItem(), ['field' => 'title', 'operator' => 'OR 1=1', 'value' => 'a']);
+    }
+
+    /**
+     * Tests that a failing sub-field is reported with the item number and the field name.
+     */
+    public function testItemValidationErrorsNameItemAndField(): void
+    {
+        $this->useValidatedFields();
+
+        $errors = $this->definition->getItemValidationErrors($this->createValidationContainer([
+            ['title' => 'a', 'price' => 1],
+            ['title' => '', 'price' => 1],
+            ['title' => 'c', 'price' => -1],
+        ]));
+
+        $this->assertCount(2, $errors);
+        $this->assertStringStartsWith('item 2: field title: ', $errors[0]);
+        $this->assertStringStartsWith('item 3: field price: ', $errors[1]);
+    }
+
+    /**
+     * Tests that an empty mandatory sub-field passes when the mandatory check is omitted.
+     */
+    public function testItemValidationErrorsOmitMandatoryCheck(): void
+    {
+        $this->useValidatedFields();
+
+        $container = $this->createValidationContainer([['title' => '', 'price' => 1]]);
+
+        $this->assertSame([], $this->definition->getItemValidationErrors($container, true));
+    }
+
+    /**
+     * Tests that inherited items are not validated, but count for the item numbers.
+     */
+    public function testItemValidationErrorsSkipInheritedItems(): void
+    {
+        $this->useValidatedFields();
+
+        $container = $this->createValidationContainer([['title' => '', 'price' => 1], ['title' => '', 'price' => 1]]);
+        $container->getItems()[0]->setInherited(true);
+
+        $errors = $this->definition->getItemValidationErrors($container);
+
+        $this->assertCount(1, $errors);
+        $this->assertStringStartsWith('item 2: field title: ', $errors[0]);
+    }
+
+    /**
+     * Tests that the stored items a partial submission keeps count towards minItems.
+     */
+    public function testCheckValidityCountsStoredTailOfPartialContainer(): void
+    {
+        $definition = $this->createPartialValidationDefinition([['title' => 'b', 'price' => 1]]);
+        $definition->setMinItems(2);
+
+        $definition->checkValidity($this->createPartialContainer($definition));
+
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * Tests that the stored items a partial submission keeps are validated, as the editor has not loaded them.
+     */
+    public function testCheckValidityValidatesStoredTailOfPartialContainer(): void
+    {
+        $definition = $this->createPartialValidationDefinition([['title' => 'b', 'price' => -1]]);
+
+        $this->expectException(ValidationException::class);
+        $this->expectExceptionMessage('item 2: field price: ');
+
+        $definition->checkValidity($this->createPartialContainer($definition));
+    }
+
+    /**
+     * Tests that incomplete visibility rules are dropped and the others completed.
+     */
+    public function testSetVisibilityRulesNormalizesRules(): void
+    {
+        $this->definition->setVisibilityRules([
+            ['field' => 'video', 'dependsOn' => 'media', 'value' => 1],
+            ['field' => 'video'],
+            ['dependsOn' => 'media'],
+            'video',
+            ['field' => 'caption', 'dependsOn' => 'media', 'condition' => 'notempty', 'clearHidden' => '1'],
+        ]);
+
+        $this->assertSame([
+            ['field' => 'video', 'dependsOn' => 'media', 'condition' => 'equals', 'value' => '1', 'clearHidden' => false],
+            ['field' => 'caption', 'dependsOn' => 'media', 'condition' => 'notempty', 'value' => '', 'clearHidden' => true],
+        ], $this->definition->getVisibilityRules());
+    }
+
+    /**
+     * @return array<string, array{0: string, 1: string, 2: mixed, 3: bool}>
+     */
+    public static function visibilityRuleProvider(): array
+    {
+        return [
+            'equal value' => ['equals', 'video', 'video', true],
+            'other value' => ['equals', 'video', 'image', false],
+            'no value' => ['equals', 'video', null, false],
+            'number as text' => ['equals', '2', 2, true],
+            'checked checkbox' => ['equals', '1', true, true],
+            'unchecked checkbox' => ['equals', '0', false, true],
+            'one of the selected options' => ['equals', 'video', ['image', 'video'], true],
+            'none of the selected options' => ['equals', 'video', ['image'], false],
+            'not empty text' => ['notempty', '', 'x', true],
+            'empty text' => ['notempty', '', '', false],
+            'null' => ['notempty', '', null, false],
+            'zero' => ['notempty', '', '0', false],
+            'unchecked checkbox is empty' => ['notempty', '', false, false],
+            'list with a value' => ['notempty', '', ['', 'a'], true],
+            'empty list' => ['notempty', '', [], false],
+        ];
+    }
+
+    /**
+     * Tests that a sub-field is visible when the sub-field it depends on matches the rule.
+     *
+     * @dataProvider visibilityRuleProvider
+     */
+    public function testIsFieldVisible(string $condition, string $value, mixed $dependsOnValue, bool $expected): void
+    {
+        $this->definition->setVisibilityRules([
+            ['field' => 'video', 'dependsOn' => 'media', 'condition' => $condition, 'value' => $value],
+        ]);
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('media', $dependsOnValue);
+
+        $this->assertSame($expected, $this->definition->isFieldVisible($item, 'video'));
+        $this->assertTrue($this->definition->isFieldVisible($item, 'media'));
+    }
+
+    /**
+     * Tests that a sub-field with several rules is only visible when all of them match.
+     */
+    public function testIsFieldVisibleRequiresAllRules(): void
+    {
+        $this->definition->setVisibilityRules([
+            ['field' => 'video', 'dependsOn' => 'media', 'value' => 'video'],
+            ['field' => 'video', 'dependsOn' => 'featured', 'value' => '1'],
+        ]);
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('media', 'video');
+        $item->setFieldValue('featured', false);
+
+        $this->assertFalse($this->definition->isFieldVisible($item, 'video'));
+
+        $item->setFieldValue('featured', true);
+
+        $this->assertTrue($this->definition->isFieldVisible($item, 'video'));
+    }
+
+    /**
+     * Tests that only hidden sub-fields with clearHidden are emptied, judged by the values before clearing.
+     */
+    public function testClearHiddenFieldValues(): void
+    {
+        $this->useVisibilityFields();
+        $this->definition->setVisibilityRules([
+            ['field' => 'video', 'dependsOn' => 'media', 'value' => 'video', 'clearHidden' => true],
+            ['field' => 'caption', 'dependsOn' => 'media', 'value' => 'video'],
+            ['field' => 'featured', 'dependsOn' => 'video', 'condition' => 'notempty', 'clearHidden' => true],
+        ]);
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('media', 'image');
+        $item->setFieldValue('video', 'https://example.com/video');
+        $item->setFieldValue('caption', 'Caption');
+        $item->setFieldValue('featured', true);
+
+        $this->definition->clearHiddenFieldValues($item);
+
+        $this->assertNull($item->getFieldValue('video'));
+        $this->assertSame('Caption', $item->getFieldValue('caption'));
+        $this->assertTrue($item->getFieldValue('featured'));
+    }
+
+    /**
+     * Tests that only objects not saved since their creation are flagged as new for the editor.
+     */
+    public function testEnrichLayoutDefinitionFlagsNewObjects(): void
+    {
+        $this->assertTrue($this->definition->enrichLayoutDefinition($this->createObject(100, 1))->newObject);
+        $this->assertFalse($this->definition->enrichLayoutDefinition($this->createObject(200, 2))->newObject);
+        $this->assertFalse($this->definition->enrichLayoutDefinition(null)->newObject);
+        $this->assertContains('newObject', $this->definition->getBlockedVarsForExport());
+    }
+
+    /**
+     * Tests that block types with valid names and consistent sub-fields pass the class validation.
+     */
+    public function testValidateAcceptsBlockDefinitions(): void
+    {
+        $this->usePresetFields();
+
+        $this->definition->validate();
+
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * Tests that a block type name that cannot be stored in the type column is rejected.
+     */
+    public function testValidateRejectsInvalidBlockTypeName(): void
+    {
+        $this->definition->setBlockDefinitions(['video clip' => ['name' => 'Video', 'fields' => []]]);
+
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid block type name "video clip"');
+
+        $this->definition->validate();
+    }
+
+    /**
+     * Tests that a sub-field name used with different field types in several block types is rejected.
+     */
+    public function testValidateRejectsFieldWithDifferentTypes(): void
+    {
+        $title = new Numeric();
+        $title->setName('title');
+
+        $this->definition->setBlockDefinitions(['video' => ['name' => 'Video', 'fields' => [$title]]]);
+
+        $this->expectException(Exception::class);
+        $this->expectExceptionMessage('ExtendedBlock field "title" is defined with different field types ("input" and "numeric")');
+
+        $this->definition->validate();
+    }
+
+    /**
+     * @return array<string, array{0: Data, 1: string}>
+     */
+    public static function forbiddenSubFieldProvider(): array
+    {
+        return [
+            'extended block' => [new ExtendedBlock(), 'ExtendedBlock cannot contain another ExtendedBlock.'],
+            'block' => [new Block(), 'ExtendedBlock cannot contain a Block.'],
+            'table' => [new Table(), 'ExtendedBlock cannot contain Table.'],
+            'localized fields, not allowed' => [new Localizedfields(), 'ExtendedBlock cannot contain LocalizedFields'],
+        ];
+    }
+
+    /**
+     * Tests that sub-field types the item table cannot store are rejected, in the children and in block types.
+     *
+     * @dataProvider forbiddenSubFieldProvider
+     */
+    public function testValidateRejectsForbiddenSubField(Data $field, string $message): void
+    {
+        $field->setName('nested');
+        $this->definition->setBlockDefinitions(['video' => ['name' => 'Video', 'fields' => [$field]]]);
+
+        $this->expectException(Exception::class);
+        $this->expectExceptionMessage($message);
+
+        $this->definition->validate();
+    }
+
+    /**
+     * Tests that valid visibility rules pass the class validation.
+     */
+    public function testValidateAcceptsVisibilityRules(): void
+    {
+        $this->useVisibilityFields();
+        $this->definition->setVisibilityRules([
+            ['field' => 'video', 'dependsOn' => 'media', 'value' => 'video'],
+            ['field' => 'caption', 'dependsOn' => 'media', 'condition' => 'notempty'],
+        ]);
+
+        $this->definition->validate();
+
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * @return array<string, array{0: array<string, mixed>}>
+     */
+    public static function invalidVisibilityRuleProvider(): array
+    {
+        return [
+            'unknown sub-field' => [['field' => 'missing', 'dependsOn' => 'media', 'value' => 'video']],
+            'unknown sub-field it depends on' => [['field' => 'video', 'dependsOn' => 'missing', 'value' => 'video']],
+            'sub-field depends on itself' => [['field' => 'video', 'dependsOn' => 'video', 'value' => 'video']],
+            'unknown condition' => [['field' => 'video', 'dependsOn' => 'media', 'condition' => 'contains', 'value' => 'video']],
+        ];
+    }
+
+    /**
+     * Tests that the class validation rejects rules that do not match the sub-fields.
+     *
+     * @dataProvider invalidVisibilityRuleProvider
+     *
+     * @param array<string, mixed> $rule
+     */
+    public function testValidateRejectsInvalidVisibilityRule(array $rule): void
+    {
+        $this->useVisibilityFields();
+        $this->definition->setVisibilityRules([$rule]);
+
+        $this->expectException(Exception::class);
+
+        $this->definition->validate();
+    }
+
+    /**
+     * Tests that presets without name are dropped, names trimmed and empty values removed.
+     */
+    public function testSetItemPresetsNormalizesPresets(): void
+    {
+        $this->definition->setItemPresets([
+            ['name' => ' Video ', 'type' => 'video', 'data' => ['url' => 'https://example.com', 'title' => '', 'note' => null]],
+            ['name' => 'Empty', 'data' => ['price' => 0, 'featured' => false]],
+            ['name' => '  ', 'data' => ['title' => 'a']],
+            ['data' => ['title' => 'a']],
+            ['name' => 'No data', 'type' => '', 'data' => 'title'],
+        ]);
+
+        $this->assertSame([
+            ['name' => 'Video', 'type' => 'video', 'data' => ['url' => 'https://example.com']],
+            ['name' => 'Empty', 'type' => 'default', 'data' => ['price' => 0, 'featured' => false]],
+            ['name' => 'No data', 'type' => 'default', 'data' => []],
+        ], $this->definition->getItemPresets());
+    }
+
+    /**
+     * Tests that presets with values for prefillable sub-fields of their block type pass the class validation.
+     */
+    public function testValidateAcceptsItemPresets(): void
+    {
+        $this->usePresetFields();
+        $this->definition->setItemPresets([
+            ['name' => 'Sale', 'data' => ['title' => 'Sale', 'price' => '5', 'featured' => true]],
+            ['name' => 'Video', 'type' => 'video', 'data' => ['url' => 'https://example.com']],
+        ]);
+
+        $this->definition->validate();
+
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * @return array<string, array{0: array<int, array<string, mixed>>}>
+     */
+    public static function invalidItemPresetProvider(): array
+    {
+        return [
+            'duplicate name' => [[['name' => 'Sale', 'data' => []], ['name' => 'Sale', 'data' => []]]],
+            'unknown block type' => [[['name' => 'Sale', 'type' => 'missing', 'data' => []]]],
+            'unknown sub-field' => [[['name' => 'Sale', 'data' => ['missing' => 'a']]]],
+            'sub-field of another block type' => [[['name' => 'Video', 'type' => 'video', 'data' => ['title' => 'a']]]],
+            'sub-field type presets cannot prefill' => [[['name' => 'Sale', 'data' => ['date' => '2026-01-01']]]],
+            'value the sub-field rejects' => [[['name' => 'Sale', 'data' => ['price' => '-1']]]],
+        ];
+    }
+
+    /**
+     * Tests that the class validation rejects presets that do not match the sub-fields.
+     *
+     * @dataProvider invalidItemPresetProvider
+     *
+     * @param array<int, array<string, mixed>> $presets
+     */
+    public function testValidateRejectsInvalidItemPresets(array $presets): void
+    {
+        $this->usePresetFields();
+        $this->definition->setItemPresets($presets);
+
+        $this->expectException(Exception::class);
+
+        $this->definition->validate();
+    }
+
+    /**
+     * Tests that the export of a lazy loading field with more items than one editor page keeps all items.
+     */
+    public function testVarExportKeepsItemsBeyondFirstPage(): void
+    {
+        $count = ExtendedBlock::EDITMODE_PAGE_SIZE + 10;
+        $definition = $this->createPagingDefinition(['loadBlockData', 'countStoredItems', 'loadBlockPage']);
+        $definition->method('loadBlockData')->willReturn($this->createPagingContainer(range(1, $count)));
+        $definition->method('countStoredItems')->willReturn($count);
+        $definition->expects($this->never())->method('loadBlockPage');
+
+        $object = $this->createObject(0, 0);
+        $exported = $definition->getVarExporterData(new ExtendedBlockContainer($object, 'items', $definition, true), $object);
+
+        $this->assertIsArray($exported);
+        $this->assertSame(range(0, $count - 1), array_keys($exported));
+
+        $imported = $definition->setVarExporterData($exported, $object);
+
+        $this->assertCount($count, $imported->getItems());
+        $this->assertSame('Item ' . $count, $imported->getItems()[$count - 1]->getFieldValue('title'));
+    }
+
+    /**
+     * Tests that the first editor page of a merge mode field has the inherited items, without those
+     * the own items override.
+     */
+    public function testEditmodePagingMergesInheritedItems(): void
+    {
+        $ownItems = $this->createPagingContainer(range(1, ExtendedBlock::EDITMODE_PAGE_SIZE))->getItems();
+        $ownItems[0]->setSourceId(100);
+
+        $inheritedItems = $this->createPagingContainer([100, 101, 102])->getItems();
+        foreach ($inheritedItems as $item) {
+            $item->setInherited(true);
+        }
+
+        $definition = $this->createPagingDefinition(['countStoredItems', 'loadBlockPage', 'getInheritedItems', 'getStoredSourceIds']);
+        $definition->setInheritanceMode(ExtendedBlock::INHERITANCE_MODE_MERGE);
+        $definition->method('countStoredItems')->willReturn(ExtendedBlock::EDITMODE_PAGE_SIZE + 10);
+        $definition->method('loadBlockPage')->with($this->anything(), 0, ExtendedBlock::EDITMODE_PAGE_SIZE)
+            ->willReturn((new ExtendedBlockContainer())->setItems($ownItems));
+        $definition->method('getInheritedItems')->willReturn($inheritedItems);
+        // Item 102 is overridden by an own item of a later page
+        $definition->method('getStoredSourceIds')->willReturn([100, 102]);
+
+        $object = $this->createObject(0, 0);
+        $data = $definition->getDataForEditmode(new ExtendedBlockContainer($object, 'items', $definition, true), $object);
+
+        $this->assertIsArray($data);
+        $this->assertTrue($data['paged']);
+        $this->assertSame(ExtendedBlock::EDITMODE_PAGE_SIZE + 10, $data['total']);
+        $this->assertCount(ExtendedBlock::EDITMODE_PAGE_SIZE + 1, $data['items']);
+        $this->assertSame(1, $data['items'][0]['id']);
+        $this->assertSame(100, $data['items'][0]['sourceId']);
+        $this->assertSame([101], array_column(array_filter($data['items'], static fn (array $item): bool => !empty($item['inherited'])), 'id'));
+    }
+
+    /**
+     * Tests that a lazy loading field with no more items than one page is sent unpaged.
+     */
+    public function testEditmodeDataOfFewItemsIsNotPaged(): void
+    {
+        $definition = $this->createPagingDefinition(['loadBlockData', 'countStoredItems']);
+        $definition->method('loadBlockData')->willReturn($this->createPagingContainer([1, 2]));
+        $definition->method('countStoredItems')->willReturn(2);
+
+        $object = $this->createObject(0, 0);
+        $data = $definition->getDataForEditmode(new ExtendedBlockContainer($object, 'items', $definition, true), $object);
+
+        $this->assertIsArray($data);
+        $this->assertArrayNotHasKey('paged', $data);
+        $this->assertSame([1, 2], array_column($data, 'id'));
+    }
+
+    /**
+     * Tests that the submitted localized values are kept for the valid languages only.
+     */
+    public function testEditmodeSubmissionKeepsLocalizedValuesOfValidLanguages(): void
+    {
+        $this->useLocalizedFields();
+
+        $container = $this->definition->getDataFromEditmode([[
+            'type' => 'default',
+            'data' => ['title' => 'Shirt'],
+            'localizedData' => [
+                'en' => ['name' => 'Shirt', 'unknown' => 'a'],
+                'de' => ['name' => 'Hemd'],
+                'fr' => ['name' => 'Chemise'],
+            ],
+        ]]);
+
+        $item = $container->getItems()[0];
+        $this->assertSame('Shirt', $item->getFieldValue('title'));
+        $this->assertSame(['en' => ['name' => 'Shirt'], 'de' => ['name' => 'Hemd']], $item->getLocalizedData());
+        $this->assertSame('Hemd', $item->getLocalizedValue('de', 'name'));
+    }
+
+    /**
+     * Tests that the editor gets the localized values of every valid language, empty ones included.
+     */
+    public function testEditmodeDataHasLocalizedValuesPerLanguage(): void
+    {
+        $this->useLocalizedFields();
+
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('title', 'Shirt');
+        $item->setLocalizedData(['en' => ['name' => 'Shirt']]);
+
+        $container = new ExtendedBlockContainer(null, 'items', $this->definition);
+        $container->addItem($item);
+
+        $data = $this->definition->getDataForEditmode($container);
+
+        $this->assertIsArray($data);
+        $this->assertSame(['title' => 'Shirt'], $data[0]['data']);
+        $this->assertSame(['en' => ['name' => 'Shirt'], 'de' => ['name' => null]], $data[0]['localizedData']);
+    }
+
+    /**
+     * Tests that localized values are neither sent nor taken over when localized sub-fields are not allowed.
+     */
+    public function testLocalizedValuesAreIgnoredWithoutLocalizedFields(): void
+    {
+        $this->useLocalizedFields();
+        $this->definition->setAllowLocalizedFields(false);
+
+        $container = $this->definition->getDataFromEditmode([['data' => ['title' => 'Shirt'], 'localizedData' => ['en' => ['name' => 'Shirt']]]]);
+        $data = $this->definition->getDataForEditmode($container);
+
+        $this->assertSame([], $container->getItems()[0]->getLocalizedData());
+        $this->assertIsArray($data);
+        $this->assertSame([], $data[0]['localizedData']);
+    }
+
+    /**
+     * Saves an item of the "video" block type and returns the statement and its values.
+     *
+     * @param bool $exists Whether the item's row is already stored
+     *
+     * @return array{0: string, 1: array<int, mixed>}
+     */
+    private function saveVideoItem(bool $exists): array
+    {
+        $statement = [];
+
+        $connection = $this->createMock(Connection::class);
+        $connection->method('quoteIdentifier')->willReturnCallback(
+            static fn (string $identifier): string => '`' . $identifier . '`'
+        );
+        $connection->method('lastInsertId')->willReturn('7');
+        $connection->expects($this->once())->method('executeStatement')->willReturnCallback(
+            static function (string $sql, array $values) use (&$statement): int {
+                $statement = [$sql, $values];
+
+                return 1;
+            }
+        );
+
+        $item = new ExtendedBlockItem('video');
+        $item->setId(7);
+        $item->setFieldValue('url', 'https://example.com');
+
+        (new ReflectionMethod(ExtendedBlock::class, 'saveBlockItem'))
+            ->invoke($this->definition, $item, $this->createObject(0, 0), 0, $connection, 'object_eb_1_items', $exists);
+
+        return $statement;
+    }
+
+    /**
+     * Renders the newer version as a diff against the older one.
+     *
+     * @param array<int, array{0: ?int, 1: string}> $oldItems Ids and titles of the older version
+     * @param array<int, array{0: ?int, 1: string}> $newItems Ids and titles of the newer version
+     *
+     * @return array<int, array<int, string>> Number, title and status of each row
+     */
+    private function renderVersionDiff(array $oldItems, array $newItems): array
+    {
+        $html = $this->definition->getDataForVersionPreview(
+            $this->createContainer($newItems),
+            null,
+            ['compareWith' => $this->createContainer($oldItems)],
+        );
+
+        return $this->getPreviewRows((string) $html);
+    }
+
+    /**
+     * @param array<int, array{0: ?int, 1: string}> $items Ids and titles of the items
+     */
+    private function createContainer(array $items): ExtendedBlockContainer
+    {
+        $container = new ExtendedBlockContainer(null, 'items', $this->definition);
+
+        foreach ($items as [$id, $title]) {
+            $item = new ExtendedBlockItem();
+            $item->setId($id);
+            $item->setFieldValue('title', $title);
+            $container->addItem($item);
+        }
+
+        return $container;
+    }
+
+    /**
+     * Sets sub-fields of the column types used by the filters.
+     */
+    private function useFilterFields(): void
+    {
+        $fields = [];
+        foreach (['title' => Input::class, 'price' => Numeric::class, 'active' => Checkbox::class, 'date' => Date::class] as $name => $class) {
+            $field = new $class();
+            $field->setName($name);
+            $fields[] = $field;
+        }
+
+        $this->definition->setChildren($fields);
+    }
+
+    /**
+     * Sets a mandatory input sub-field and a numeric sub-field that must not be negative.
+     */
+    private function useValidatedFields(): void
+    {
+        $title = new Input();
+        $title->setName('title');
+        $title->setMandatory(true);
+
+        $price = new Numeric();
+        $price->setName('price');
+        $price->setMinValue(0);
+
+        $this->definition->setChildren([$title, $price]);
+    }
+
+    /**
+     * Sets the sub-fields used by the visibility rules.
+     */
+    private function useVisibilityFields(): void
+    {
+        $fields = [];
+        foreach (['media' => Input::class, 'video' => Input::class, 'caption' => Input::class, 'featured' => Checkbox::class] as $name => $class) {
+            $field = new $class();
+            $field->setName($name);
+            $fields[] = $field;
+        }
+
+        $this->definition->setChildren($fields);
+    }
+
+    /**
+     * Sets sub-fields of several types and a "video" block type with a sub-field of its own.
+     */
+    private function usePresetFields(): void
+    {
+        $title = new Input();
+        $title->setName('title');
+
+        $price = new Numeric();
+        $price->setName('price');
+        $price->setMinValue(0);
+
+        $featured = new Checkbox();
+        $featured->setName('featured');
+
+        $date = new Date();
+        $date->setName('date');
+
+        $url = new Input();
+        $url->setName('url');
+
+        $this->definition->setChildren([$title, $price, $featured, $date]);
+        $this->definition->setBlockDefinitions(['video' => ['name' => 'Video', 'fields' => [$url]]]);
+    }
+
+    /**
+     * Returns a definition whose database access is replaced by the given methods.
+     *
+     * @param array<int, string> $methods The methods to mock
+     *
+     * @return ExtendedBlock&MockObject
+     */
+    private function createPagingDefinition(array $methods): ExtendedBlock
+    {
+        $title = new Input();
+        $title->setName('title');
+
+        $definition = $this->getMockBuilder(ExtendedBlock::class)->onlyMethods($methods)->getMock();
+        $definition->setName('items');
+        $definition->setChildren([$title]);
+
+        return $definition;
+    }
+
+    /**
+     * @param array<int, int> $ids The item ids, each item is titled "Item <id>"
+     */
+    private function createPagingContainer(array $ids): ExtendedBlockContainer
+    {
+        return $this->createContainer(array_map(static fn (int $id): array => [$id, 'Item ' . $id], $ids));
+    }
+
+    /**
+     * Sets an input sub-field and a localized "name" sub-field, with English and German as valid languages.
+     */
+    private function useLocalizedFields(): void
+    {
+        $title = new Input();
+        $title->setName('title');
+
+        $name = new Input();
+        $name->setName('name');
+
+        $localizedFields = new Localizedfields();
+        $localizedFields->setName('localizedfields');
+        $localizedFields->setChildren([$name]);
+
+        $this->definition->setChildren([$title, $localizedFields]);
+        $this->definition->setAllowLocalizedFields(true);
+        $this->useLanguages(['en', 'de']);
+    }
+
+    /**
+     * Sets the valid languages that Tool::getValidLanguages() returns instead of reading the system settings.
+     *
+     * @param array<int, string> $languages The language codes
+     */
+    private function useLanguages(array $languages): void
+    {
+        (new ReflectionProperty(Tool::class, 'validLanguages'))->setValue(null, $languages);
+    }
+
+    /**
+     * Returns a definition with the validated sub-fields, whose stored items from position 1 on are the given ones.
+     *
+     * @param array<int, array<string, mixed>> $tailValues The sub-field values of the stored items
+     *
+     * @return ExtendedBlock&MockObject
+     */
+    private function createPartialValidationDefinition(array $tailValues): ExtendedBlock
+    {
+        $this->useValidatedFields();
+
+        $definition = $this->createPagingDefinition(['loadBlockPage']);
+        $definition->setChildren($this->definition->getChildren());
+        $definition->expects($this->once())->method('loadBlockPage')->with($this->anything(), 1, null)
+            ->willReturn($this->createValidationContainer($tailValues));
+
+        return $definition;
+    }
+
+    /**
+     * Returns a submission of a paged editor with one loaded item, which keeps the stored items from position 1 on.
+     */
+    private function createPartialContainer(ExtendedBlock $definition): ExtendedBlockContainer
+    {
+        $item = new ExtendedBlockItem();
+        $item->setFieldValue('title', 'a');
+        $item->setFieldValue('price', 1);
+
+        return (new ExtendedBlockContainer($this->createObject(0, 2), 'items', $definition))
+            ->addItem($item)
+            ->setTailOffset(1);
+    }
+
+    /**
+     * @param array<int, array<string, mixed>> $values The sub-field values of the items
+     */
+    private function createValidationContainer(array $values): ExtendedBlockContainer
+    {
+        $container = new ExtendedBlockContainer(null, 'items', $this->definition);
+
+        foreach ($values as $itemValues) {
+            $item = new ExtendedBlockItem();
+            foreach ($itemValues as $fieldName => $value) {
+                $item->setFieldValue($fieldName, $value);
+            }
+            $container->addItem($item);
+        }
+
+        return $container;
+    }
+
+    /**
+     * Provides a database connection that quotes like MySQL, for the methods building SQL.
+     */
+    private function useDatabaseConnection(): void
+    {
+        $connection = $this->createMock(Connection::class);
+        $connection->method('quote')->willReturnCallback(
+            static fn (string $value): string => "'" . addslashes($value) . "'"
+        );
+        $connection->method('quoteIdentifier')->willReturnCallback(
+            static fn (string $identifier): string => '`' . str_replace('`', '``', $identifier) . '`'
+        );
+
+        $container = new Container();
+        $container->set('doctrine.dbal.default_connection', $connection);
+
+        $kernel = $this->createMock(KernelInterface::class);
+        $kernel->method('getContainer')->willReturn($container);
+
+        Pimcore::setKernel($kernel);
+    }
+
+    private function createObject(int $modificationDate, int $versionCount): Concrete
+    {
+        $object = $this->createMock(Concrete::class);
+        $object->method('getId')->willReturn(1);
+        $object->method('getModificationDate')->willReturn($modificationDate);
+        $object->method('getVersionCount')->willReturn($versionCount);
+
+        return $object;
+    }
+
+    /**
+     * Extracts number, title and status of the item rows of a version preview table.
+     *
+     * @return array<int, array<int, string>>
+     */
+    private function getPreviewRows(string $html): array
+    {
+        preg_match_all(
+            '#<tr style="[^"]*"><td style="[^"]*">(\d*)</td><td style="[^"]*">([^<]*)</td>(?:<td style="[^"]*">([a-z]*)</td>)?</tr>#',
+            $html,
+            $matches,
+            PREG_SET_ORDER,
+        );
+
+        return array_map(static fn (array $match): array => [$match[1], $match[2], $match[3] ?? ''], $matches);
+    }
+}
@@ -281,4 +281,18 @@ class ExtendedBlockContainerTest extends TestCase
         $this->assertSame('type_a', $container->getItem(0)->getType());
         $this->assertSame('type_b', $container->getItem(1)->getType());
     }
+
+    /**
+     * Tests that a container is complete unless a tail offset is set.
+     */
+    public function testTailOffset(): void
+    {
+        $container = new ExtendedBlockContainer();
+
+        $this->assertNull($container->getTailOffset());
+
+        $container->setTailOffset(50);
+
+        $this->assertSame(50, $container->getTailOffset());
+    }
 }
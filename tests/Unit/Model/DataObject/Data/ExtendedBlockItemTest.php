@@ -332,4 +332,23 @@ class ExtendedBlockItemTest extends TestCase
         $this->assertSame('value2', $allValues['field2']);
         $this->assertSame('value3', $allValues['field3']);
     }
+
+    /**
+     * Tests the inheritance properties and their array round trip.
+     */
+    public function testInheritance(): void
+    {
+        $item = new ExtendedBlockItem();
+
+        $this->assertNull($item->getSourceId());
+        $this->assertFalse($item->isInherited());
+
+        $item->setSourceId(7);
+        $item->setInherited(true);
+
+        $copy = ExtendedBlockItem::fromArray($item->toArray());
+
+        $this->assertSame(7, $copy->getSourceId());
+        $this->assertTrue($copy->isInherited());
+    }
 }
@@ -0,0 +1,125 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Item Import Service Unit Test.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Tests\Unit\Service;
+
+use ExtendedBlockBundle\Service\ItemImportService;
+use InvalidArgumentException;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Test cases for the file parsing of ItemImportService.
+ *
+ * Tests the service's ability to:
+ * - Detect the file format from the file name and content
+ * - Read CSV files with comma or semicolon delimiter and byte order mark
+ * - Read JSON lists of items
+ * - Reject files it cannot read
+ *
+ * @covers \ExtendedBlockBundle\Service\ItemImportService
+ */
+class ItemImportServiceTest extends TestCase
+{
+    private ItemImportService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new ItemImportService();
+    }
+
+    /**
+     * Tests that the format is taken from the extension, otherwise from the content.
+     */
+    public function testDetectFormat(): void
+    {
+        $this->assertSame(ItemImportService::FORMAT_CSV, $this->service->detectFormat('specs.CSV', '[]'));
+        $this->assertSame(ItemImportService::FORMAT_JSON, $this->service->detectFormat('specs.json', 'a,b'));
+        $this->assertSame(ItemImportService::FORMAT_JSON, $this->service->detectFormat('specs.txt', "\xEF\xBB\xBF [{\"a\": 1}]"));
+        $this->assertSame(ItemImportService::FORMAT_CSV, $this->service->detectFormat('specs.txt', 'a;b'));
+    }
+
+    /**
+     * Tests that CSV rows are keyed by the header row.
+     */
+    public function testParseCsv(): void
+    {
+        $rows = $this->service->parse("\xEF\xBB\xBFtitle,value\r\nWeight,\"1,5 kg\"\r\n\r\n\"Say \"\"hi\"\"\",\r\n", ItemImportService::FORMAT_CSV);
+
+        $this->assertSame([
+            ['title' => 'Weight', 'value' => '1,5 kg'],
+            ['title' => 'Say "hi"', 'value' => ''],
+        ], $rows);
+    }
+
+    /**
+     * Tests that semicolon is used as delimiter when the header row has more semicolons than commas.
+     */
+    public function testParseCsvWithSemicolonDelimiter(): void
+    {
+        $rows = $this->service->parse("title;value\nWeight;1,5\n", ItemImportService::FORMAT_CSV);
+
+        $this->assertSame([['title' => 'Weight', 'value' => '1,5']], $rows);
+    }
+
+    /**
+     * Tests that JSON lists of items are read as they are.
+     */
+    public function testParseJson(): void
+    {
+        $rows = $this->service->parse('[{"type": "default", "data": {"title": "Weight"}}, {"title": "Height"}]', ItemImportService::FORMAT_JSON);
+
+        $this->assertSame([
+            ['type' => 'default', 'data' => ['title' => 'Weight']],
+            ['title' => 'Height'],
+        ], $rows);
+    }
+
+    /**
+     * Data provider for files that cannot be read.
+     *
+     * @return array<string, array{string, string}>
+     */
+    public static function invalidFileProvider(): array
+    {
+        return [
+            'empty CSV' => ['', ItemImportService::FORMAT_CSV],
+            'JSON object' => ['{"title": "Weight"}', ItemImportService::FORMAT_JSON],
+            'JSON list of values' => ['["Weight"]', ItemImportService::FORMAT_JSON],
+            'JSON object with numeric keys' => ['{"1": {"title": "Weight"}}', ItemImportService::FORMAT_JSON],
+            'JSON list of lists' => ['[["Weight"]]', ItemImportService::FORMAT_JSON],
+            'invalid JSON' => ['[{"title": }]', ItemImportService::FORMAT_JSON],
+            'unknown format' => ['a,b', 'xlsx'],
+        ];
+    }
+
+    /**
+     * Tests that files that cannot be read are rejected.
+     *
+     * @dataProvider invalidFileProvider
+     */
+    public function testParseRejectsInvalidFiles(string $content, string $format): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->service->parse($content, $format);
+    }
+
+    /**
+     * Tests that files with more than MAX_ROWS rows are rejected.
+     */
+    public function testParseRejectsTooManyRows(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->service->parse("title\n" . str_repeat("x\n", ItemImportService::MAX_ROWS + 1), ItemImportService::FORMAT_CSV);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Extended Block Bundle - Table Schema Service Unit Test.
+ *
+ * @author     Chauhan Mukesh
+ * @copyright  Copyright (c) 2026 Chauhan Mukesh
+ * @license    MIT License
+ */
+
+namespace ExtendedBlockBundle\Tests\Unit\Service;
+
+use Doctrine\DBAL\Connection;
+use ExtendedBlockBundle\Model\DataObject\ClassDefinition\Data\ExtendedBlock;
+use ExtendedBlockBundle\Service\TableSchemaService;
+use PHPUnit\Framework\TestCase;
+use Pimcore;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Input;
+use Pimcore\Model\DataObject\ClassDefinition\Data\Numeric;
+use ReflectionMethod;
+use Symfony\Component\DependencyInjection\Container;
+use Symfony\Component\HttpKernel\KernelInterface;
+
+/**
+ * Test cases for the column definitions of TableSchemaService.
+ *
+ * Tests the service's ability to:
+ * - Create the main table with the same columns that updates add
+ *
+ * @covers \ExtendedBlockBundle\Service\TableSchemaService
+ */
+class TableSchemaServiceTest extends TestCase
+{
+    private TableSchemaService $service;
+
+    protected function setUp(): void
+    {
+        $connection = $this->createMock(Connection::class);
+        $connection->method('quoteIdentifier')->willReturnCallback(
+            static fn (string $identifier): string => '`' . str_replace('`', '``', $identifier) . '`'
+        );
+
+        $container = new Container();
+        $container->set('doctrine.dbal.default_connection', $connection);
+
+        $kernel = $this->createMock(KernelInterface::class);
+        $kernel->method('getContainer')->willReturn($container);
+
+        Pimcore::setKernel($kernel);
+
+        $this->service = new TableSchemaService();
+    }
+
+    /**
+     * Tests that a created main table has the columns and types that the update of an existing table requires.
+     */
+    public function testMainTableColumnsMatchRequiredColumns(): void
+    {
+        $title = new Input();
+        $title->setName('title');
+        $title->setTitle('Title');
+
+        $url = new Input();
+        $url->setName('url');
+
+        $price = new Numeric();
+        $price->setName('price');
+
+        $definition = new ExtendedBlock();
+        $definition->setName('items');
+        $definition->setChildren([$title, $price]);
+        $definition->setBlockDefinitions(['video' => ['name' => 'Video', 'fields' => [$url]]]);
+
+        $createColumns = [];
+        foreach ($this->invoke('buildMainTableColumns', $definition) as $column) {
+            // Index definitions do not start with a column name
+            if (preg_match('/^`([^`]+)` (.+?)(?: COMMENT "(?:[^"\\\\]|\\\\.)*")?$/', $column, $match)) {
+                $createColumns[$match[1]] = $match[2];
+            }
+        }
+
+        $this->assertSame($this->invoke('getRequiredColumns', $definition), $createColumns);
+        $this->assertArrayHasKey('source_id', $createColumns);
+    }
+
+    /**
+     * Calls a protected method of the service.
+     *
+     * @return array<int|string, string>
+     */
+    private function invoke(string $method, ExtendedBlock $definition): array
+    {
+        return (new ReflectionMethod(TableSchemaService::class, $method))->invoke($this->service, $definition);
+    }
+}